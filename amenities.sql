@@ -0,0 +1,46 @@
+-- Amenities catalogue
+-- Amenities tenants ask about (backup power, water tank, security...) are picked
+-- from a catalogue instead of living in free text. A listing stores the keys of
+-- its amenities in apartments.amenities; save_listing (save_listing.sql) keeps
+-- only keys that are in the catalogue, and the Home filters match listings that
+-- have every selected amenity (search_apartments.sql, saved_searches.sql).
+
+CREATE TABLE IF NOT EXISTS public.amenities (
+  key TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  icon TEXT NOT NULL,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.amenities ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view amenities" ON public.amenities;
+CREATE POLICY "Anyone can view amenities" ON public.amenities
+  FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage amenities" ON public.amenities;
+CREATE POLICY "Admins can manage amenities" ON public.amenities
+  FOR ALL USING (public.current_user_is_admin())
+  WITH CHECK (public.current_user_is_admin());
+
+-- Labels are Somali, like the rest of the listing UI
+INSERT INTO public.amenities (key, label, icon, sort_order) VALUES
+  ('generator', 'Koronto kayd (Jeneretar)', '⚡', 10),
+  ('water_tank', 'Haanta Biyaha', '💧', 20),
+  ('security_guard', 'Waardiye', '💂', 30),
+  ('parking', 'Baarkin', '🚗', 40),
+  ('air_conditioning', 'Qaboojiye (AC)', '❄️', 50),
+  ('internet', 'Internet', '📶', 60),
+  ('balcony', 'Balakoon', '🌇', 70)
+ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE public.apartments
+  ADD COLUMN IF NOT EXISTS amenities TEXT[] NOT NULL DEFAULT '{}';
+
+-- Backs the "has all of these amenities" filter (amenities @> ARRAY[...])
+CREATE INDEX IF NOT EXISTS apartments_amenities_idx
+  ON public.apartments USING GIN (amenities);
+
+COMMENT ON TABLE public.amenities IS 'Catalogue of amenities a listing can have, with the Somali label and icon shown in the app';
+COMMENT ON COLUMN public.apartments.amenities IS 'Keys of the listing''s amenities from public.amenities';
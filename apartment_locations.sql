@@ -0,0 +1,22 @@
+-- Pinned map locations for apartment listings
+-- Owners drop a pin in the listing form; listings without a pin keep NULL
+-- coordinates and only appear in the list view on Home.
+ALTER TABLE public.apartments
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+-- Coordinates must be valid and set together
+ALTER TABLE public.apartments DROP CONSTRAINT IF EXISTS apartments_coordinates_check;
+ALTER TABLE public.apartments
+  ADD CONSTRAINT apartments_coordinates_check CHECK (
+    (latitude IS NULL AND longitude IS NULL)
+    OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+  );
+
+-- Index backing the visible-bounds filter of the Home map view
+CREATE INDEX IF NOT EXISTS apartments_coordinates_idx
+  ON public.apartments (latitude, longitude)
+  WHERE latitude IS NOT NULL;
+
+COMMENT ON COLUMN public.apartments.latitude IS 'Latitude of the pin dropped by the owner (WGS84)';
+COMMENT ON COLUMN public.apartments.longitude IS 'Longitude of the pin dropped by the owner (WGS84)';
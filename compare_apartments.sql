@@ -0,0 +1,16 @@
+-- Apartments a signed-in user has picked for side-by-side comparison on /compare
+-- Visitors keep their list in localStorage; it is merged into this table when they log in.
+CREATE TABLE IF NOT EXISTS public.compare_list_items (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  apartment_id UUID NOT NULL REFERENCES public.apartments(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, apartment_id)
+);
+
+ALTER TABLE public.compare_list_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage their compare list" ON public.compare_list_items;
+CREATE POLICY "Users manage their compare list" ON public.compare_list_items
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+COMMENT ON TABLE public.compare_list_items IS 'Apartments each user has added to their comparison list (at most four are shown)';
@@ -0,0 +1,32 @@
+-- Draft listings
+-- Owners' unfinished listings are autosaved as apartments with status 'draft'.
+-- Drafts are never shown publicly: only their owner can read them, and
+-- search_apartments skips them. Publishing a draft sets its status to 'approved'.
+
+ALTER TABLE public.apartments DROP CONSTRAINT IF EXISTS apartments_status_check;
+ALTER TABLE public.apartments ADD CONSTRAINT apartments_status_check
+  CHECK (status IN ('pending', 'approved', 'rejected', 'draft'));
+
+-- Restrictive, so it narrows every other SELECT policy on apartments
+DROP POLICY IF EXISTS "Drafts are private" ON public.apartments;
+CREATE POLICY "Drafts are private" ON public.apartments
+  AS RESTRICTIVE
+  FOR SELECT
+  USING (status IS DISTINCT FROM 'draft' OR owner_id = auth.uid());
+
+-- Floors of a draft follow the same rule
+DROP POLICY IF EXISTS "Draft floors are private" ON public.apartment_floors;
+CREATE POLICY "Draft floors are private" ON public.apartment_floors
+  AS RESTRICTIVE
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.apartments a
+      WHERE a.id = apartment_floors.apartment_id
+        AND (a.status IS DISTINCT FROM 'draft' OR a.owner_id = auth.uid())
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS apartments_owner_drafts_idx
+  ON public.apartments (owner_id)
+  WHERE status = 'draft';
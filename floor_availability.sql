@@ -0,0 +1,81 @@
+-- Availability dates per floor
+-- floor_status only says what a floor is today. Owners can also say when an
+-- unavailable floor frees up: occupied_until is the last day of the current
+-- tenancy and available_from the first day it can be rented again (the day after
+-- occupied_until when left out). A daily pg_cron job makes floors available once
+-- that day has come, and the Home "available by" filter matches floors that are
+-- available by the chosen date (apartment_floor_matches_filters in search_apartments.sql).
+
+ALTER TABLE public.apartment_floors
+  ADD COLUMN IF NOT EXISTS available_from DATE,
+  ADD COLUMN IF NOT EXISTS occupied_until DATE;
+
+ALTER TABLE public.apartment_floors
+  DROP CONSTRAINT IF EXISTS apartment_floors_availability_dates_check;
+ALTER TABLE public.apartment_floors
+  ADD CONSTRAINT apartment_floors_availability_dates_check CHECK (
+    available_from IS NULL OR occupied_until IS NULL OR available_from > occupied_until
+  );
+
+-- Dates are days in Mogadishu, not in the database's UTC
+CREATE OR REPLACE FUNCTION public.mogadishu_today()
+RETURNS DATE AS $$
+  SELECT (now() AT TIME ZONE 'Africa/Mogadishu')::DATE;
+$$ LANGUAGE sql STABLE;
+
+-- First day a floor can be rented: today for available floors (or their
+-- available_from if later), the scheduled date for the others, NULL when an
+-- unavailable floor has no date
+CREATE OR REPLACE FUNCTION public.floor_available_date(p_floor public.apartment_floors)
+RETURNS DATE AS $$
+  SELECT CASE
+    WHEN p_floor.floor_status = 'available'
+      THEN greatest(public.mogadishu_today(), coalesce(p_floor.available_from, public.mogadishu_today()))
+    ELSE coalesce(p_floor.available_from, p_floor.occupied_until + 1)
+  END;
+$$ LANGUAGE sql STABLE;
+
+CREATE INDEX IF NOT EXISTS apartment_floors_scheduled_availability_idx
+  ON public.apartment_floors ((coalesce(available_from, occupied_until + 1)))
+  WHERE floor_status <> 'available';
+
+-- Make floors whose date has come available, and their apartments with them.
+-- Returns the number of floors that changed. Scheduled daily with pg_cron below.
+CREATE OR REPLACE FUNCTION public.apply_floor_availability_dates()
+RETURNS INTEGER AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  WITH freed AS (
+    UPDATE public.apartment_floors
+    SET floor_status = 'available',
+        is_available = true,
+        available_from = NULL,
+        occupied_until = NULL,
+        updated_at = now()
+    WHERE floor_status <> 'available'
+      AND coalesce(available_from, occupied_until + 1) <= public.mogadishu_today()
+    RETURNING apartment_id
+  ),
+  apartments_freed AS (
+    UPDATE public.apartments
+    SET is_available = true
+    WHERE id IN (SELECT apartment_id FROM freed)
+      AND NOT is_available
+  )
+  SELECT count(*) INTO v_updated FROM freed;
+
+  RETURN v_updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the scheduler runs it
+REVOKE EXECUTE ON FUNCTION public.apply_floor_availability_dates() FROM PUBLIC, anon, authenticated;
+
+-- Requires the pg_cron extension (Database > Extensions in the Supabase dashboard).
+-- 21:05 UTC is just after midnight in Mogadishu.
+SELECT cron.schedule('floor-availability-dates', '5 21 * * *', 'SELECT public.apply_floor_availability_dates()');
+
+COMMENT ON COLUMN public.apartment_floors.available_from IS 'First day an unavailable floor can be rented again';
+COMMENT ON COLUMN public.apartment_floors.occupied_until IS 'Last day of the current tenancy of an occupied floor';
+COMMENT ON FUNCTION public.apply_floor_availability_dates IS 'Daily job: marks floors available once their available_from (or the day after occupied_until) has come.';
@@ -0,0 +1,30 @@
+-- Photo order of apartment listings
+-- Owners arrange their photos in the listing editor; sort_order is the position
+-- of each photo in the gallery (0 first). The cover photo is still is_primary.
+
+ALTER TABLE public.apartment_images
+  ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0;
+
+-- Existing photos: primary first, then upload order. Only apartments whose photos
+-- were never ordered are touched, so re-running this file is safe.
+UPDATE public.apartment_images i
+SET sort_order = ordered.position
+FROM (
+  SELECT id,
+         row_number() OVER (
+           PARTITION BY apartment_id
+           ORDER BY is_primary DESC, created_at, id
+         ) - 1 AS position
+  FROM public.apartment_images
+) ordered
+WHERE ordered.id = i.id
+  AND ordered.position <> 0
+  AND NOT EXISTS (
+    SELECT 1 FROM public.apartment_images o
+    WHERE o.apartment_id = i.apartment_id AND o.sort_order <> 0
+  );
+
+CREATE INDEX IF NOT EXISTS apartment_images_apartment_order_idx
+  ON public.apartment_images (apartment_id, sort_order);
+
+COMMENT ON COLUMN public.apartment_images.sort_order IS 'Position of the photo in the apartment gallery, 0 first.';
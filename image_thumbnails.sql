@@ -0,0 +1,10 @@
+-- Thumbnail variants of apartment photos
+-- Photos are resized and stripped of metadata in the browser before upload, and a
+-- small thumbnail is stored next to each one (apartments/<name>-thumb.webp).
+-- Images uploaded before this change have no thumbnail; the app falls back to
+-- storage_path for them.
+
+ALTER TABLE public.apartment_images
+  ADD COLUMN IF NOT EXISTS thumbnail_path TEXT;
+
+COMMENT ON COLUMN public.apartment_images.thumbnail_path IS 'Storage path of the small variant used on cards and thumbnail strips, or NULL for older images.';
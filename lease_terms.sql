@@ -0,0 +1,28 @@
+-- Lease terms per floor
+-- Rent here is negotiated on more than the monthly price: the deposit, how many
+-- months are paid in advance, the shortest lease and whether water and
+-- electricity are included. NULL month counts mean the owner did not say.
+-- The Home "no more than N months upfront" filter only matches floors whose
+-- advance is known (apartment_floor_matches_filters in search_apartments.sql).
+
+ALTER TABLE public.apartment_floors
+  ADD COLUMN IF NOT EXISTS deposit_months SMALLINT,
+  ADD COLUMN IF NOT EXISTS advance_months SMALLINT,
+  ADD COLUMN IF NOT EXISTS min_lease_months SMALLINT,
+  ADD COLUMN IF NOT EXISTS water_included BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS electricity_included BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public.apartment_floors
+  DROP CONSTRAINT IF EXISTS apartment_floors_lease_terms_check;
+ALTER TABLE public.apartment_floors
+  ADD CONSTRAINT apartment_floors_lease_terms_check CHECK (
+    (deposit_months IS NULL OR deposit_months BETWEEN 0 AND 24)
+    AND (advance_months IS NULL OR advance_months BETWEEN 0 AND 24)
+    AND (min_lease_months IS NULL OR min_lease_months BETWEEN 1 AND 120)
+  );
+
+COMMENT ON COLUMN public.apartment_floors.deposit_months IS 'Refundable deposit, in months of rent';
+COMMENT ON COLUMN public.apartment_floors.advance_months IS 'Months of rent paid upfront when moving in';
+COMMENT ON COLUMN public.apartment_floors.min_lease_months IS 'Shortest lease the owner accepts, in months';
+COMMENT ON COLUMN public.apartment_floors.water_included IS 'Whether water is included in the rent';
+COMMENT ON COLUMN public.apartment_floors.electricity_included IS 'Whether electricity is included in the rent';
@@ -0,0 +1,149 @@
+-- Listing analytics for owners
+-- Detail-page views, WhatsApp clicks, saves and message starts are recorded as
+-- raw events through record_listing_event. A nightly pg_cron job rolls finished
+-- days into listing_event_daily (one row per listing and Mogadishu day) and
+-- deletes the raw rows, so the events table only ever holds today's traffic.
+-- Owners read both through listing_insights.
+
+CREATE TABLE IF NOT EXISTS public.listing_events (
+  id BIGSERIAL PRIMARY KEY,
+  apartment_id UUID NOT NULL REFERENCES public.apartments(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('view', 'whatsapp_click', 'save', 'message_start')),
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  -- Random id kept in the visitor's browser, so anonymous repeats can be told apart
+  visitor_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS listing_events_apartment_id_created_at_idx
+  ON public.listing_events (apartment_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.listing_event_daily (
+  apartment_id UUID NOT NULL REFERENCES public.apartments(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  whatsapp_clicks INTEGER NOT NULL DEFAULT 0,
+  saves INTEGER NOT NULL DEFAULT 0,
+  message_starts INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (apartment_id, day)
+);
+
+-- No policies: both tables are only reached through the functions below
+ALTER TABLE public.listing_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.listing_event_daily ENABLE ROW LEVEL SECURITY;
+
+-- Record one event. Owners looking at their own listing are not counted, and a
+-- repeat of the same event by the same person within 30 minutes is ignored so
+-- reloads and double clicks don't inflate the numbers.
+CREATE OR REPLACE FUNCTION public.record_listing_event(
+  p_apartment_id UUID,
+  p_event_type TEXT,
+  p_visitor_id TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL AND p_visitor_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.apartments
+    WHERE id = p_apartment_id
+      AND coalesce(status, 'approved') = 'approved'
+      AND owner_id IS DISTINCT FROM auth.uid()
+  ) THEN
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.listing_events
+    WHERE apartment_id = p_apartment_id
+      AND event_type = p_event_type
+      AND created_at > now() - INTERVAL '30 minutes'
+      AND (user_id = auth.uid() OR visitor_id = p_visitor_id)
+  ) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.listing_events (apartment_id, event_type, user_id, visitor_id)
+  VALUES (p_apartment_id, p_event_type, auth.uid(), left(p_visitor_id, 64));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Roll the events of finished days into listing_event_daily. Scheduled nightly
+-- with pg_cron below; safe to run more than once.
+CREATE OR REPLACE FUNCTION public.aggregate_listing_events()
+RETURNS INTEGER AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  WITH moved AS (
+    DELETE FROM public.listing_events
+    WHERE created_at < public.mogadishu_today()::TIMESTAMP AT TIME ZONE 'Africa/Mogadishu'
+    RETURNING apartment_id, event_type, created_at
+  )
+  INSERT INTO public.listing_event_daily AS d (apartment_id, day, views, whatsapp_clicks, saves, message_starts)
+  SELECT apartment_id,
+         (created_at AT TIME ZONE 'Africa/Mogadishu')::DATE,
+         count(*) FILTER (WHERE event_type = 'view'),
+         count(*) FILTER (WHERE event_type = 'whatsapp_click'),
+         count(*) FILTER (WHERE event_type = 'save'),
+         count(*) FILTER (WHERE event_type = 'message_start')
+  FROM moved
+  GROUP BY 1, 2
+  ON CONFLICT (apartment_id, day) DO UPDATE
+  SET views = d.views + EXCLUDED.views,
+      whatsapp_clicks = d.whatsapp_clicks + EXCLUDED.whatsapp_clicks,
+      saves = d.saves + EXCLUDED.saves,
+      message_starts = d.message_starts + EXCLUDED.message_starts;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Daily counts of the caller's listings over the last p_days days (today
+-- included, straight from the raw events). Days without events are left out;
+-- a day can appear twice when the nightly job has not run yet.
+CREATE OR REPLACE FUNCTION public.listing_insights(p_days INTEGER DEFAULT 30)
+RETURNS TABLE (
+  apartment_id UUID,
+  day DATE,
+  views INTEGER,
+  whatsapp_clicks INTEGER,
+  saves INTEGER,
+  message_starts INTEGER
+) AS $$
+  SELECT d.apartment_id, d.day, d.views, d.whatsapp_clicks, d.saves, d.message_starts
+  FROM public.listing_event_daily d
+  JOIN public.apartments a ON a.id = d.apartment_id
+  WHERE a.owner_id = auth.uid()
+    AND d.day > public.mogadishu_today() - least(greatest(p_days, 1), 366)
+  UNION ALL
+  SELECT e.apartment_id,
+         (e.created_at AT TIME ZONE 'Africa/Mogadishu')::DATE,
+         (count(*) FILTER (WHERE e.event_type = 'view'))::INTEGER,
+         (count(*) FILTER (WHERE e.event_type = 'whatsapp_click'))::INTEGER,
+         (count(*) FILTER (WHERE e.event_type = 'save'))::INTEGER,
+         (count(*) FILTER (WHERE e.event_type = 'message_start'))::INTEGER
+  FROM public.listing_events e
+  JOIN public.apartments a ON a.id = e.apartment_id
+  WHERE a.owner_id = auth.uid()
+    AND e.created_at > (public.mogadishu_today() - least(greatest(p_days, 1), 366))::TIMESTAMP AT TIME ZONE 'Africa/Mogadishu'
+  GROUP BY 1, 2
+  ORDER BY 2, 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Requires the pg_cron extension (Database > Extensions in the Supabase dashboard)
+-- 21:15 UTC is 00:15 in Mogadishu, just after the day has finished
+SELECT cron.schedule('listing-events-daily', '15 21 * * *', 'SELECT public.aggregate_listing_events()');
+
+-- Only the scheduled job aggregates
+REVOKE EXECUTE ON FUNCTION public.aggregate_listing_events FROM PUBLIC, anon, authenticated;
+
+-- Grant execute permission to visitors and users
+GRANT EXECUTE ON FUNCTION public.record_listing_event TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.listing_insights TO authenticated;
+
+COMMENT ON FUNCTION public.record_listing_event IS 'Records a view, WhatsApp click, save or message start on a listing. Ignores owners and repeats within 30 minutes.';
+COMMENT ON FUNCTION public.aggregate_listing_events IS 'Moves raw listing events of finished days into listing_event_daily. Returns the number of daily rows written.';
+COMMENT ON FUNCTION public.listing_insights IS 'Daily event counts for the calling owner''s listings over the last p_days days, including today.';
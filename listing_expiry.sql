@@ -0,0 +1,191 @@
+-- Listing expiry and periodic owner confirmation
+-- Owners forget to mark rented places, so an approved listing that its owner
+-- has not confirmed for confirm_every_days is treated as stale and hidden from
+-- search. Any change the owner makes to the listing (editing it, toggling its
+-- availability) counts as a confirmation, and confirm_listing renews it with
+-- one click. Owners are reminded in-app before and when a listing goes stale.
+
+-- Single-row policy, editable by admins from All Listings
+CREATE TABLE IF NOT EXISTS public.listing_expiry_policy (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  -- Days a confirmation lasts (NULL = listings never expire)
+  confirm_every_days INTEGER DEFAULT 30 CHECK (confirm_every_days IS NULL OR confirm_every_days >= 1),
+  -- Days before expiry the owner is reminded
+  remind_days_before INTEGER NOT NULL DEFAULT 5 CHECK (remind_days_before >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (confirm_every_days IS NULL OR remind_days_before < confirm_every_days)
+);
+
+INSERT INTO public.listing_expiry_policy (id) VALUES (true)
+ON CONFLICT DO NOTHING;
+
+-- Existing listings start with a fresh confirmation rather than expiring at once
+ALTER TABLE public.apartments
+  ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  -- 0 = no reminder sent since the last confirmation, 1 = reminded, 2 = told it is hidden
+  ADD COLUMN IF NOT EXISTS expiry_reminder_stage SMALLINT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS apartments_approved_confirmed_at_idx
+  ON public.apartments (confirmed_at)
+  WHERE status = 'approved';
+
+-- Listings confirmed before this moment are stale (NULL when expiry is off)
+CREATE OR REPLACE FUNCTION public.listing_stale_before()
+RETURNS TIMESTAMPTZ AS $$
+  SELECT now() - make_interval(days => confirm_every_days)
+  FROM public.listing_expiry_policy;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- A change by the owner confirms the listing, and so does its approval: time
+-- spent waiting in the review queue must not count against it. Nobody else can
+-- move confirmed_at: admins and scheduled jobs keep the last confirmation.
+CREATE OR REPLACE FUNCTION public.apartments_confirmation_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (auth.uid() IS NOT NULL AND auth.uid() = NEW.owner_id)
+     OR (TG_OP = 'UPDATE' AND NEW.status = 'approved' AND OLD.status IS DISTINCT FROM 'approved') THEN
+    NEW.confirmed_at := now();
+    NEW.expiry_reminder_stage := 0;
+  ELSIF TG_OP = 'UPDATE' THEN
+    NEW.confirmed_at := OLD.confirmed_at;
+    NEW.expiry_reminder_stage := OLD.expiry_reminder_stage;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS apartments_confirmation ON public.apartments;
+CREATE TRIGGER apartments_confirmation
+  BEFORE INSERT OR UPDATE ON public.apartments
+  FOR EACH ROW EXECUTE FUNCTION public.apartments_confirmation_trigger();
+
+-- "Still available?" - renew a listing without changing anything else
+CREATE OR REPLACE FUNCTION public.confirm_listing(p_apartment_id UUID)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  v_confirmed_at TIMESTAMPTZ;
+BEGIN
+  -- The trigger sets confirmed_at; assigning it here makes the update a real change
+  UPDATE public.apartments
+  SET confirmed_at = now()
+  WHERE id = p_apartment_id
+    AND owner_id = auth.uid()
+  RETURNING confirmed_at INTO v_confirmed_at;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Listing not found: %', p_apartment_id USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN v_confirmed_at;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- Remind owners of approved listings that are about to go stale, and tell them
+-- once a listing has been hidden. Scheduled daily with pg_cron below.
+CREATE OR REPLACE FUNCTION public.send_listing_expiry_reminders()
+RETURNS INTEGER AS $$
+DECLARE
+  v_policy public.listing_expiry_policy;
+  v_sent INTEGER := 0;
+  v_count INTEGER;
+BEGIN
+  SELECT * INTO v_policy FROM public.listing_expiry_policy;
+  IF v_policy.confirm_every_days IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  WITH hidden AS (
+    UPDATE public.apartments
+    SET expiry_reminder_stage = 2
+    WHERE status = 'approved'
+      AND expiry_reminder_stage < 2
+      AND confirmed_at < now() - make_interval(days => v_policy.confirm_every_days)
+    RETURNING id, owner_id, title
+  )
+  INSERT INTO public.notifications (user_id, type, title, body, link, apartment_id)
+  SELECT owner_id,
+         'listing_expiry',
+         'Liiskaaga "' || title || '" waa laga qariyay raadinta',
+         'Muddo ' || v_policy.confirm_every_days || ' maalmood ah lama xaqiijin. Xaqiiji inuu weli banaan yahay si uu dib ugu soo muuqdo.',
+         '/owner/dashboard',
+         id
+  FROM hidden;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  v_sent := v_sent + v_count;
+
+  WITH due AS (
+    UPDATE public.apartments
+    SET expiry_reminder_stage = 1
+    WHERE status = 'approved'
+      AND expiry_reminder_stage = 0
+      AND confirmed_at < now() - make_interval(days => v_policy.confirm_every_days - v_policy.remind_days_before)
+    RETURNING id, owner_id, title, confirmed_at
+  )
+  INSERT INTO public.notifications (user_id, type, title, body, link, apartment_id)
+  SELECT owner_id,
+         'listing_expiry',
+         'Liiskaaga "' || title || '" weli ma banaan yahay?',
+         'Xaqiiji ka hor ' || to_char(confirmed_at + make_interval(days => v_policy.confirm_every_days), 'DD/MM/YYYY') || ' si uusan uga qarsoomin raadinta.',
+         '/owner/dashboard',
+         id
+  FROM due;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  v_sent := v_sent + v_count;
+
+  RETURN v_sent;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Confirmation counts of approved listings for the admin dashboard
+CREATE OR REPLACE FUNCTION public.listing_expiry_stats()
+RETURNS TABLE (confirmed BIGINT, due_soon BIGINT, stale BIGINT) AS $$
+DECLARE
+  v_policy public.listing_expiry_policy;
+BEGIN
+  IF NOT public.current_user_is_admin() THEN
+    RAISE EXCEPTION 'Only admins can view listing expiry stats' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_policy FROM public.listing_expiry_policy;
+
+  RETURN QUERY
+  SELECT
+    count(*) FILTER (WHERE v_policy.confirm_every_days IS NULL
+      OR a.confirmed_at >= now() - make_interval(days => v_policy.confirm_every_days - v_policy.remind_days_before)),
+    count(*) FILTER (WHERE a.confirmed_at < now() - make_interval(days => v_policy.confirm_every_days - v_policy.remind_days_before)
+      AND a.confirmed_at >= now() - make_interval(days => v_policy.confirm_every_days)),
+    count(*) FILTER (WHERE a.confirmed_at < now() - make_interval(days => v_policy.confirm_every_days))
+  FROM public.apartments a
+  WHERE a.status = 'approved';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Requires the pg_cron extension (Database > Extensions in the Supabase dashboard)
+SELECT cron.schedule('listing-expiry-reminders', '0 6 * * *', 'SELECT public.send_listing_expiry_reminders()');
+
+-- Row level security: anyone can read the policy (the owner dashboard shows
+-- expiry dates), admins change it
+ALTER TABLE public.listing_expiry_policy ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view the listing expiry policy" ON public.listing_expiry_policy;
+CREATE POLICY "Anyone can view the listing expiry policy" ON public.listing_expiry_policy
+  FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can update the listing expiry policy" ON public.listing_expiry_policy;
+CREATE POLICY "Admins can update the listing expiry policy" ON public.listing_expiry_policy
+  FOR UPDATE TO authenticated
+  USING (public.current_user_is_admin())
+  WITH CHECK (public.current_user_is_admin());
+
+-- Only the scheduled job sends reminders
+REVOKE EXECUTE ON FUNCTION public.send_listing_expiry_reminders FROM PUBLIC, anon, authenticated;
+
+-- Grant execute permission to users
+GRANT EXECUTE ON FUNCTION public.listing_stale_before TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_listing TO authenticated;
+GRANT EXECUTE ON FUNCTION public.listing_expiry_stats TO authenticated;
+
+COMMENT ON FUNCTION public.confirm_listing IS 'Owner confirmation that a listing is still accurate. Renews it for another confirm_every_days. Returns the new confirmed_at.';
+COMMENT ON FUNCTION public.send_listing_expiry_reminders IS 'Sends in-app reminders for listings about to go stale and notices for listings that went stale. Returns the number of notifications sent.';
+COMMENT ON FUNCTION public.listing_expiry_stats IS 'Counts of approved listings that are confirmed, due for confirmation soon, and stale (hidden from search). Admins only.';
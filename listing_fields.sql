@@ -0,0 +1,12 @@
+-- Listing editor fields
+-- The shared listing editor (src/utils/listingEditor.js) saves every field it
+-- shows, so make sure the floor-system toggle and the master room checkbox have
+-- columns to land in.
+ALTER TABLE public.apartments
+  ADD COLUMN IF NOT EXISTS has_floor_system BOOLEAN NOT NULL DEFAULT true;
+
+ALTER TABLE public.apartment_floors
+  ADD COLUMN IF NOT EXISTS has_master_room BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.apartments.has_floor_system IS 'Whether the owner splits the listing into separately priced floors';
+COMMENT ON COLUMN public.apartment_floors.has_master_room IS 'Whether the floor has a master bedroom with its own bathroom';
@@ -0,0 +1,202 @@
+-- Moderation of new listings
+-- Listings from new or unverified owners wait in 'pending' for an admin; trusted
+-- owners publish straight away. An owner is trusted when an admin marked them
+-- (profiles.is_trusted_owner) or when they already have enough approved listings.
+-- The policy is enforced by a trigger, so it holds for every way a listing is saved.
+
+-- Single-row policy, editable by admins from the review queue
+CREATE TABLE IF NOT EXISTS public.listing_moderation_policy (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  moderation_enabled BOOLEAN NOT NULL DEFAULT true,
+  -- Approved listings an owner needs before they skip the queue (NULL = never)
+  trusted_after_approved INTEGER DEFAULT 3 CHECK (trusted_after_approved IS NULL OR trusted_after_approved >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.listing_moderation_policy (id) VALUES (true)
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS is_trusted_owner BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public.apartments
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS apartments_pending_review_idx
+  ON public.apartments (created_at)
+  WHERE status = 'pending';
+
+-- Whether the signed-in user is an admin
+CREATE OR REPLACE FUNCTION public.current_user_is_admin()
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.profiles
+    WHERE id = auth.uid() AND role = 'admin'
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Status a listing of p_owner_id gets when it is published: 'approved' or 'pending'
+CREATE OR REPLACE FUNCTION public.listing_publish_status(p_owner_id UUID)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN NOT p.moderation_enabled THEN 'approved'
+    WHEN EXISTS (
+      SELECT 1 FROM public.profiles
+      WHERE id = p_owner_id AND (is_trusted_owner OR role = 'admin')
+    ) THEN 'approved'
+    WHEN p.trusted_after_approved IS NOT NULL AND (
+      SELECT count(*) FROM public.apartments
+      WHERE owner_id = p_owner_id AND status = 'approved'
+    ) >= p.trusted_after_approved THEN 'approved'
+    ELSE 'pending'
+  END
+  FROM public.listing_moderation_policy p;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Owners cannot approve their own listings: an 'approved' status set by anyone
+-- but an admin becomes whatever the policy allows. Saving changes to a rejected
+-- listing resubmits it for review.
+CREATE OR REPLACE FUNCTION public.apartments_moderation_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF public.current_user_is_admin() OR auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status = 'approved'
+     AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'approved') THEN
+    NEW.status := public.listing_publish_status(NEW.owner_id);
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+     AND OLD.status = 'rejected'
+     AND NEW.status = 'rejected'
+     AND NEW.updated_at IS DISTINCT FROM OLD.updated_at THEN
+    NEW.status := 'pending';
+  END IF;
+
+  -- Review fields belong to admins
+  IF TG_OP = 'INSERT' THEN
+    NEW.rejection_reason := NULL;
+    NEW.reviewed_at := NULL;
+    NEW.reviewed_by := NULL;
+  ELSE
+    NEW.rejection_reason := CASE WHEN NEW.status = 'pending' THEN NULL ELSE OLD.rejection_reason END;
+    NEW.reviewed_at := OLD.reviewed_at;
+    NEW.reviewed_by := OLD.reviewed_by;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- Runs before apartments_saved_search_matches sees the final status
+DROP TRIGGER IF EXISTS apartments_moderation ON public.apartments;
+CREATE TRIGGER apartments_moderation
+  BEFORE INSERT OR UPDATE ON public.apartments
+  FOR EACH ROW EXECUTE FUNCTION public.apartments_moderation_trigger();
+
+-- Listings that are not approved are only visible to their owner and to admins
+-- (drafts to their owner only). Replaces the policy from drafts.sql.
+DROP POLICY IF EXISTS "Drafts are private" ON public.apartments;
+DROP POLICY IF EXISTS "Unpublished listings are private" ON public.apartments;
+CREATE POLICY "Unpublished listings are private" ON public.apartments
+  AS RESTRICTIVE
+  FOR SELECT
+  USING (
+    coalesce(status, 'approved') = 'approved'
+    OR owner_id = auth.uid()
+    OR (status <> 'draft' AND public.current_user_is_admin())
+  );
+
+DROP POLICY IF EXISTS "Draft floors are private" ON public.apartment_floors;
+DROP POLICY IF EXISTS "Unpublished listing floors are private" ON public.apartment_floors;
+CREATE POLICY "Unpublished listing floors are private" ON public.apartment_floors
+  AS RESTRICTIVE
+  FOR SELECT
+  USING (
+    EXISTS (SELECT 1 FROM public.apartments a WHERE a.id = apartment_floors.apartment_id)
+  );
+
+-- Approve or reject a pending listing. The owner is notified either way.
+CREATE OR REPLACE FUNCTION public.moderate_listing(
+  p_apartment_id UUID,
+  p_approve BOOLEAN,
+  p_reason TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+  v_apartment public.apartments;
+BEGIN
+  IF NOT public.current_user_is_admin() THEN
+    RAISE EXCEPTION 'Only admins can moderate listings' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT p_approve AND coalesce(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'A rejection needs a reason' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE public.apartments
+  SET status = CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END,
+      rejection_reason = CASE WHEN p_approve THEN NULL ELSE trim(p_reason) END,
+      reviewed_at = now(),
+      reviewed_by = auth.uid()
+  WHERE id = p_apartment_id
+    AND status <> 'draft'
+  RETURNING * INTO v_apartment;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Listing not found: %', p_apartment_id USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO public.notifications (user_id, type, title, body, link, apartment_id)
+  VALUES (
+    v_apartment.owner_id,
+    'listing_moderation',
+    CASE WHEN p_approve
+      THEN 'Liiskaaga "' || v_apartment.title || '" waa la ansixiyay'
+      ELSE 'Liiskaaga "' || v_apartment.title || '" lama ansixin'
+    END,
+    CASE WHEN p_approve THEN 'Dadka ayaa hadda arki kara.' ELSE 'Sababta: ' || trim(p_reason) END,
+    CASE WHEN p_approve THEN '/apartments/' || v_apartment.id ELSE '/owner/dashboard' END,
+    v_apartment.id
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Mark an owner as trusted (their listings skip the queue) or not
+CREATE OR REPLACE FUNCTION public.set_owner_trusted(p_owner_id UUID, p_trusted BOOLEAN)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT public.current_user_is_admin() THEN
+    RAISE EXCEPTION 'Only admins can change owner trust' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.profiles
+  SET is_trusted_owner = p_trusted
+  WHERE id = p_owner_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Row level security: anyone signed in can read the policy, admins change it
+ALTER TABLE public.listing_moderation_policy ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can view the moderation policy" ON public.listing_moderation_policy;
+CREATE POLICY "Signed-in users can view the moderation policy" ON public.listing_moderation_policy
+  FOR SELECT TO authenticated USING (true);
+
+DROP POLICY IF EXISTS "Admins can update the moderation policy" ON public.listing_moderation_policy;
+CREATE POLICY "Admins can update the moderation policy" ON public.listing_moderation_policy
+  FOR UPDATE TO authenticated
+  USING (public.current_user_is_admin())
+  WITH CHECK (public.current_user_is_admin());
+
+-- Grant execute permission to authenticated users
+GRANT EXECUTE ON FUNCTION public.current_user_is_admin TO authenticated;
+GRANT EXECUTE ON FUNCTION public.listing_publish_status TO authenticated;
+GRANT EXECUTE ON FUNCTION public.moderate_listing TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_owner_trusted TO authenticated;
+
+COMMENT ON FUNCTION public.listing_publish_status IS 'Status a newly published listing of the owner gets under the moderation policy: approved for trusted owners, pending otherwise.';
+COMMENT ON FUNCTION public.moderate_listing IS 'Admin approval or rejection (with a reason) of a listing. Notifies the owner.';
@@ -0,0 +1,49 @@
+-- In-app notifications
+-- Shown in the header and on the profile page. Rows are only created by
+-- SECURITY DEFINER functions of the features that notify users (saved searches,
+-- moderation, listing expiry, price drops); users read, mark and delete their own.
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  link TEXT,
+  apartment_id UUID REFERENCES public.apartments(id) ON DELETE CASCADE,
+  is_read BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_id_created_at_idx
+  ON public.notifications (user_id, created_at DESC);
+
+-- Row level security: users only see and manage their own rows
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users view their notifications" ON public.notifications;
+CREATE POLICY "Users view their notifications" ON public.notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users update their notifications" ON public.notifications;
+CREATE POLICY "Users update their notifications" ON public.notifications
+  FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users delete their notifications" ON public.notifications;
+CREATE POLICY "Users delete their notifications" ON public.notifications
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Realtime updates for the header notification badge (once: adding a table
+-- that is already published fails)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'notifications'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.notifications;
+  END IF;
+END;
+$$;
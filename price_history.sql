@@ -0,0 +1,176 @@
+-- Price history of floors
+-- Every change to a floor's price_per_month is kept, so the detail page can
+-- show how a price moved and cards can flag recent drops. An apartment's
+-- last_price_drop_at is the latest drop among floors whose most recent change
+-- was a drop (raising the price again clears it). Users who saved an apartment
+-- are notified when one of its floors gets cheaper. Drafts are left out: their
+-- history starts when they are published.
+
+CREATE TABLE IF NOT EXISTS public.apartment_floor_price_history (
+  id BIGSERIAL PRIMARY KEY,
+  floor_id UUID NOT NULL REFERENCES public.apartment_floors(id) ON DELETE CASCADE,
+  apartment_id UUID NOT NULL REFERENCES public.apartments(id) ON DELETE CASCADE,
+  -- NULL for the first price of a floor
+  old_price NUMERIC,
+  new_price NUMERIC NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS apartment_floor_price_history_apartment_id_idx
+  ON public.apartment_floor_price_history (apartment_id, changed_at);
+
+CREATE INDEX IF NOT EXISTS apartment_floor_price_history_floor_id_idx
+  ON public.apartment_floor_price_history (floor_id, id DESC);
+
+ALTER TABLE public.apartments
+  ADD COLUMN IF NOT EXISTS last_price_drop_at TIMESTAMPTZ;
+
+-- Start the history of a listing's floors at their current prices. Floors that
+-- already have a history and prices that are not set yet (0) are skipped.
+CREATE OR REPLACE FUNCTION public.start_floor_price_history(p_apartment_id UUID)
+RETURNS VOID AS $$
+  INSERT INTO public.apartment_floor_price_history (floor_id, apartment_id, old_price, new_price)
+  SELECT f.id, f.apartment_id, NULL, f.price_per_month
+  FROM public.apartment_floors f
+  WHERE f.apartment_id = p_apartment_id
+    AND f.price_per_month > 0
+    AND NOT EXISTS (
+      SELECT 1 FROM public.apartment_floor_price_history h WHERE h.floor_id = f.id
+    );
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+-- Drafts have no history: their autosaves (and rows written for them before
+-- this rule) would show up as price changes once the listing is published
+DELETE FROM public.apartment_floor_price_history h
+USING public.apartments a
+WHERE a.id = h.apartment_id
+  AND (a.status = 'draft' OR h.new_price <= 0);
+
+UPDATE public.apartments
+SET last_price_drop_at = NULL
+WHERE status = 'draft'
+  AND last_price_drop_at IS NOT NULL;
+
+-- Published listings that existed before this file start at today's prices
+SELECT public.start_floor_price_history(a.id)
+FROM public.apartments a
+WHERE coalesce(a.status, 'approved') <> 'draft';
+
+-- Record a floor's price change against the last recorded price. The first
+-- recorded price of a floor is its starting point, not a change.
+CREATE OR REPLACE FUNCTION public.apartment_floors_price_history_trigger()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old_price NUMERIC;
+  v_last_drop TIMESTAMPTZ;
+  v_apartment public.apartments;
+BEGIN
+  IF NOT NEW.price_per_month > 0 THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_apartment FROM public.apartments WHERE id = NEW.apartment_id;
+  IF v_apartment.status = 'draft' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT h.new_price
+  INTO v_old_price
+  FROM public.apartment_floor_price_history h
+  WHERE h.floor_id = NEW.id
+  ORDER BY h.id DESC
+  LIMIT 1;
+
+  IF NEW.price_per_month IS NOT DISTINCT FROM v_old_price THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.apartment_floor_price_history (floor_id, apartment_id, old_price, new_price)
+  VALUES (NEW.id, NEW.apartment_id, v_old_price, NEW.price_per_month);
+
+  SELECT max(h.changed_at)
+  INTO v_last_drop
+  FROM public.apartment_floor_price_history h
+  WHERE h.apartment_id = NEW.apartment_id
+    AND h.new_price < h.old_price
+    AND h.id = (
+      SELECT max(latest.id) FROM public.apartment_floor_price_history latest
+      WHERE latest.floor_id = h.floor_id
+    );
+
+  UPDATE public.apartments
+  SET last_price_drop_at = v_last_drop
+  WHERE id = NEW.apartment_id
+    AND last_price_drop_at IS DISTINCT FROM v_last_drop;
+
+  IF v_old_price IS NULL
+     OR NEW.price_per_month >= v_old_price
+     OR coalesce(v_apartment.status, 'approved') <> 'approved' THEN
+    RETURN NULL;
+  END IF;
+
+  -- One notification per saver for a batch of floor changes saved together
+  INSERT INTO public.notifications (user_id, type, title, body, link, apartment_id)
+  SELECT s.user_id,
+         'price_drop',
+         'Qiimaha "' || v_apartment.title || '" waa la dhimay',
+         'Dabaqda ' || NEW.floor_number || ': $' || v_old_price || ' → $' || NEW.price_per_month || ' bishii',
+         '/apartments/' || v_apartment.id,
+         v_apartment.id
+  FROM public.saved_apartments s
+  WHERE s.apartment_id = NEW.apartment_id
+    AND s.user_id IS DISTINCT FROM v_apartment.owner_id
+    AND NOT EXISTS (
+      SELECT 1 FROM public.notifications n
+      WHERE n.user_id = s.user_id
+        AND n.apartment_id = NEW.apartment_id
+        AND n.type = 'price_drop'
+        AND n.created_at > now() - INTERVAL '10 minutes'
+    );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apartment_floors_price_history ON public.apartment_floors;
+CREATE TRIGGER apartment_floors_price_history
+  AFTER INSERT OR UPDATE OF price_per_month ON public.apartment_floors
+  FOR EACH ROW EXECUTE FUNCTION public.apartment_floors_price_history_trigger();
+
+-- When a draft is published, start its history at the prices it is published
+-- with. Deferred to the end of the transaction because save_listing publishes
+-- the apartment row before it writes the floors.
+CREATE OR REPLACE FUNCTION public.apartments_price_history_publish_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM public.apartments WHERE id = NEW.id AND status <> 'draft') THEN
+    PERFORM public.start_floor_price_history(NEW.id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apartments_price_history_publish ON public.apartments;
+CREATE CONSTRAINT TRIGGER apartments_price_history_publish
+  AFTER UPDATE OF status ON public.apartments
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW
+  WHEN (OLD.status = 'draft' AND NEW.status IS DISTINCT FROM 'draft')
+  EXECUTE FUNCTION public.apartments_price_history_publish_trigger();
+
+-- Only the triggers start a history
+REVOKE EXECUTE ON FUNCTION public.start_floor_price_history(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Row level security: the history is as visible as its apartment. Rows are only
+-- written by the triggers above.
+ALTER TABLE public.apartment_floor_price_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Price history follows its apartment" ON public.apartment_floor_price_history;
+CREATE POLICY "Price history follows its apartment" ON public.apartment_floor_price_history
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.apartments a WHERE a.id = apartment_floor_price_history.apartment_id)
+  );
+
+COMMENT ON TABLE public.apartment_floor_price_history IS 'Every price_per_month a published floor has had, written by triggers on apartment_floors and apartments.';
+COMMENT ON COLUMN public.apartments.last_price_drop_at IS 'Latest price drop of a floor whose price has not gone up since. Drives the "price dropped" badge.';
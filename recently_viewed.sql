@@ -0,0 +1,57 @@
+-- Recently viewed apartments for signed-in users
+-- Visitors keep their history in localStorage; AuthContext merges it into this
+-- table through record_apartment_views when they log in.
+CREATE TABLE IF NOT EXISTS public.recently_viewed_apartments (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  apartment_id UUID NOT NULL REFERENCES public.apartments(id) ON DELETE CASCADE,
+  viewed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, apartment_id)
+);
+
+CREATE INDEX IF NOT EXISTS recently_viewed_apartments_user_viewed_at_idx
+  ON public.recently_viewed_apartments (user_id, viewed_at DESC);
+
+ALTER TABLE public.recently_viewed_apartments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users view their history" ON public.recently_viewed_apartments;
+CREATE POLICY "Users view their history" ON public.recently_viewed_apartments
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users clear their history" ON public.recently_viewed_apartments;
+CREATE POLICY "Users clear their history" ON public.recently_viewed_apartments
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Record views for the current user and keep only the latest 30.
+-- p_views is an array of {"apartment_id": ..., "viewed_at": ...} objects, so a
+-- single view and a merged localStorage history use the same call.
+CREATE OR REPLACE FUNCTION public.record_apartment_views(p_views JSONB)
+RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.recently_viewed_apartments (user_id, apartment_id, viewed_at)
+  SELECT auth.uid(), v.apartment_id, max(coalesce(v.viewed_at, now()))
+  FROM jsonb_to_recordset(p_views) AS v(apartment_id UUID, viewed_at TIMESTAMPTZ)
+  WHERE EXISTS (SELECT 1 FROM public.apartments a WHERE a.id = v.apartment_id)
+  GROUP BY v.apartment_id
+  ON CONFLICT (user_id, apartment_id)
+  DO UPDATE SET viewed_at = GREATEST(recently_viewed_apartments.viewed_at, EXCLUDED.viewed_at);
+
+  DELETE FROM public.recently_viewed_apartments
+  WHERE user_id = auth.uid()
+    AND apartment_id NOT IN (
+      SELECT apartment_id
+      FROM public.recently_viewed_apartments
+      WHERE user_id = auth.uid()
+      ORDER BY viewed_at DESC
+      LIMIT 30
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Grant execute permission to authenticated users
+GRANT EXECUTE ON FUNCTION public.record_apartment_views TO authenticated;
+
+COMMENT ON FUNCTION public.record_apartment_views IS 'Upserts recently viewed apartments for the calling user (newest view wins) and trims the history to 30 entries.';
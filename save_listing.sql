@@ -0,0 +1,249 @@
+-- Transactional create/update of a listing and its floors
+-- The listing editor saves the apartment row and all of its floors with one call,
+-- so a failure part way leaves nothing behind. Photos are uploaded afterwards
+-- against the returned apartment.
+--
+-- p_status:
+--   'draft'    - autosave of an unfinished listing (lenient validation)
+--   'approved' - publish: create a new listing, or publish a draft. The moderation
+--                trigger (listing_moderation.sql) may turn this into 'pending'.
+--   NULL       - edit an existing listing, keeping its status
+--
+-- p_floors is the full list of floors. Floors with an "id" are updated, floors
+-- without one are inserted, and the apartment's other floors are deleted.
+-- rooms, bathrooms and price_per_month are derived from the floors. Lease terms
+-- (lease_terms.sql) and availability dates (floor_availability.sql) left out of
+-- a floor are stored as NULL.
+-- p_listing->'amenities' is an array of amenity keys (amenities.sql); keys that
+-- are not in the catalogue are dropped.
+-- Returns the saved apartment row, so callers see the status it ended up with.
+
+DROP FUNCTION IF EXISTS public.save_listing(UUID, JSONB, JSONB, TEXT);
+CREATE OR REPLACE FUNCTION public.save_listing(
+  p_apartment_id UUID,
+  p_listing JSONB,
+  p_floors JSONB,
+  p_status TEXT DEFAULT NULL
+) RETURNS public.apartments AS $$
+DECLARE
+  v_apartment_id UUID := p_apartment_id;
+  v_apartment public.apartments;
+  v_current_status TEXT;
+  v_floor JSONB;
+  v_floor_count INTEGER := coalesce(jsonb_array_length(p_floors), 0);
+  v_rooms INTEGER;
+  v_bathrooms INTEGER;
+  v_price NUMERIC;
+  v_amenities TEXT[];
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'You must be signed in to save a listing' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_status IS NOT NULL AND p_status NOT IN ('draft', 'approved') THEN
+    RAISE EXCEPTION 'Invalid listing status: %', p_status USING ERRCODE = '22023';
+  END IF;
+
+  IF p_floors IS NULL OR jsonb_typeof(p_floors) <> 'array' THEN
+    RAISE EXCEPTION 'Floors must be a JSON array' USING ERRCODE = '22023';
+  END IF;
+
+  IF v_floor_count > 10 THEN
+    RAISE EXCEPTION 'A listing can have at most 10 floors' USING ERRCODE = '22023';
+  END IF;
+
+  -- Drafts may be incomplete; everything else has to be a publishable listing
+  IF p_status IS DISTINCT FROM 'draft' THEN
+    IF coalesce(trim(p_listing->>'title'), '') = '' THEN
+      RAISE EXCEPTION 'Title is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF coalesce(trim(p_listing->>'district'), '') = '' THEN
+      RAISE EXCEPTION 'District is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_floor_count = 0 THEN
+      RAISE EXCEPTION 'A listing needs at least one floor' USING ERRCODE = '22023';
+    END IF;
+
+    FOR v_floor IN SELECT * FROM jsonb_array_elements(p_floors) LOOP
+      IF coalesce((v_floor->>'price_per_month')::NUMERIC, 0) <= 0 THEN
+        RAISE EXCEPTION 'Floor % needs a monthly price', v_floor->>'floor_number' USING ERRCODE = '22023';
+      END IF;
+
+      IF coalesce((v_floor->>'bedrooms_on_floor')::INTEGER, -1) < 0
+         OR coalesce((v_floor->>'bathrooms_on_floor')::INTEGER, -1) < 0 THEN
+        RAISE EXCEPTION 'Floor % has an invalid number of rooms', v_floor->>'floor_number' USING ERRCODE = '22023';
+      END IF;
+
+      IF coalesce((v_floor->>'deposit_months')::INTEGER, 0) < 0
+         OR coalesce((v_floor->>'advance_months')::INTEGER, 0) < 0
+         OR coalesce((v_floor->>'min_lease_months')::INTEGER, 1) < 1 THEN
+        RAISE EXCEPTION 'Floor % has invalid lease terms', v_floor->>'floor_number' USING ERRCODE = '22023';
+      END IF;
+    END LOOP;
+  END IF;
+
+  SELECT coalesce(sum((f->>'bedrooms_on_floor')::INTEGER), 0),
+         coalesce(sum((f->>'bathrooms_on_floor')::INTEGER), 0),
+         coalesce(min((f->>'price_per_month')::NUMERIC) FILTER (WHERE (f->>'price_per_month')::NUMERIC > 0), 0)
+  INTO v_rooms, v_bathrooms, v_price
+  FROM jsonb_array_elements(p_floors) AS f;
+
+  -- Known amenities only, in catalogue order
+  SELECT coalesce(array_agg(am.key ORDER BY am.sort_order, am.key), '{}')
+  INTO v_amenities
+  FROM public.amenities am
+  WHERE jsonb_typeof(p_listing->'amenities') = 'array'
+    AND p_listing->'amenities' ? am.key;
+
+  IF v_apartment_id IS NULL THEN
+    IF p_status IS NULL THEN
+      RAISE EXCEPTION 'A new listing needs a status' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO public.apartments (
+      owner_id, title, description, location_description, district,
+      latitude, longitude, rooms, bathrooms, price_per_month,
+      is_furnished, has_floor_system, amenities, whatsapp_number, display_owner_name,
+      is_available, status, created_at
+    ) VALUES (
+      auth.uid(),
+      coalesce(trim(p_listing->>'title'), ''),
+      coalesce(trim(p_listing->>'description'), ''),
+      coalesce(trim(p_listing->>'location_description'), ''),
+      p_listing->>'district',
+      (p_listing->>'latitude')::DOUBLE PRECISION,
+      (p_listing->>'longitude')::DOUBLE PRECISION,
+      v_rooms,
+      v_bathrooms,
+      v_price,
+      coalesce((p_listing->>'is_furnished')::BOOLEAN, false),
+      coalesce((p_listing->>'has_floor_system')::BOOLEAN, true),
+      v_amenities,
+      coalesce(trim(p_listing->>'whatsapp_number'), ''),
+      nullif(trim(p_listing->>'display_owner_name'), ''),
+      p_status = 'approved',
+      p_status,
+      now()
+    )
+    RETURNING id INTO v_apartment_id;
+  ELSE
+    -- RLS hides apartments the caller may not edit
+    SELECT status INTO v_current_status
+    FROM public.apartments
+    WHERE id = v_apartment_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Listing not found: %', v_apartment_id USING ERRCODE = 'P0002';
+    END IF;
+
+    -- Autosaves and publishing only apply to drafts; published listings are edited
+    IF p_status IS NOT NULL AND v_current_status IS DISTINCT FROM 'draft' THEN
+      RAISE EXCEPTION 'Listing % is not a draft', v_apartment_id USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE public.apartments a
+    SET title = coalesce(trim(p_listing->>'title'), ''),
+        description = coalesce(trim(p_listing->>'description'), ''),
+        location_description = coalesce(trim(p_listing->>'location_description'), ''),
+        district = p_listing->>'district',
+        latitude = (p_listing->>'latitude')::DOUBLE PRECISION,
+        longitude = (p_listing->>'longitude')::DOUBLE PRECISION,
+        rooms = v_rooms,
+        bathrooms = v_bathrooms,
+        price_per_month = v_price,
+        is_furnished = coalesce((p_listing->>'is_furnished')::BOOLEAN, false),
+        has_floor_system = coalesce((p_listing->>'has_floor_system')::BOOLEAN, true),
+        amenities = v_amenities,
+        whatsapp_number = coalesce(trim(p_listing->>'whatsapp_number'), ''),
+        -- Only admins send a display name; keep the current one otherwise
+        display_owner_name = CASE
+          WHEN p_listing ? 'display_owner_name' THEN nullif(trim(p_listing->>'display_owner_name'), '')
+          ELSE a.display_owner_name
+        END,
+        -- A published draft becomes a brand new listing
+        status = CASE WHEN p_status = 'approved' THEN 'approved' ELSE a.status END,
+        is_available = CASE WHEN p_status = 'approved' THEN true ELSE a.is_available END,
+        created_at = CASE WHEN p_status = 'approved' THEN now() ELSE a.created_at END,
+        updated_at = now()
+    WHERE a.id = v_apartment_id;
+  END IF;
+
+  -- Floors: drop the ones no longer listed, update the known ones, add the rest
+  DELETE FROM public.apartment_floors f
+  WHERE f.apartment_id = v_apartment_id
+    AND f.id NOT IN (
+      SELECT (e->>'id')::UUID
+      FROM jsonb_array_elements(p_floors) AS e
+      WHERE e->>'id' IS NOT NULL
+    );
+
+  FOR v_floor IN SELECT * FROM jsonb_array_elements(p_floors) LOOP
+    IF v_floor->>'id' IS NOT NULL THEN
+      UPDATE public.apartment_floors
+      SET floor_number = (v_floor->>'floor_number')::INTEGER,
+          bedrooms_on_floor = coalesce((v_floor->>'bedrooms_on_floor')::INTEGER, 0),
+          bathrooms_on_floor = coalesce((v_floor->>'bathrooms_on_floor')::INTEGER, 0),
+          has_kitchen = coalesce((v_floor->>'has_kitchen')::BOOLEAN, false),
+          has_living_room = coalesce((v_floor->>'has_living_room')::BOOLEAN, false),
+          has_master_room = coalesce((v_floor->>'has_master_room')::BOOLEAN, false),
+          price_per_month = coalesce((v_floor->>'price_per_month')::NUMERIC, 0),
+          floor_description = coalesce(trim(v_floor->>'floor_description'), ''),
+          floor_status = coalesce(v_floor->>'floor_status', 'available'),
+          is_available = coalesce(v_floor->>'floor_status', 'available') = 'available',
+          deposit_months = (v_floor->>'deposit_months')::SMALLINT,
+          advance_months = (v_floor->>'advance_months')::SMALLINT,
+          min_lease_months = (v_floor->>'min_lease_months')::SMALLINT,
+          water_included = coalesce((v_floor->>'water_included')::BOOLEAN, false),
+          electricity_included = coalesce((v_floor->>'electricity_included')::BOOLEAN, false),
+          available_from = (v_floor->>'available_from')::DATE,
+          occupied_until = (v_floor->>'occupied_until')::DATE,
+          updated_at = now()
+      WHERE id = (v_floor->>'id')::UUID
+        AND apartment_id = v_apartment_id;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Floor % does not belong to listing %', v_floor->>'id', v_apartment_id USING ERRCODE = '22023';
+      END IF;
+    ELSE
+      INSERT INTO public.apartment_floors (
+        apartment_id, floor_number, bedrooms_on_floor, bathrooms_on_floor,
+        has_kitchen, has_living_room, has_master_room, price_per_month,
+        floor_description, floor_status, is_available,
+        deposit_months, advance_months, min_lease_months, water_included, electricity_included,
+        available_from, occupied_until, created_at
+      ) VALUES (
+        v_apartment_id,
+        (v_floor->>'floor_number')::INTEGER,
+        coalesce((v_floor->>'bedrooms_on_floor')::INTEGER, 0),
+        coalesce((v_floor->>'bathrooms_on_floor')::INTEGER, 0),
+        coalesce((v_floor->>'has_kitchen')::BOOLEAN, false),
+        coalesce((v_floor->>'has_living_room')::BOOLEAN, false),
+        coalesce((v_floor->>'has_master_room')::BOOLEAN, false),
+        coalesce((v_floor->>'price_per_month')::NUMERIC, 0),
+        coalesce(trim(v_floor->>'floor_description'), ''),
+        coalesce(v_floor->>'floor_status', 'available'),
+        coalesce(v_floor->>'floor_status', 'available') = 'available',
+        (v_floor->>'deposit_months')::SMALLINT,
+        (v_floor->>'advance_months')::SMALLINT,
+        (v_floor->>'min_lease_months')::SMALLINT,
+        coalesce((v_floor->>'water_included')::BOOLEAN, false),
+        coalesce((v_floor->>'electricity_included')::BOOLEAN, false),
+        (v_floor->>'available_from')::DATE,
+        (v_floor->>'occupied_until')::DATE,
+        now()
+      );
+    END IF;
+  END LOOP;
+
+  SELECT * INTO v_apartment FROM public.apartments WHERE id = v_apartment_id;
+  RETURN v_apartment;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Grant execute permission to authenticated users
+GRANT EXECUTE ON FUNCTION public.save_listing TO authenticated;
+
+COMMENT ON FUNCTION public.save_listing IS 'Creates or updates a listing and all of its floors in one transaction and returns the saved apartment. Runs with the caller''s rights so RLS decides who may edit which listing.';
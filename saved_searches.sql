@@ -0,0 +1,260 @@
+-- Saved searches with new-listing alerts
+-- A saved search stores the Home filter set as the same query params the Home
+-- URL uses (q, district, minPrice, maxPrice, minRooms, furnished, ...), so it can
+-- be reopened as a link and matched against new listings in SQL.
+
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}'::JSONB,
+  notify_instant BOOLEAN NOT NULL DEFAULT true,
+  digest_frequency TEXT NOT NULL DEFAULT 'none' CHECK (digest_frequency IN ('none', 'daily', 'weekly')),
+  last_digest_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS saved_searches_user_id_idx ON public.saved_searches (user_id);
+
+-- Apartments that matched a saved search, kept for digests and to avoid repeat alerts
+CREATE TABLE IF NOT EXISTS public.saved_search_matches (
+  saved_search_id UUID NOT NULL REFERENCES public.saved_searches(id) ON DELETE CASCADE,
+  apartment_id UUID NOT NULL REFERENCES public.apartments(id) ON DELETE CASCADE,
+  matched_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  digested_at TIMESTAMPTZ,
+  PRIMARY KEY (saved_search_id, apartment_id)
+);
+
+-- Alerts of a saved search link back to it
+ALTER TABLE public.notifications
+  ADD COLUMN IF NOT EXISTS saved_search_id UUID REFERENCES public.saved_searches(id) ON DELETE SET NULL;
+
+-- Row level security: users only see and manage their own rows
+ALTER TABLE public.saved_searches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.saved_search_matches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage their saved searches" ON public.saved_searches;
+CREATE POLICY "Users manage their saved searches" ON public.saved_searches
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users view matches of their saved searches" ON public.saved_search_matches;
+CREATE POLICY "Users view matches of their saved searches" ON public.saved_search_matches
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.saved_searches s
+      WHERE s.id = saved_search_id AND s.user_id = auth.uid()
+    )
+  );
+
+-- Read a saved filter value as a number, integer, boolean or date. Saved values
+-- come from the Home URL, so anything that does not parse is treated as unset
+-- instead of failing the listing that is being matched.
+CREATE OR REPLACE FUNCTION public.search_filter_numeric(p_filters JSONB, p_key TEXT)
+RETURNS NUMERIC AS $$
+BEGIN
+  RETURN (p_filters->>p_key)::NUMERIC;
+EXCEPTION WHEN data_exception THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public.search_filter_integer(p_filters JSONB, p_key TEXT)
+RETURNS INTEGER AS $$
+BEGIN
+  RETURN (p_filters->>p_key)::INTEGER;
+EXCEPTION WHEN data_exception THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public.search_filter_boolean(p_filters JSONB, p_key TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN (p_filters->>p_key)::BOOLEAN;
+EXCEPTION WHEN data_exception THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Only YYYY-MM-DD: words such as 'tomorrow' would move with the day they are read
+CREATE OR REPLACE FUNCTION public.search_filter_date(p_filters JSONB, p_key TEXT)
+RETURNS DATE AS $$
+BEGIN
+  IF p_filters->>p_key !~ '^\d{4}-\d{2}-\d{2}$' THEN
+    RETURN NULL;
+  END IF;
+  RETURN (p_filters->>p_key)::DATE;
+EXCEPTION WHEN data_exception THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Check an apartment against a saved filter set (keys as in the Home URL)
+CREATE OR REPLACE FUNCTION public.apartment_matches_search_filters(
+  p_apartment public.apartments,
+  p_filters JSONB
+) RETURNS BOOLEAN AS $$
+DECLARE
+  v_term TEXT := public.normalize_search_text(p_filters->>'q');
+  v_min_price NUMERIC := public.search_filter_numeric(p_filters, 'minPrice');
+  v_max_price NUMERIC := public.search_filter_numeric(p_filters, 'maxPrice');
+  v_min_rooms INTEGER := public.search_filter_integer(p_filters, 'minRooms');
+  v_furnished BOOLEAN := public.search_filter_boolean(p_filters, 'furnished');
+  v_floor_bedrooms INTEGER := public.search_filter_integer(p_filters, 'floorBedrooms');
+  v_floor_max_price NUMERIC := public.search_filter_numeric(p_filters, 'floorMaxPrice');
+  v_kitchen BOOLEAN := public.search_filter_boolean(p_filters, 'kitchen');
+  v_living_room BOOLEAN := public.search_filter_boolean(p_filters, 'livingRoom');
+  v_max_advance INTEGER := public.search_filter_integer(p_filters, 'maxAdvance');
+  v_available_by DATE := public.search_filter_date(p_filters, 'availableBy');
+BEGIN
+  RETURN (p_filters->>'district' IS NULL OR p_apartment.district = p_filters->>'district')
+    AND (v_min_price IS NULL OR p_apartment.price_per_month >= v_min_price)
+    AND (v_max_price IS NULL OR p_apartment.price_per_month <= v_max_price)
+    AND (v_min_rooms IS NULL OR p_apartment.rooms >= v_min_rooms)
+    AND (v_furnished IS NULL OR p_apartment.is_furnished = v_furnished)
+    -- Comma-separated amenity keys, all of which the listing must have (amenities.sql)
+    AND (p_filters->>'amenities' IS NULL OR p_apartment.amenities @> string_to_array(p_filters->>'amenities', ','))
+    AND (
+      (v_floor_bedrooms IS NULL AND v_floor_max_price IS NULL AND v_kitchen IS NULL
+        AND v_living_room IS NULL AND v_max_advance IS NULL AND v_available_by IS NULL)
+      OR EXISTS (
+        SELECT 1
+        FROM public.apartment_floors f
+        WHERE f.apartment_id = p_apartment.id
+          AND public.apartment_floor_matches_filters(
+            f, v_floor_bedrooms, v_floor_max_price, v_kitchen, v_living_room, v_max_advance, v_available_by
+          )
+      )
+    )
+    AND (
+      v_term = ''
+      OR p_apartment.search_vector @@ public.search_tsquery(v_term)
+      OR v_term <% p_apartment.search_text
+    );
+END;
+$$ LANGUAGE plpgsql STABLE
+SET search_path = public, extensions
+SET pg_trgm.word_similarity_threshold = 0.4;
+
+-- Home URL for a saved filter set
+CREATE OR REPLACE FUNCTION public.search_filters_url(p_filters JSONB)
+RETURNS TEXT AS $$
+  SELECT '/?' || coalesce(string_agg(
+    key || '=' || replace(replace(replace(replace(value, '%', '%25'), '&', '%26'), '#', '%23'), ' ', '%20'),
+    '&'
+  ), '')
+  FROM jsonb_each_text(p_filters);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Record matches and send instant alerts when an apartment becomes publicly visible.
+-- Runs at commit (see the trigger below), so the apartment is read again to see
+-- the floors and search document that were saved after its own row. A saved
+-- search that cannot be evaluated is skipped: it must not roll back the owner's
+-- save or the admin's approval.
+CREATE OR REPLACE FUNCTION public.saved_search_matches_trigger()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_apartment public.apartments;
+  v_search public.saved_searches;
+  v_matches BOOLEAN;
+BEGIN
+  IF NEW.status IS DISTINCT FROM 'approved'
+     OR (TG_OP = 'UPDATE' AND OLD.status = 'approved') THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_apartment FROM public.apartments WHERE id = NEW.id;
+  IF NOT FOUND OR v_apartment.status IS DISTINCT FROM 'approved' THEN
+    RETURN NULL;
+  END IF;
+
+  FOR v_search IN
+    SELECT * FROM public.saved_searches s
+    WHERE s.user_id <> v_apartment.owner_id
+  LOOP
+    BEGIN
+      v_matches := public.apartment_matches_search_filters(v_apartment, v_search.filters);
+    EXCEPTION WHEN OTHERS THEN
+      RAISE WARNING 'Skipping saved search %: %', v_search.id, SQLERRM;
+      v_matches := false;
+    END;
+
+    CONTINUE WHEN v_matches IS NOT TRUE;
+
+    INSERT INTO public.saved_search_matches (saved_search_id, apartment_id)
+    VALUES (v_search.id, v_apartment.id)
+    ON CONFLICT DO NOTHING;
+
+    IF FOUND AND v_search.notify_instant THEN
+      INSERT INTO public.notifications (user_id, type, title, body, link, apartment_id, saved_search_id)
+      VALUES (
+        v_search.user_id,
+        'saved_search_match',
+        'Guri cusub ayaa ku habboon "' || v_search.name || '"',
+        concat_ws(' · ', v_apartment.title, v_apartment.district, '$' || v_apartment.price_per_month || '/bishii'),
+        '/apartments/' || v_apartment.id,
+        v_apartment.id,
+        v_search.id
+      );
+    END IF;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Deferred to the end of the transaction: save_listing writes the apartment row
+-- before its floors, and the floor filters must see the floors being saved
+DROP TRIGGER IF EXISTS apartments_saved_search_matches ON public.apartments;
+CREATE CONSTRAINT TRIGGER apartments_saved_search_matches
+  AFTER INSERT OR UPDATE OF status ON public.apartments
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION public.saved_search_matches_trigger();
+
+-- Send one summary notification per saved search with undigested matches whose
+-- daily or weekly digest is due. Scheduled hourly with pg_cron below.
+CREATE OR REPLACE FUNCTION public.send_saved_search_digests()
+RETURNS INTEGER AS $$
+DECLARE
+  v_sent INTEGER;
+BEGIN
+  WITH due AS (
+    SELECT s.id, s.user_id, s.name, s.filters, count(*) AS match_count
+    FROM public.saved_searches s
+    JOIN public.saved_search_matches m ON m.saved_search_id = s.id AND m.digested_at IS NULL
+    WHERE (s.digest_frequency = 'daily' AND (s.last_digest_at IS NULL OR s.last_digest_at <= now() - INTERVAL '1 day'))
+       OR (s.digest_frequency = 'weekly' AND (s.last_digest_at IS NULL OR s.last_digest_at <= now() - INTERVAL '7 days'))
+    GROUP BY s.id
+  ),
+  sent AS (
+    INSERT INTO public.notifications (user_id, type, title, body, link, saved_search_id)
+    SELECT user_id,
+           'saved_search_digest',
+           match_count || ' guri cusub ayaa ku habboon "' || name || '"',
+           'Soo koobid guryaha cusub ee raadintaada la kaydiyay',
+           public.search_filters_url(filters),
+           id
+    FROM due
+    RETURNING saved_search_id
+  ),
+  digested AS (
+    UPDATE public.saved_search_matches
+    SET digested_at = now()
+    WHERE saved_search_id IN (SELECT saved_search_id FROM sent)
+      AND digested_at IS NULL
+  )
+  UPDATE public.saved_searches
+  SET last_digest_at = now()
+  WHERE id IN (SELECT saved_search_id FROM sent);
+
+  GET DIAGNOSTICS v_sent = ROW_COUNT;
+  RETURN v_sent;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Requires the pg_cron extension (Database > Extensions in the Supabase dashboard)
+SELECT cron.schedule('saved-search-digests', '0 * * * *', 'SELECT public.send_saved_search_digests()');
+
+COMMENT ON TABLE public.saved_searches IS 'Home filter sets saved by users, matched against newly approved apartments';
+COMMENT ON FUNCTION public.send_saved_search_digests IS 'Sends daily/weekly digest notifications for saved searches with new matches. Returns the number of digests sent.';
@@ -0,0 +1,269 @@
+-- Full-text and trigram search for apartment listings
+-- Somali place names are spelled many ways ("Maka al-Mukarama", "Makka Al-Mukarrama",
+-- "Xamar Weyne" / "Hamar Weyne"), so both the stored document and the query are
+-- normalized the same way before matching (search_text.sql).
+
+-- Search document columns kept up to date by triggers
+ALTER TABLE public.apartments
+  ADD COLUMN IF NOT EXISTS search_text TEXT,
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE INDEX IF NOT EXISTS apartments_search_vector_idx
+  ON public.apartments USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS apartments_search_text_trgm_idx
+  ON public.apartments USING GIN (search_text extensions.gin_trgm_ops);
+
+-- Build the search document from the apartment and the descriptions of its floors
+CREATE OR REPLACE FUNCTION public.apartments_search_document_trigger()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_floor_text TEXT;
+BEGIN
+  SELECT string_agg(floor_description, ' ')
+  INTO v_floor_text
+  FROM public.apartment_floors
+  WHERE apartment_id = NEW.id;
+
+  NEW.search_text := public.normalize_search_text(
+    concat_ws(' ', NEW.title, NEW.district, NEW.location_description, NEW.description, v_floor_text)
+  );
+
+  NEW.search_vector :=
+    setweight(to_tsvector('simple', public.normalize_search_text(NEW.title)), 'A') ||
+    setweight(to_tsvector('simple', public.normalize_search_text(concat_ws(' ', NEW.district, NEW.location_description))), 'A') ||
+    setweight(to_tsvector('simple', public.normalize_search_text(NEW.description)), 'B') ||
+    setweight(to_tsvector('simple', public.normalize_search_text(v_floor_text)), 'C');
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public, extensions;
+
+DROP TRIGGER IF EXISTS apartments_search_document ON public.apartments;
+CREATE TRIGGER apartments_search_document
+  BEFORE INSERT OR UPDATE ON public.apartments
+  FOR EACH ROW EXECUTE FUNCTION public.apartments_search_document_trigger();
+
+-- Touch the parent apartment when floor descriptions change so its document is rebuilt
+CREATE OR REPLACE FUNCTION public.apartment_floors_search_document_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.apartments
+  SET search_text = NULL
+  WHERE id = COALESCE(NEW.apartment_id, OLD.apartment_id);
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apartment_floors_search_document ON public.apartment_floors;
+CREATE TRIGGER apartment_floors_search_document
+  AFTER INSERT OR UPDATE OF floor_description OR DELETE ON public.apartment_floors
+  FOR EACH ROW EXECUTE FUNCTION public.apartment_floors_search_document_trigger();
+
+-- Backfill existing listings
+UPDATE public.apartments SET search_text = NULL;
+
+-- Relevance of an apartment for a normalized search term (0 when there is no term)
+CREATE OR REPLACE FUNCTION public.apartment_search_rank(
+  p_apartment public.apartments,
+  p_term TEXT,
+  p_tsquery TSQUERY
+) RETURNS REAL AS $$
+  SELECT CASE
+    WHEN coalesce(p_term, '') = '' THEN 0::REAL
+    ELSE ts_rank(p_apartment.search_vector, p_tsquery) + word_similarity(p_term, p_apartment.search_text)
+  END;
+$$ LANGUAGE sql STABLE SET search_path = public, extensions;
+
+-- Average review rating per apartment, used for the "highest rated" sort
+CREATE OR REPLACE VIEW public.apartment_rating_stats
+WITH (security_invoker = true) AS
+SELECT apartment_id,
+       count(*) AS review_count,
+       round(avg(rating)::NUMERIC, 2) AS avg_rating
+FROM public.reviews
+GROUP BY apartment_id;
+
+GRANT SELECT ON public.apartment_rating_stats TO anon, authenticated;
+
+CREATE INDEX IF NOT EXISTS reviews_apartment_id_idx
+  ON public.reviews (apartment_id);
+
+CREATE INDEX IF NOT EXISTS apartment_floors_apartment_id_price_idx
+  ON public.apartment_floors (apartment_id, price_per_month);
+
+-- Whether a single floor is available and satisfies every floor-level filter
+-- (NULL filters are ignored). Apartments match the floor filters when at least
+-- one of their floors does, so a cheap small floor and an expensive large floor
+-- in the same building are never combined into one match. p_max_advance_months
+-- only matches floors whose advance is known (lease_terms.sql). With
+-- p_available_by the floor does not have to be available today, only by that
+-- date (floor_available_date in floor_availability.sql).
+DROP FUNCTION IF EXISTS public.apartment_floor_matches_filters(public.apartment_floors, INTEGER, NUMERIC, BOOLEAN, BOOLEAN);
+DROP FUNCTION IF EXISTS public.apartment_floor_matches_filters(public.apartment_floors, INTEGER, NUMERIC, BOOLEAN, BOOLEAN, INTEGER);
+CREATE OR REPLACE FUNCTION public.apartment_floor_matches_filters(
+  p_floor public.apartment_floors,
+  p_min_bedrooms INTEGER,
+  p_max_price NUMERIC,
+  p_has_kitchen BOOLEAN,
+  p_has_living_room BOOLEAN,
+  p_max_advance_months INTEGER DEFAULT NULL,
+  p_available_by DATE DEFAULT NULL
+) RETURNS BOOLEAN AS $$
+  SELECT CASE
+      WHEN p_available_by IS NULL THEN p_floor.floor_status = 'available'
+      ELSE coalesce(public.floor_available_date(p_floor) <= p_available_by, false)
+    END
+    AND (p_min_bedrooms IS NULL OR p_floor.bedrooms_on_floor >= p_min_bedrooms)
+    AND (p_max_price IS NULL OR p_floor.price_per_month <= p_max_price)
+    AND (p_has_kitchen IS NULL OR p_floor.has_kitchen = p_has_kitchen)
+    AND (p_has_living_room IS NULL OR p_floor.has_living_room = p_has_living_room)
+    AND (p_max_advance_months IS NULL OR p_floor.advance_months <= p_max_advance_months);
+$$ LANGUAGE sql STABLE;
+
+-- Primary sort key of an apartment for a sort option. Results are always ordered
+-- by this key descending, so ascending sorts return the negated value.
+--   relevance  - search rank (0 without a search term, so newest first)
+--   newest     - constant, leaving the order to created_at
+--   price_asc  - cheapest floor first
+--   price_desc - most expensive floor first
+--   rating     - highest average review rating first (unrated last)
+--   bedrooms   - most bedrooms first
+CREATE OR REPLACE FUNCTION public.apartment_sort_key(
+  p_apartment public.apartments,
+  p_sort TEXT,
+  p_term TEXT,
+  p_tsquery TSQUERY
+) RETURNS NUMERIC AS $$
+  SELECT CASE coalesce(p_sort, 'relevance')
+    WHEN 'newest' THEN 0
+    WHEN 'price_asc' THEN -(
+      SELECT coalesce(min(f.price_per_month), p_apartment.price_per_month, 0)
+      FROM public.apartment_floors f
+      WHERE f.apartment_id = p_apartment.id
+    )
+    WHEN 'price_desc' THEN (
+      SELECT coalesce(min(f.price_per_month), p_apartment.price_per_month, 0)
+      FROM public.apartment_floors f
+      WHERE f.apartment_id = p_apartment.id
+    )
+    WHEN 'rating' THEN coalesce((
+      SELECT s.avg_rating
+      FROM public.apartment_rating_stats s
+      WHERE s.apartment_id = p_apartment.id
+    ), 0)
+    WHEN 'bedrooms' THEN coalesce(p_apartment.rooms, 0)
+    ELSE public.apartment_search_rank(p_apartment, p_term, p_tsquery)::NUMERIC
+  END;
+$$ LANGUAGE sql STABLE SET search_path = public, extensions;
+
+-- Search apartments by free text and the Home page filters, ordered by p_sort
+-- (best matches first by default). The p_min_lat/p_max_lat/p_min_lng/p_max_lng
+-- box limits results to pinned listings inside the visible map area. The p_floor_*
+-- filters require one available floor that satisfies all of them (see
+-- apartment_floor_matches_filters). Pages are fetched with keyset pagination:
+-- pass the id of the last apartment already shown as p_after_id to get the rows
+-- that sort after it on (sort key, created_at, id).
+DROP FUNCTION IF EXISTS public.search_apartments;
+CREATE OR REPLACE FUNCTION public.search_apartments(
+  p_query TEXT DEFAULT NULL,
+  p_district TEXT DEFAULT NULL,
+  p_min_price NUMERIC DEFAULT NULL,
+  p_max_price NUMERIC DEFAULT NULL,
+  p_min_rooms INTEGER DEFAULT NULL,
+  p_is_furnished BOOLEAN DEFAULT NULL,
+  p_floor_min_bedrooms INTEGER DEFAULT NULL,
+  p_floor_max_price NUMERIC DEFAULT NULL,
+  p_floor_has_kitchen BOOLEAN DEFAULT NULL,
+  p_floor_has_living_room BOOLEAN DEFAULT NULL,
+  p_floor_max_advance_months INTEGER DEFAULT NULL,
+  p_floor_available_by DATE DEFAULT NULL,
+  p_amenities TEXT[] DEFAULT NULL,
+  p_sort TEXT DEFAULT NULL,
+  p_min_lat DOUBLE PRECISION DEFAULT NULL,
+  p_max_lat DOUBLE PRECISION DEFAULT NULL,
+  p_min_lng DOUBLE PRECISION DEFAULT NULL,
+  p_max_lng DOUBLE PRECISION DEFAULT NULL,
+  p_after_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT NULL
+) RETURNS SETOF public.apartments AS $$
+DECLARE
+  v_term TEXT := public.normalize_search_text(p_query);
+  v_tsquery TSQUERY := public.search_tsquery(v_term);
+  v_after_sort_key NUMERIC;
+  v_after_created_at TIMESTAMPTZ;
+  v_stale_before TIMESTAMPTZ := public.listing_stale_before();
+BEGIN
+  -- Resolve the cursor row into its sort key
+  IF p_after_id IS NOT NULL THEN
+    SELECT public.apartment_sort_key(a, p_sort, v_term, v_tsquery), a.created_at
+    INTO v_after_sort_key, v_after_created_at
+    FROM public.apartments a
+    WHERE a.id = p_after_id;
+
+    IF NOT FOUND THEN
+      RETURN;
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  SELECT (r.apartment).*
+  FROM (
+    SELECT a AS apartment,
+           a.id,
+           a.created_at,
+           public.apartment_sort_key(a, p_sort, v_term, v_tsquery) AS sort_key
+    FROM public.apartments a
+    WHERE coalesce(a.status, 'approved') = 'approved'
+      -- Listings their owner has not confirmed lately (listing_expiry.sql)
+      AND (v_stale_before IS NULL OR a.confirmed_at >= v_stale_before)
+      AND (p_district IS NULL OR a.district = p_district)
+      AND (p_min_price IS NULL OR a.price_per_month >= p_min_price)
+      AND (p_max_price IS NULL OR a.price_per_month <= p_max_price)
+      AND (p_min_rooms IS NULL OR a.rooms >= p_min_rooms)
+      AND (p_is_furnished IS NULL OR a.is_furnished = p_is_furnished)
+      -- Listings with every selected amenity (amenities.sql)
+      AND (p_amenities IS NULL OR a.amenities @> p_amenities)
+      AND (p_min_lat IS NULL OR a.latitude >= p_min_lat)
+      AND (p_max_lat IS NULL OR a.latitude <= p_max_lat)
+      AND (p_min_lng IS NULL OR a.longitude >= p_min_lng)
+      AND (p_max_lng IS NULL OR a.longitude <= p_max_lng)
+      AND (
+        (p_floor_min_bedrooms IS NULL AND p_floor_max_price IS NULL
+          AND p_floor_has_kitchen IS NULL AND p_floor_has_living_room IS NULL
+          AND p_floor_max_advance_months IS NULL AND p_floor_available_by IS NULL)
+        OR EXISTS (
+          SELECT 1
+          FROM public.apartment_floors f
+          WHERE f.apartment_id = a.id
+            AND public.apartment_floor_matches_filters(
+              f, p_floor_min_bedrooms, p_floor_max_price, p_floor_has_kitchen, p_floor_has_living_room,
+              p_floor_max_advance_months, p_floor_available_by
+            )
+        )
+      )
+      AND (
+        v_term = ''
+        OR a.search_vector @@ v_tsquery
+        OR v_term <% a.search_text
+      )
+  ) r
+  WHERE p_after_id IS NULL
+     OR (r.sort_key, r.created_at, r.id) < (v_after_sort_key, v_after_created_at, p_after_id)
+  ORDER BY r.sort_key DESC, r.created_at DESC, r.id DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE
+SET search_path = public, extensions
+SET pg_trgm.word_similarity_threshold = 0.4;
+
+-- Index backing the default newest-first keyset order
+CREATE INDEX IF NOT EXISTS apartments_created_at_id_idx
+  ON public.apartments (created_at DESC, id DESC);
+
+-- Grant execute permission to visitors and signed-in users
+GRANT EXECUTE ON FUNCTION public.search_apartments TO anon, authenticated;
+
+-- Comment to explain the function
+COMMENT ON FUNCTION public.search_apartments IS 'Searches apartments by title, description, location and floor descriptions with typo-tolerant matching, combined with the Home page filters and sort options. Supports keyset pagination through p_after_id and runs with the caller''s rights so RLS still applies.';
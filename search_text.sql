@@ -0,0 +1,34 @@
+-- Search text helpers
+-- Normalization shared by the listing search (search_apartments.sql) and the
+-- saved-search alerts (saved_searches.sql): both the stored document and the
+-- query go through normalize_search_text before they are compared.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA extensions;
+
+-- Normalize text for search: lowercase, strip accents, map Somali "x" to "h",
+-- collapse doubled letters and drop punctuation
+CREATE OR REPLACE FUNCTION public.normalize_search_text(p_text TEXT)
+RETURNS TEXT AS $$
+  SELECT trim(
+    regexp_replace(
+      regexp_replace(
+        translate(lower(extensions.unaccent('extensions.unaccent', coalesce(p_text, ''))), 'x', 'h'),
+        '([a-z])\1+', '\1', 'g'
+      ),
+      '[^a-z0-9]+', ' ', 'g'
+    )
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Prefix query matching any word of a normalized search term ("hod" finds "Hodan")
+CREATE OR REPLACE FUNCTION public.search_tsquery(p_term TEXT)
+RETURNS TSQUERY AS $$
+  SELECT CASE
+    WHEN coalesce(p_term, '') = '' THEN NULL
+    ELSE to_tsquery('simple', array_to_string(
+      ARRAY(SELECT word || ':*' FROM regexp_split_to_table(p_term, '\s+') AS word),
+      ' | '
+    ))
+  END;
+$$ LANGUAGE sql IMMUTABLE;
@@ -0,0 +1,139 @@
+-- "Similar apartments" recommendations for the apartment detail page
+-- Candidates are scored on district (same or neighbouring), price band, bedroom
+-- count and furnished status. Only approved listings with an available floor
+-- (or available legacy listings without floors) are recommended.
+
+-- Neighbouring Mogadishu districts, stored in both directions.
+-- Approximate borders; add or remove rows to tune the "nearby" matches.
+CREATE TABLE IF NOT EXISTS public.district_neighbours (
+  district TEXT NOT NULL,
+  neighbour TEXT NOT NULL,
+  PRIMARY KEY (district, neighbour)
+);
+
+ALTER TABLE public.district_neighbours ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view district neighbours" ON public.district_neighbours;
+CREATE POLICY "Anyone can view district neighbours" ON public.district_neighbours
+  FOR SELECT USING (true);
+
+INSERT INTO public.district_neighbours (district, neighbour)
+SELECT d, n
+FROM (VALUES
+  ('Hamar Weyne', 'Shangani'),
+  ('Hamar Weyne', 'Bondhere'),
+  ('Hamar Weyne', 'Hamar Jajab'),
+  ('Hamar Weyne', 'Waberi'),
+  ('Shangani', 'Abdiaziz'),
+  ('Shangani', 'Bondhere'),
+  ('Abdiaziz', 'Bondhere'),
+  ('Abdiaziz', 'Shibis'),
+  ('Abdiaziz', 'Karan'),
+  ('Bondhere', 'Shibis'),
+  ('Bondhere', 'Waberi'),
+  ('Bondhere', 'Howl Wadaag'),
+  ('Shibis', 'Karan'),
+  ('Shibis', 'Yaqshid'),
+  ('Shibis', 'Howl Wadaag'),
+  ('Karan', 'Yaqshid'),
+  ('Karan', 'Huriwa'),
+  ('Yaqshid', 'Huriwa'),
+  ('Yaqshid', 'Howl Wadaag'),
+  ('Yaqshid', 'Warta Nabada'),
+  ('Yaqshid', 'Daynile'),
+  ('Huriwa', 'Daynile'),
+  ('Hamar Jajab', 'Waberi'),
+  ('Hamar Jajab', 'Wadajir'),
+  ('Waberi', 'Howl Wadaag'),
+  ('Waberi', 'Hodan'),
+  ('Waberi', 'Wadajir'),
+  ('Howl Wadaag', 'Hodan'),
+  ('Howl Wadaag', 'Warta Nabada'),
+  ('Hodan', 'Wadajir'),
+  ('Hodan', 'Dharkenley'),
+  ('Hodan', 'Daynile'),
+  ('Hodan', 'Warta Nabada'),
+  ('Wadajir', 'Dharkenley'),
+  ('Dharkenley', 'Daynile'),
+  ('Warta Nabada', 'Daynile')
+) AS pairs(a, b)
+CROSS JOIN LATERAL (VALUES (pairs.a, pairs.b), (pairs.b, pairs.a)) AS both_ways(d, n)
+ON CONFLICT DO NOTHING;
+
+-- Cheapest available floor of an apartment, falling back to the apartment price
+CREATE OR REPLACE FUNCTION public.apartment_available_price(p_apartment public.apartments)
+RETURNS NUMERIC AS $$
+  SELECT coalesce(
+    (SELECT min(f.price_per_month)
+     FROM public.apartment_floors f
+     WHERE f.apartment_id = p_apartment.id
+       AND f.floor_status = 'available'),
+    p_apartment.price_per_month
+  );
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- Recommend apartments similar to p_apartment_id, best matches first.
+-- Scoring: same district 3 / neighbouring district 1.5, price within 25% 2 /
+-- within 50% 1, same bedroom count 1.5 / one off 0.75, same furnished status 1.
+-- A candidate has to share the area or the price band to be recommended at all.
+CREATE OR REPLACE FUNCTION public.similar_apartments(
+  p_apartment_id UUID,
+  p_limit INTEGER DEFAULT 6
+) RETURNS SETOF public.apartments AS $$
+  WITH target AS (
+    SELECT a.*, public.apartment_available_price(a) AS ref_price
+    FROM public.apartments a
+    WHERE a.id = p_apartment_id
+  ),
+  candidates AS (
+    SELECT c AS apartment,
+           c.created_at,
+           abs(public.apartment_available_price(c) - t.ref_price) AS price_diff,
+           CASE
+             WHEN c.district = t.district THEN 3
+             WHEN EXISTS (
+               SELECT 1 FROM public.district_neighbours n
+               WHERE n.district = t.district AND n.neighbour = c.district
+             ) THEN 1.5
+             ELSE 0
+           END AS district_score,
+           CASE
+             WHEN t.ref_price IS NULL OR t.ref_price <= 0 THEN 0
+             WHEN abs(public.apartment_available_price(c) - t.ref_price) <= t.ref_price * 0.25 THEN 2
+             WHEN abs(public.apartment_available_price(c) - t.ref_price) <= t.ref_price * 0.5 THEN 1
+             ELSE 0
+           END AS price_score,
+           CASE abs(coalesce(c.rooms, 0) - coalesce(t.rooms, 0))
+             WHEN 0 THEN 1.5
+             WHEN 1 THEN 0.75
+             ELSE 0
+           END AS rooms_score,
+           CASE WHEN c.is_furnished IS NOT DISTINCT FROM t.is_furnished THEN 1 ELSE 0 END AS furnished_score
+    FROM public.apartments c
+    CROSS JOIN target t
+    WHERE c.id <> t.id
+      AND c.status = 'approved'
+      AND (
+        EXISTS (
+          SELECT 1 FROM public.apartment_floors f
+          WHERE f.apartment_id = c.id AND f.floor_status = 'available'
+        )
+        OR (
+          c.is_available
+          AND NOT EXISTS (SELECT 1 FROM public.apartment_floors f WHERE f.apartment_id = c.id)
+        )
+      )
+  )
+  SELECT (candidates.apartment).*
+  FROM candidates
+  WHERE district_score > 0 OR price_score > 0
+  ORDER BY district_score + price_score + rooms_score + furnished_score DESC,
+           price_diff ASC NULLS LAST,
+           created_at DESC
+  LIMIT coalesce(p_limit, 6);
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- Grant execute permission to visitors and signed-in users
+GRANT EXECUTE ON FUNCTION public.similar_apartments TO anon, authenticated;
+
+COMMENT ON FUNCTION public.similar_apartments IS 'Available apartments similar to the given one by district (including neighbouring districts), price band, bedrooms and furnished status. Runs with the caller''s rights so RLS still applies.';
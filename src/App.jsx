@@ -1,5 +1,7 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { CompareProvider } from './context/CompareContext';
+import { AmenitiesProvider } from './context/AmenitiesContext';
 import { Suspense, lazy, useState, useEffect } from 'react';
 import { AnimatePresence } from 'framer-motion';
 import React from 'react';
@@ -134,6 +136,7 @@ const Login = lazyWithRetry(() => import('./pages/Login'), 'Login');
 const Signup = lazyWithRetry(() => import('./pages/Signup'), 'Signup');
 const AuthCallback = lazyWithRetry(() => import('./pages/AuthCallback'), 'AuthCallback');
 const ApartmentDetail = lazyWithRetry(() => import('./pages/ApartmentDetail'), 'ApartmentDetail');
+const Compare = lazyWithRetry(() => import('./pages/Compare'), 'Compare');
 const OwnerDashboard = lazyWithRetry(() => import('./pages/OwnerDashboard'), 'OwnerDashboard');
 const AdminDashboard = lazyWithRetry(() => import('./pages/AdminDashboard'), 'AdminDashboard');
 const UserProfile = lazyWithRetry(() => import('./pages/UserProfile'), 'UserProfile');
@@ -192,81 +195,86 @@ function App() {
   return (
     <Router>
       <AuthProvider>
-        <ErrorBoundary>
-          <div className="flex flex-col min-h-screen bg-gradient-to-br from-night-50 to-night-100">
-            <Header />
-            <main className="flex-grow relative">
-              <AnimatePresence mode="wait">
-                <Suspense fallback={
-                  <div className="flex items-center justify-center min-h-[60vh]">
-                    <LoadingSpinner />
-                  </div>
-                }>
-                  <Routes>
-                    {/* Public routes */}
-                    <Route path="/" element={<Home />} />
-                    <Route path="/login" element={<Login />} />
-                    <Route path="/signup" element={<Signup />} />
-                    <Route path="/auth/callback" element={<AuthCallback />} />
-                    <Route path="/apartments/:id" element={<ApartmentDetail />} />
-                    <Route path="/contact" element={<Contact />} />
-                    <Route path="/test-images" element={<ImageTest />} />
+        <CompareProvider>
+          <AmenitiesProvider>
+            <ErrorBoundary>
+              <div className="flex flex-col min-h-screen bg-gradient-to-br from-night-50 to-night-100">
+                <Header />
+                <main className="flex-grow relative">
+                  <AnimatePresence mode="wait">
+                    <Suspense fallback={
+                      <div className="flex items-center justify-center min-h-[60vh]">
+                        <LoadingSpinner />
+                      </div>
+                    }>
+                      <Routes>
+                        {/* Public routes */}
+                        <Route path="/" element={<Home />} />
+                        <Route path="/login" element={<Login />} />
+                        <Route path="/signup" element={<Signup />} />
+                        <Route path="/auth/callback" element={<AuthCallback />} />
+                        <Route path="/apartments/:id" element={<ApartmentDetail />} />
+                        <Route path="/compare" element={<Compare />} />
+                        <Route path="/contact" element={<Contact />} />
+                        <Route path="/test-images" element={<ImageTest />} />
 
-                    {/* User routes */}
-                    <Route 
-                      path="/profile" 
-                      element={
-                        <ProtectedRoute>
-                          <UserProfile />
-                        </ProtectedRoute>
-                      } 
-                    />
-                    <Route 
-                      path="/become-owner" 
-                      element={
-                        <ProtectedRoute>
-                          <BecomeOwner />
-                        </ProtectedRoute>
-                      } 
-                    />
-                    <Route 
-                      path="/review/:apartmentId" 
-                      element={
-                        <ProtectedRoute>
-                          <WriteReview />
-                        </ProtectedRoute>
-                      } 
-                    />
+                        {/* User routes */}
+                        <Route 
+                          path="/profile" 
+                          element={
+                            <ProtectedRoute>
+                              <UserProfile />
+                            </ProtectedRoute>
+                          } 
+                        />
+                        <Route 
+                          path="/become-owner" 
+                          element={
+                            <ProtectedRoute>
+                              <BecomeOwner />
+                            </ProtectedRoute>
+                          } 
+                        />
+                        <Route 
+                          path="/review/:apartmentId" 
+                          element={
+                            <ProtectedRoute>
+                              <WriteReview />
+                            </ProtectedRoute>
+                          } 
+                        />
 
-                    {/* Owner routes */}
-                    <Route 
-                      path="/owner/dashboard/*" 
-                      element={
-                        <ProtectedRoute allowedRoles={['owner', 'admin']}>
-                          <OwnerDashboard />
-                        </ProtectedRoute>
-                      } 
-                    />
+                        {/* Owner routes */}
+                        <Route 
+                          path="/owner/dashboard/*" 
+                          element={
+                            <ProtectedRoute allowedRoles={['owner', 'admin']}>
+                              <OwnerDashboard />
+                            </ProtectedRoute>
+                          } 
+                        />
 
-                    {/* Admin routes */}
-                    <Route 
-                      path="/admin/dashboard/*" 
-                      element={
-                        <ProtectedRoute allowedRoles={['admin']}>
-                          <AdminDashboard />
-                        </ProtectedRoute>
-                      } 
-                    />
+                        {/* Admin routes */}
+                        <Route 
+                          path="/admin/dashboard/*" 
+                          element={
+                            <ProtectedRoute allowedRoles={['admin']}>
+                              <AdminDashboard />
+                            </ProtectedRoute>
+                          } 
+                        />
 
-                    {/* 404 route */}
-                    <Route path="*" element={<NotFound />} />
-                  </Routes>
-                </Suspense>
-              </AnimatePresence>
-            </main>
-            <Footer />
-          </div>
-        </ErrorBoundary>
+                        {/* 404 route */}
+                        <Route path="*" element={<NotFound />} />
+                      </Routes>
+                    </Suspense>
+                  </AnimatePresence>
+                </main>
+                <Footer />
+              </div>
+            </ErrorBoundary>
+          </AmenitiesProvider>
+        </CompareProvider>
       </AuthProvider>
     </Router>
   );
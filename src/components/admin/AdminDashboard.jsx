@@ -8,10 +8,12 @@ import { supabase } from '../../lib/supabase';
 import ManageUsers from './ManageUsers';
 import AllListings from './AllListings';
 import PendingOwners from './PendingOwners';
+import ListingReviewQueue from './ListingReviewQueue';
 
 // Dashboard tabs
 const tabs = [
   { name: 'Pending Owners', path: 'owners', icon: '🔑' },
+  { name: 'Review Queue', path: 'review', icon: '📋' },
   { name: 'Manage Users', path: 'users', icon: '👥' },
   { name: 'All Listings', path: 'listings', icon: '🏠' },
 ];
@@ -83,6 +85,7 @@ const AdminDashboard = () => {
       <div className="bg-gray-50 rounded-lg p-3 md:p-6">
         <Routes>
           <Route path="owners" element={<PendingOwners />} />
+          <Route path="review" element={<ListingReviewQueue />} />
           <Route path="users" element={<ManageUsers />} />
           <Route path="listings" element={<AllListings />} />
           <Route path="/" element={<Navigate to="/admin/dashboard/owners" replace />} />
@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../../lib/supabase';
 import LoadingSpinner from '../ui/LoadingSpinner';
-import { getImageUrl } from '../../utils/imageUtils';
+import { getImageUrl, deleteApartmentImages } from '../../utils/imageUtils';
+import { fetchListingExpiryPolicy } from '../../utils/listingExpiry';
 
 const AllListings = () => {
   const [apartments, setApartments] = useState([]);
@@ -12,6 +13,10 @@ const AllListings = () => {
   const [hasMore, setHasMore] = useState(true);
   const [isInitialized, setIsInitialized] = useState(false);
   const pageSize = 10;
+  // Owner confirmation of approved listings (listing_expiry.sql)
+  const [expiryStats, setExpiryStats] = useState(null);
+  const [expiryPolicy, setExpiryPolicy] = useState(null);
+  const [savingExpiryPolicy, setSavingExpiryPolicy] = useState(false);
 
   const fetchApartments = async (pageIndex = 0, status = filterStatus) => {
     try {
@@ -137,6 +142,64 @@ const AllListings = () => {
     fetchApartments(0, filterStatus);
   }, [filterStatus]);
 
+  const fetchExpiryStats = async () => {
+    try {
+      const [{ data: statsData, error: statsError }, policyData] = await Promise.all([
+        supabase.rpc('listing_expiry_stats'),
+        fetchListingExpiryPolicy()
+      ]);
+
+      if (statsError) throw statsError;
+      setExpiryStats(statsData[0]);
+      setExpiryPolicy({
+        confirm_every_days: policyData.confirm_every_days ?? '',
+        remind_days_before: policyData.remind_days_before
+      });
+    } catch (error) {
+      console.error('Error fetching listing expiry stats:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchExpiryStats();
+  }, []);
+
+  const handleSaveExpiryPolicy = async () => {
+    const days = expiryPolicy.confirm_every_days === '' ? null : parseInt(expiryPolicy.confirm_every_days);
+    const remindDays = parseInt(expiryPolicy.remind_days_before);
+    if (days !== null && (isNaN(days) || days < 1)) {
+      alert('Listings must be confirmed every 1 day or more, or leave it empty to never expire them');
+      return;
+    }
+    if (isNaN(remindDays) || remindDays < 0 || (days !== null && remindDays >= days)) {
+      alert('The reminder must be sent 0 or more days before expiry, and before the confirmation period ends');
+      return;
+    }
+
+    try {
+      setSavingExpiryPolicy(true);
+
+      const { error } = await supabase
+        .from('listing_expiry_policy')
+        .update({
+          confirm_every_days: days,
+          remind_days_before: remindDays,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', true);
+
+      if (error) throw error;
+
+      await fetchExpiryStats();
+      alert('Expiry policy saved');
+    } catch (error) {
+      console.error('Error saving expiry policy:', error);
+      alert(`Failed to save expiry policy: ${error.message}`);
+    } finally {
+      setSavingExpiryPolicy(false);
+    }
+  };
+
   const handleLoadMore = () => {
     if (!loading && hasMore) {
       const nextPage = page + 1;
@@ -218,11 +281,13 @@ const AllListings = () => {
         .delete()
         .eq('apartment_id', apartmentId);
       
-      // Step 7: Delete apartment images related to the apartment
-      await supabase
+      // Step 7: Delete apartment images related to the apartment, files included
+      const { data: imagesData } = await supabase
         .from('apartment_images')
-        .delete()
+        .select('id')
         .eq('apartment_id', apartmentId);
+
+      await deleteApartmentImages((imagesData || []).map(image => image.id));
       
       // Step 8: Delete the apartment itself
       const { error } = await supabase
@@ -274,6 +339,62 @@ const AllListings = () => {
           </select>
         </div>
       </div>
+
+      {/* Owner confirmation: approved listings not confirmed lately are hidden from search */}
+      {expiryStats && expiryPolicy && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-6">
+          <h4 className="font-medium text-gray-800 mb-3">Listing Confirmation</h4>
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            <div className="bg-green-50 rounded-md p-3">
+              <p className="text-2xl font-semibold text-green-800">{expiryStats.confirmed}</p>
+              <p className="text-xs text-green-700">Confirmed</p>
+            </div>
+            <div className="bg-yellow-50 rounded-md p-3">
+              <p className="text-2xl font-semibold text-yellow-800">{expiryStats.due_soon}</p>
+              <p className="text-xs text-yellow-700">Due for confirmation</p>
+            </div>
+            <div className="bg-red-50 rounded-md p-3">
+              <p className="text-2xl font-semibold text-red-800">{expiryStats.stale}</p>
+              <p className="text-xs text-red-700">Stale (hidden from search)</p>
+            </div>
+          </div>
+          <div className="flex flex-col md:flex-row md:items-end gap-4">
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">
+                Owners confirm listings every (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={expiryPolicy.confirm_every_days}
+                onChange={(e) => setExpiryPolicy({ ...expiryPolicy, confirm_every_days: e.target.value })}
+                placeholder="Never expire"
+                className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">
+                Remind owners (days before)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={expiryPolicy.remind_days_before}
+                onChange={(e) => setExpiryPolicy({ ...expiryPolicy, remind_days_before: e.target.value })}
+                disabled={expiryPolicy.confirm_every_days === ''}
+                className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <button
+              onClick={handleSaveExpiryPolicy}
+              disabled={savingExpiryPolicy}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-md transition-colors disabled:opacity-50"
+            >
+              {savingExpiryPolicy ? 'Saving...' : 'Save Policy'}
+            </button>
+          </div>
+        </div>
+      )}
       
       {apartments.length === 0 ? (
         <div className="bg-gray-50 p-4 rounded-lg text-center">
@@ -0,0 +1,343 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '../../lib/supabase';
+import { getImageUrl, sortApartmentImages } from '../../utils/imageUtils';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+// Pending listings waiting for an admin, plus the moderation policy settings
+const ListingReviewQueue = () => {
+  const [pendingListings, setPendingListings] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [moderatingId, setModeratingId] = useState(null);
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data: policyData, error: policyError } = await supabase
+        .from('listing_moderation_policy')
+        .select('moderation_enabled, trusted_after_approved')
+        .single();
+
+      if (policyError) throw policyError;
+      setPolicy({
+        moderation_enabled: policyData.moderation_enabled,
+        trusted_after_approved: policyData.trusted_after_approved ?? ''
+      });
+
+      // Oldest first, so nobody waits longest
+      const { data: listingsData, error: listingsError } = await supabase
+        .from('apartments')
+        .select(`
+          id,
+          title,
+          description,
+          district,
+          price_per_month,
+          rooms,
+          created_at,
+          owner_id,
+          apartment_images(storage_path, thumbnail_path, is_primary, sort_order)
+        `)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: true });
+
+      if (listingsError) throw listingsError;
+
+      if (!listingsData || listingsData.length === 0) {
+        setPendingListings([]);
+        return;
+      }
+
+      const ownerIds = [...new Set(listingsData.map(listing => listing.owner_id))];
+
+      const { data: profilesData, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, full_name, is_trusted_owner')
+        .in('id', ownerIds);
+
+      if (profilesError) {
+        console.warn('Error fetching owner profiles:', profilesError);
+      }
+
+      const { data: emailsData, error: emailsError } = await supabase
+        .rpc('get_user_emails', { user_ids: ownerIds });
+
+      if (emailsError) {
+        console.warn('Error fetching emails:', emailsError);
+      }
+
+      const profileMap = {};
+      (profilesData || []).forEach(profile => {
+        profileMap[profile.id] = profile;
+      });
+
+      const emailMap = {};
+      (emailsData || []).forEach(item => {
+        emailMap[item.id] = item.email;
+      });
+
+      setPendingListings(listingsData.map(listing => ({
+        ...listing,
+        owner: {
+          full_name: profileMap[listing.owner_id]?.full_name || 'Unknown User',
+          email: emailMap[listing.owner_id] || 'No email available',
+          is_trusted_owner: profileMap[listing.owner_id]?.is_trusted_owner || false
+        }
+      })));
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSavePolicy = async () => {
+    const threshold = policy.trusted_after_approved === '' ? null : parseInt(policy.trusted_after_approved);
+    if (threshold !== null && (isNaN(threshold) || threshold < 0)) {
+      alert('The approved listings threshold must be 0 or more, or empty to never auto-trust owners');
+      return;
+    }
+
+    try {
+      setSavingPolicy(true);
+
+      const { error } = await supabase
+        .from('listing_moderation_policy')
+        .update({
+          moderation_enabled: policy.moderation_enabled,
+          trusted_after_approved: threshold,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', true);
+
+      if (error) throw error;
+
+      alert('Moderation policy saved');
+    } catch (error) {
+      console.error('Error saving moderation policy:', error);
+      alert(`Failed to save moderation policy: ${error.message}`);
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleModerate = async (listing, approve) => {
+    let reason = null;
+
+    if (!approve) {
+      reason = prompt(`Why is "${listing.title}" rejected? The owner will see this reason.`);
+      if (reason === null) return;
+      if (reason.trim() === '') {
+        alert('Please enter a reason for the rejection');
+        return;
+      }
+    }
+
+    try {
+      setModeratingId(listing.id);
+
+      const { error } = await supabase.rpc('moderate_listing', {
+        p_apartment_id: listing.id,
+        p_approve: approve,
+        p_reason: reason
+      });
+
+      if (error) throw error;
+
+      setPendingListings(prev => prev.filter(item => item.id !== listing.id));
+    } catch (error) {
+      console.error('Error moderating listing:', error);
+      alert(`Failed to ${approve ? 'approve' : 'reject'} listing: ${error.message}`);
+    } finally {
+      setModeratingId(null);
+    }
+  };
+
+  const handleToggleTrusted = async (ownerId, trusted) => {
+    try {
+      const { error } = await supabase.rpc('set_owner_trusted', {
+        p_owner_id: ownerId,
+        p_trusted: trusted
+      });
+
+      if (error) throw error;
+
+      setPendingListings(prev => prev.map(listing => (
+        listing.owner_id === ownerId
+          ? { ...listing, owner: { ...listing.owner, is_trusted_owner: trusted } }
+          : listing
+      )));
+    } catch (error) {
+      console.error('Error updating owner trust:', error);
+      alert(`Failed to update owner: ${error.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-100 text-red-700 p-4 rounded-lg">
+        <p className="font-medium">Error loading review queue</p>
+        <p className="text-sm">{error}</p>
+        <button
+          onClick={fetchQueue}
+          className="mt-2 px-3 py-1 bg-red-200 hover:bg-red-300 text-red-800 text-sm rounded-md transition-colors"
+        >
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Moderation policy */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-semibold mb-4">Moderation Policy</h3>
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={policy.moderation_enabled}
+              onChange={(e) => setPolicy({ ...policy, moderation_enabled: e.target.checked })}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            <span className="text-sm text-gray-700">Review listings from new owners before they are published</span>
+          </label>
+          <div>
+            <label className="block text-sm text-gray-700 mb-1">
+              Trust owners after this many approved listings
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={policy.trusted_after_approved}
+              onChange={(e) => setPolicy({ ...policy, trusted_after_approved: e.target.value })}
+              disabled={!policy.moderation_enabled}
+              placeholder="Never"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <button
+            onClick={handleSavePolicy}
+            disabled={savingPolicy}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-md transition-colors disabled:opacity-50"
+          >
+            {savingPolicy ? 'Saving...' : 'Save Policy'}
+          </button>
+        </div>
+      </div>
+
+      {/* Pending listings */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold">Listings Awaiting Review ({pendingListings.length})</h3>
+          <button
+            onClick={fetchQueue}
+            className="px-3 py-1.5 bg-blue-100 hover:bg-blue-200 text-blue-700 rounded-md transition-colors"
+          >
+            Refresh
+          </button>
+        </div>
+
+        {pendingListings.length === 0 ? (
+          <div className="bg-gray-50 p-6 rounded-lg text-center">
+            <p className="text-gray-600 mb-2">No listings waiting for review</p>
+            <p className="text-sm text-gray-500">New listings from owners who are not trusted yet will appear here</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {pendingListings.map(listing => {
+              const image = listing.apartment_images?.find(img => img.is_primary)
+                || sortApartmentImages(listing.apartment_images)[0];
+
+              return (
+                <div key={listing.id} className="border rounded-lg overflow-hidden shadow-sm md:flex">
+                  <img
+                    src={getImageUrl(image?.thumbnail_path || image?.storage_path)}
+                    alt={listing.title}
+                    className="w-full md:w-48 h-40 object-cover"
+                    onError={(e) => { e.target.src = '/images/placeholder-apartment.svg'; }}
+                  />
+                  <div className="p-4 flex-grow">
+                    <div className="flex justify-between items-start">
+                      <div>
+                        <h4 className="font-medium text-lg">{listing.title}</h4>
+                        <p className="text-sm text-gray-600">
+                          {listing.district} · {listing.rooms} rooms · ${listing.price_per_month}/month
+                        </p>
+                      </div>
+                      <span className="text-xs text-gray-500">
+                        Submitted: {new Date(listing.created_at).toLocaleDateString()}
+                      </span>
+                    </div>
+
+                    {listing.description && (
+                      <p className="text-sm text-gray-600 mt-2 line-clamp-2">{listing.description}</p>
+                    )}
+
+                    <div className="text-sm mt-2">
+                      <span className="font-medium">Owner:</span> {listing.owner.full_name} ({listing.owner.email})
+                      {listing.owner.is_trusted_owner && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Trusted</span>
+                      )}
+                    </div>
+
+                    <div className="flex flex-wrap gap-2 mt-4">
+                      <button
+                        onClick={() => handleModerate(listing, true)}
+                        disabled={moderatingId === listing.id}
+                        className="bg-green-600 hover:bg-green-700 text-white text-sm py-2 px-3 rounded transition-colors disabled:opacity-50"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleModerate(listing, false)}
+                        disabled={moderatingId === listing.id}
+                        className="bg-red-600 hover:bg-red-700 text-white text-sm py-2 px-3 rounded transition-colors disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                      <button
+                        onClick={() => handleToggleTrusted(listing.owner_id, !listing.owner.is_trusted_owner)}
+                        className="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm py-2 px-3 rounded transition-colors"
+                      >
+                        {listing.owner.is_trusted_owner ? 'Remove Trust' : 'Trust Owner'}
+                      </button>
+                      <Link
+                        to={`/apartments/${listing.id}`}
+                        target="_blank"
+                        className="text-blue-600 hover:text-blue-800 text-sm py-2 px-3"
+                      >
+                        View Listing
+                      </Link>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ListingReviewQueue;
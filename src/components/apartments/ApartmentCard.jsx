@@ -0,0 +1,354 @@
+import { useState, useEffect, memo } from 'react';
+import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
+import { getImageUrl, sortApartmentImages } from '../../utils/imageUtils';
+import { useCompare } from '../../context/CompareContext';
+import { useAmenities } from '../../context/AmenitiesContext';
+import { recordListingEvent } from '../../utils/listingAnalytics';
+import { hasRecentPriceDrop } from '../../utils/priceHistory';
+
+// Most amenity icons shown on a card before "+N"
+const CARD_AMENITY_LIMIT = 5;
+
+// Fast-loading image component with optimization
+const LazyImage = memo(({ src, alt, className }) => {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState(false);
+  const [imageSrc, setImageSrc] = useState('/images/placeholder-apartment.svg');
+  const [showSpinner, setShowSpinner] = useState(false);
+  
+  useEffect(() => {
+    if (!src || src.trim() === '') {
+      setImageSrc('/images/placeholder-apartment.svg');
+      setIsLoaded(true);
+      setError(false);
+      return;
+    }
+    
+    // Reset states for new image
+    setIsLoaded(false);
+    setError(false);
+    setShowSpinner(false);
+    
+    // Show spinner only after a short delay to avoid flashing
+    const spinnerTimer = setTimeout(() => {
+      if (!isLoaded && !error) {
+        setShowSpinner(true);
+      }
+    }, 200);
+    
+    // Process URL and start loading immediately
+    const processedSrc = getImageUrl(src);
+    
+    // Preload the image
+    const img = new Image();
+    img.onload = () => {
+      clearTimeout(spinnerTimer);
+      setImageSrc(processedSrc);
+      setIsLoaded(true);
+      setShowSpinner(false);
+      setError(false);
+    };
+    img.onerror = (e) => {
+      console.error(`❌ Failed to load image: ${processedSrc}`, e);
+      clearTimeout(spinnerTimer);
+      setError(true);
+      setShowSpinner(false);
+      setIsLoaded(false);
+    };
+    img.src = processedSrc;
+    
+    return () => {
+      clearTimeout(spinnerTimer);
+      img.onload = null;
+      img.onerror = null;
+    };
+  }, [src]);
+  
+  return (
+    <div className={`${className} relative overflow-hidden bg-night-800`}>
+      {/* Background placeholder - only show when not loaded and no error */}
+      {!isLoaded && !error && (
+        <div className="absolute inset-0 bg-gradient-to-br from-night-700 to-night-800 flex items-center justify-center">
+          <svg className="w-12 h-12 text-night-600" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd" />
+          </svg>
+        </div>
+      )}
+      
+      {/* Loading spinner - only show after delay */}
+      {showSpinner && !isLoaded && !error && (
+        <div className="absolute inset-0 flex items-center justify-center bg-night-800/80">
+          <div className="w-6 h-6 border-2 border-primary-300 border-t-primary-600 rounded-full animate-spin"></div>
+        </div>
+      )}
+      
+      {/* Actual image - always render but control visibility */}
+      <img 
+        src={imageSrc}
+        alt={alt || "Apartment image"}
+        className={`w-full h-full object-cover transition-opacity duration-300 ${
+          isLoaded && !error ? 'opacity-100' : 'opacity-0'
+        }`}
+        loading="lazy"
+        decoding="async"
+      />
+      
+      {/* Error state overlay */}
+      {error && (
+        <div className="absolute inset-0 flex items-center justify-center bg-night-800/90">
+          <div className="text-center text-night-400">
+            <svg className="w-8 h-8 mx-auto mb-2" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            <span className="text-xs">Image unavailable</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Apartment card component. matchedFloors lists the floors that satisfied the
+// floor-level search filters, or is null when no such filter is set.
+const ApartmentCard = memo(({ apartment, matchedFloors = null }) => {
+  const { isCompared, toggleCompare, maxCompareItems } = useCompare();
+  const { getAmenities } = useAmenities();
+  
+  if (!apartment) {
+    console.error('Apartment is null or undefined in ApartmentCard');
+    return null;
+  }
+  
+  const amenities = getAmenities(apartment.amenities);
+  const inCompare = isCompared(apartment.id);
+  
+  const handleCompareClick = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const added = await toggleCompare(apartment.id);
+    if (!added) {
+      alert(`Waxaad isbarbardhigi kartaa ugu badnaan ${maxCompareItems} guri. Ka saar mid si aad mid kale ugu darto.`);
+    }
+  };
+  
+  // Check if any floors are available
+  const hasAvailableFloors = () => {
+    if (!apartment.apartment_floors || !Array.isArray(apartment.apartment_floors)) {
+      // If no floor data, fall back to apartment.is_available
+      return apartment.is_available;
+    }
+    
+    // Check if any floor has status 'available'
+    return apartment.apartment_floors.some(floor => floor.floor_status === 'available');
+  };
+  
+  const isApartmentAvailable = hasAvailableFloors();
+  
+  // Get the image to display - simplified logic
+  let imageToShow = null;
+  
+  if (apartment.apartment_images && Array.isArray(apartment.apartment_images) && apartment.apartment_images.length > 0) {
+    // First try to find primary image
+    const primaryImage = apartment.apartment_images.find(img => img && img.is_primary && img.storage_path);
+    // Otherwise use the first image in the owner's order
+    const firstImage = sortApartmentImages(apartment.apartment_images).find(img => img && img.storage_path);
+    
+    imageToShow = primaryImage || firstImage;
+  }
+  
+  // Cards are small, so use the thumbnail when the image has one
+  const imagePath = imageToShow?.thumbnail_path || imageToShow?.storage_path || '/images/placeholder-apartment.svg';
+  
+  return (
+    <motion.div 
+      className={`modern-card text-white shadow-lg border overflow-hidden rounded-xl bg-night-900 border-night-700 hover:shadow-xl`}
+      whileHover={{ y: -5, boxShadow: "0 25px 50px -12px rgba(0, 0, 0, 0.6)" }}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div className="relative">
+        <Link to={`/apartments/${apartment.id}`} className="block">
+          <LazyImage 
+            src={imagePath} 
+            alt={apartment.title}
+            className="h-48 w-full"
+          />
+        </Link>
+        
+        {/* Compare toggle */}
+        <button
+          type="button"
+          onClick={handleCompareClick}
+          aria-pressed={inCompare}
+          className={`absolute top-0 left-0 m-3 flex items-center text-xs font-medium px-2 py-1 rounded-md transition-colors ${
+            inCompare 
+              ? 'bg-blue-600 text-white' 
+              : 'bg-night-800 bg-opacity-80 text-night-200 hover:text-white'
+          }`}
+        >
+          <span className="mr-1">{inCompare ? '✓' : '⚖️'}</span>
+          Isbarbardhig
+        </button>
+        
+        <div className="absolute top-0 right-0 m-3">
+          <span className="bg-primary-500 text-white text-xs font-bold px-2.5 py-1 rounded-md">
+            ${apartment.price_per_month}/bishii
+          </span>
+        </div>
+        {apartment.district && (
+          <div className="absolute bottom-0 left-0 m-3">
+            <span className="bg-night-800 bg-opacity-80 text-white text-xs px-2 py-1 rounded-md">
+              {apartment.district}
+            </span>
+          </div>
+        )}
+        {hasRecentPriceDrop(apartment) && (
+          <div className="absolute bottom-0 right-0 m-3">
+            <span className="bg-green-600 text-white text-xs font-bold px-2 py-1 rounded-md">
+              ⬇ Qiimaha waa la dhimay
+            </span>
+          </div>
+        )}
+      </div>
+      
+      <div className="p-5">
+        <Link to={`/apartments/${apartment.id}`} className="block">
+          <h3 className="text-lg font-semibold line-clamp-1 mb-2 text-white">
+            {apartment.title}
+          </h3>
+          <p className="text-sm mb-4 line-clamp-2 text-night-300">
+            {apartment.location_description}
+          </p>
+        </Link>
+        
+        {/* Floors that matched the floor-level filters */}
+        {matchedFloors && matchedFloors.length > 0 && (
+          <div className="mb-4 flex flex-wrap gap-1.5">
+            {matchedFloors.map(floor => (
+              <span
+                key={floor.floor_number}
+                className="text-xs px-2 py-1 rounded-md bg-blue-900/60 text-blue-200 border border-blue-700"
+              >
+                Dabaqda {floor.floor_number}: {floor.bedrooms_on_floor} qol · ${floor.price_per_month}
+              </span>
+            ))}
+          </div>
+        )}
+        
+        <div className="flex justify-between items-center">
+          <div className="flex items-center space-x-3 text-xs text-night-300">
+            <div className="flex items-center px-2 py-1 rounded-md bg-night-800">
+              <svg className="w-4 h-4 mr-1 text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
+              </svg>
+              <span>{apartment.rooms}</span>
+            </div>
+            <div className="flex items-center px-2 py-1 rounded-md bg-night-800">
+              {/* Toilet/Restroom icon for bathrooms */}
+              <svg className="w-4 h-4 mr-1 text-primary-400" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M9 2v1h6V2a1 1 0 0 1 2 0v1h1a1 1 0 0 1 1 1v3a1 1 0 0 1-1 1h-1v10a3 3 0 0 1-3 3H10a3 3 0 0 1-3-3V8H6a1 1 0 0 1-1-1V4a1 1 0 0 1 1-1h1V2a1 1 0 0 1 2 0zm0 6v10a1 1 0 0 0 1 1h4a1 1 0 0 0 1-1V8H9zm8-2V5H7v1h10z"/>
+                <circle cx="12" cy="14" r="1"/>
+              </svg>
+              <span>{apartment.bathrooms}</span>
+            </div>
+            {apartment.is_furnished && (
+              <div className="flex items-center px-2 py-1 rounded-md bg-night-800">
+                <svg className="w-4 h-4 mr-1 text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
+                </svg>
+                <span>Fadhiisan</span>
+              </div>
+            )}
+          </div>
+        </div>
+        
+        {/* Amenity icons, with the label on hover */}
+        {amenities.length > 0 && (
+          <div className="mt-3 flex flex-wrap gap-1.5">
+            {amenities.slice(0, CARD_AMENITY_LIMIT).map(amenity => (
+              <span
+                key={amenity.key}
+                title={amenity.label}
+                aria-label={amenity.label}
+                className="text-sm px-1.5 py-0.5 rounded-md bg-night-800"
+              >
+                {amenity.icon}
+              </span>
+            ))}
+            {amenities.length > CARD_AMENITY_LIMIT && (
+              <span className="text-xs px-1.5 py-1 rounded-md bg-night-800 text-night-300">
+                +{amenities.length - CARD_AMENITY_LIMIT}
+              </span>
+            )}
+          </div>
+        )}
+        
+        {/* Owner name - Show custom name if set, otherwise show profile name */}
+        {(apartment.display_owner_name || (apartment.owner && apartment.owner.full_name)) && (
+          <div className="mt-3 flex items-center text-xs text-night-400">
+            <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 9a3 3 0 100-6 3 3 0 000 6zm-7 9a7 7 0 1114 0H3z" clipRule="evenodd" />
+            </svg>
+            <span>Milkiile: {apartment.display_owner_name || apartment.owner.full_name}</span>
+          </div>
+        )}
+        
+        {/* Availability Status Badge */}
+        <div className="mt-3">
+          <span className={`inline-flex items-center px-3 py-1.5 rounded-full text-xs font-semibold shadow-sm ${
+            isApartmentAvailable 
+              ? 'bg-green-900 text-green-200 border border-green-700' 
+              : 'bg-red-900 text-red-200 border border-red-700'
+          }`}>
+            {isApartmentAvailable ? (
+              <>
+                <svg className="w-3 h-3 mr-1.5" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+                </svg>
+                Waa la heli karaa
+              </>
+            ) : (
+              <>
+                <svg className="w-3 h-3 mr-1.5" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                </svg>
+                Lama heli karo
+              </>
+            )}
+          </span>
+        </div>
+        
+        {/* Contact Section - Always show for all apartments */}
+        {(apartment.whatsapp_number || (apartment.owner && apartment.owner.whatsapp_number)) && (
+          <div className="mt-3 flex justify-end">
+            <a 
+              href={`https://wa.me/${(apartment.whatsapp_number || apartment.owner.whatsapp_number).replace(/\D/g, '')}?text=Halo, Waan ku xiiseynayaa gurigaaga: ${apartment.title}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className={`flex items-center transition-colors ${
+                isApartmentAvailable 
+                  ? 'text-green-400 hover:text-green-300' 
+                  : 'text-green-500 hover:text-green-400'
+              }`}
+              onClick={(e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                recordListingEvent(apartment.id, 'whatsapp_click');
+                window.open(`https://wa.me/${(apartment.whatsapp_number || apartment.owner.whatsapp_number).replace(/\D/g, '')}?text=Halo, Waan ku xiiseynayaa gurigaaga: ${apartment.title}`, '_blank');
+              }}
+            >
+              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z" />
+              </svg>
+            </a>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+});
+
+export default ApartmentCard;
@@ -0,0 +1,32 @@
+import { Link } from 'react-router-dom';
+import { useCompare } from '../../context/CompareContext';
+
+// Floating bar shown while apartments are picked for comparison
+export default function CompareBar() {
+  const { compareIds, maxCompareItems, clearCompare } = useCompare();
+
+  if (compareIds.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 inset-x-0 z-40 flex justify-center px-4 pointer-events-none">
+      <div className="pointer-events-auto flex items-center gap-3 bg-gray-800 border border-gray-600 rounded-full shadow-xl pl-4 pr-2 py-2">
+        <span className="text-sm text-gray-200">
+          ⚖️ {compareIds.length}/{maxCompareItems} guri ayaa la doortay
+        </span>
+        <button
+          type="button"
+          onClick={clearCompare}
+          className="text-xs text-gray-400 hover:text-white transition-colors"
+        >
+          Tirtir
+        </button>
+        <Link
+          to="/compare"
+          className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium px-4 py-1.5 rounded-full transition-colors"
+        >
+          Isbarbardhig
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 40;
+
+// Line of a floor's prices over time, each change as a step
+const PriceSparkline = ({ prices }) => {
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const stepWidth = SPARKLINE_WIDTH / prices.length;
+  const y = (price) => (max === min
+    ? SPARKLINE_HEIGHT / 2
+    : 4 + (max - price) / (max - min) * (SPARKLINE_HEIGHT - 8));
+
+  const points = prices.flatMap((price, i) => [
+    `${i * stepWidth},${y(price)}`,
+    `${(i + 1) * stepWidth},${y(price)}`
+  ]).join(' ');
+  const last = prices[prices.length - 1];
+  const dropped = last < prices[prices.length - 2];
+
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}>
+      <polyline
+        points={points}
+        fill="none"
+        stroke={dropped ? '#4ade80' : '#60a5fa'}
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      <circle cx={SPARKLINE_WIDTH - 2} cy={y(last)} r="3" fill={dropped ? '#4ade80' : '#60a5fa'} />
+    </svg>
+  );
+};
+
+// Price history of each floor whose price has changed, from apartment_floor_price_history
+export default function PriceHistory({ apartmentId, floors, getFloorLabel, formatPrice }) {
+  const [history, setHistory] = useState({});
+
+  useEffect(() => {
+    if (!apartmentId) return;
+
+    let cancelled = false;
+
+    const fetchPriceHistory = async () => {
+      const { data, error } = await supabase
+        .from('apartment_floor_price_history')
+        .select('floor_id, new_price, changed_at')
+        .eq('apartment_id', apartmentId)
+        .order('id', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching price history:', error);
+        return;
+      }
+      if (cancelled) return;
+
+      setHistory((data || []).reduce((byFloor, change) => {
+        (byFloor[change.floor_id] = byFloor[change.floor_id] || []).push(change);
+        return byFloor;
+      }, {}));
+    };
+
+    fetchPriceHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [apartmentId]);
+
+  const changedFloors = floors.filter(floor => (history[floor.id] || []).length > 1);
+  if (changedFloors.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl border border-gray-700 mt-8">
+      <h3 className="text-2xl font-bold text-white mb-4 flex items-center">
+        <svg className="w-6 h-6 mr-2 text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+        </svg>
+        Taariikhda Qiimaha
+      </h3>
+      <div className="space-y-4">
+        {changedFloors.map(floor => {
+          const changes = history[floor.id];
+          const prices = changes.map(change => Number(change.new_price));
+          const first = prices[0];
+          const last = prices[prices.length - 1];
+          const percent = first > 0 ? Math.round((last - first) / first * 100) : 0;
+
+          return (
+            <div key={floor.id} className="flex flex-col sm:flex-row sm:items-center gap-3 text-sm text-gray-300">
+              <span className="sm:w-40 text-white font-medium">
+                {getFloorLabel(floor.floor_number, floors.length)}
+              </span>
+              <PriceSparkline prices={prices} />
+              <span>
+                {formatPrice(first)} → <span className="text-white font-semibold">{formatPrice(last)}</span>
+                {percent !== 0 && (
+                  <span className={`ml-2 ${percent < 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    ({percent > 0 ? '+' : ''}{percent}%)
+                  </span>
+                )}
+              </span>
+              <span className="text-xs text-gray-500">
+                Isbeddelkii u dambeeyay: {new Date(changes[changes.length - 1].changed_at).toLocaleDateString()}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
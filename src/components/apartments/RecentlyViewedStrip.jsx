@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { getImageUrl, sortApartmentImages } from '../../utils/imageUtils';
+import { fetchRecentlyViewedApartments } from '../../utils/recentlyViewed';
+
+// Horizontal strip of the apartments the visitor opened most recently
+export default function RecentlyViewedStrip() {
+  const { user, authInitialized } = useAuth();
+  const [apartments, setApartments] = useState([]);
+
+  useEffect(() => {
+    if (!authInitialized) return;
+
+    let cancelled = false;
+
+    fetchRecentlyViewedApartments(user?.id || null, 10)
+      .then(data => {
+        if (!cancelled) setApartments(data);
+      })
+      .catch(error => {
+        console.error('Error fetching recently viewed apartments:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, authInitialized]);
+
+  if (apartments.length === 0) return null;
+
+  return (
+    <section className="pt-4">
+      <div className="container mx-auto px-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-sm font-semibold text-gray-300">🕘 Guryihii aad dhowaan eegtay</h2>
+          {user && (
+            <Link
+              to="/profile"
+              state={{ activeTab: 'history' }}
+              className="text-xs text-blue-400 hover:text-blue-300"
+            >
+              Dhammaan
+            </Link>
+          )}
+        </div>
+        <div className="flex gap-3 overflow-x-auto pb-2 scrollbar-hide">
+          {apartments.map(apartment => {
+            const image = apartment.apartment_images?.find(img => img.is_primary) || sortApartmentImages(apartment.apartment_images)[0];
+
+            return (
+              <Link
+                key={apartment.id}
+                to={`/apartments/${apartment.id}`}
+                className="flex-shrink-0 w-44 bg-gray-800 border border-gray-700 rounded-lg overflow-hidden hover:border-blue-500 transition-colors"
+              >
+                <img
+                  src={getImageUrl(image?.thumbnail_path || image?.storage_path)}
+                  alt={apartment.title}
+                  className="w-full h-24 object-cover"
+                  loading="lazy"
+                  onError={(e) => { e.target.src = '/images/placeholder-apartment.svg'; }}
+                />
+                <div className="p-2">
+                  <p className="text-xs font-medium text-white line-clamp-1">{apartment.title}</p>
+                  <p className="text-xs text-gray-400">
+                    ${apartment.price_per_month}/bishii · {apartment.district}
+                  </p>
+                </div>
+              </Link>
+            );
+          })}
+        </div>
+      </div>
+    </section>
+  );
+}
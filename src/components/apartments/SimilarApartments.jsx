@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import ApartmentCard from './ApartmentCard';
+import { APARTMENT_CARD_COLUMNS } from '../../utils/apartmentColumns';
+
+// Number of recommendations shown under an apartment
+const SIMILAR_APARTMENTS_LIMIT = 6;
+
+// Available apartments like the one being viewed, from the similar_apartments RPC
+export default function SimilarApartments({ apartmentId }) {
+  const [apartments, setApartments] = useState([]);
+
+  useEffect(() => {
+    if (!apartmentId) return;
+
+    let cancelled = false;
+
+    const fetchSimilarApartments = async () => {
+      try {
+        const { data: apartmentData, error: apartmentError } = await supabase
+          .rpc('similar_apartments', { p_apartment_id: apartmentId, p_limit: SIMILAR_APARTMENTS_LIMIT })
+          .select(APARTMENT_CARD_COLUMNS);
+
+        if (apartmentError) throw apartmentError;
+
+        if (!apartmentData || apartmentData.length === 0) {
+          if (!cancelled) setApartments([]);
+          return;
+        }
+
+        // Owner profiles for the WhatsApp button and owner name on the cards
+        const ownerIds = [...new Set(apartmentData.map(apt => apt.owner_id))];
+        const { data: profilesData } = await supabase
+          .from('profiles')
+          .select('id, full_name, whatsapp_number')
+          .in('id', ownerIds);
+
+        if (cancelled) return;
+
+        const ownerMap = (profilesData || []).reduce((map, profile) => {
+          map[profile.id] = profile;
+          return map;
+        }, {});
+
+        setApartments(apartmentData.map(apt => ({
+          ...apt,
+          owner: ownerMap[apt.owner_id] || null
+        })));
+      } catch (error) {
+        console.error('Error fetching similar apartments:', error);
+      }
+    };
+
+    fetchSimilarApartments();
+    return () => {
+      cancelled = true;
+    };
+  }, [apartmentId]);
+
+  if (apartments.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl border border-gray-700 mt-8">
+      <h3 className="text-2xl font-bold text-white mb-6 flex items-center">
+        <svg className="w-6 h-6 mr-2 text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
+        </svg>
+        Guryo La Mid Ah
+      </h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+        {apartments.map(apartment => (
+          <ApartmentCard key={apartment.id} apartment={apartment} />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -33,6 +33,34 @@ const NavLink = memo(({ to, children, className = '', onClick = null }) => {
   );
 });
 
+// Notifications Button component - saved search alerts, opens the profile tab that lists them
+const NotificationsButton = memo(({ user }) => {
+  const { unreadNotifications } = useAuth();
+  const navigate = useNavigate();
+  
+  if (!user) return null;
+  
+  return (
+    <button
+      onClick={() => navigate('/profile', { state: { activeTab: 'searches' } })}
+      className="relative flex items-center justify-center w-10 h-10 md:w-auto md:h-auto p-2 text-gray-300 hover:text-white transition-colors"
+      aria-label="Notifications"
+    >
+      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+      </svg>
+      
+      {unreadNotifications > 0 && (
+        <span className="absolute top-0 md:-top-1 right-0 md:-right-1 flex h-5 w-5 transform translate-x-1/2 -translate-y-1/3 md:translate-x-0 md:-translate-y-0">
+          <span className="relative inline-flex rounded-full h-5 w-5 bg-red-500 text-xs text-white justify-center items-center font-bold shadow-lg">
+            {unreadNotifications > 9 ? '9+' : unreadNotifications}
+          </span>
+        </span>
+      )}
+    </button>
+  );
+});
+
 // Messages Button component
 const MessagesButton = memo(({ user }) => {
   const { 
@@ -775,6 +803,7 @@ export default function Header() {
     
     return (
       <div className="flex items-center space-x-4">
+        <NotificationsButton user={user} />
         <MessagesButton user={user} />
         <ProfileButton 
           user={user} 
@@ -832,6 +861,7 @@ export default function Header() {
             
             {authInitialized && user && (
               <div className="ml-3 flex items-center space-x-1">
+                <NotificationsButton user={user} />
                 <MessagesButton user={user} />
                 <ProfileButton 
                   user={user} 
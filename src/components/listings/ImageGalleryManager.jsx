@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { getImageUrl } from '../../utils/imageUtils';
+
+// Photo grid of the listing editor. Photos can be dragged into a new order
+// (or moved with the arrow buttons on touch screens), removed, or made the cover.
+// uploadStatus (keyed by preview URL) shows the progress of new photos being saved.
+export default function ImageGalleryManager({ images, primaryImageIndex, onMove, onRemove, onSetPrimary, uploadStatus = {} }) {
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const handleDragStart = (e, index) => {
+    setDraggedIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag when some data is set
+    e.dataTransfer.setData('text/plain', String(index));
+  };
+
+  const handleDragOver = (e, index) => {
+    if (draggedIndex === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropIndex !== index) {
+      setDropIndex(index);
+    }
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (draggedIndex !== null && draggedIndex !== index) {
+      onMove(draggedIndex, index);
+    }
+    setDraggedIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedIndex(null);
+    setDropIndex(null);
+  };
+
+  if (images.length === 0) return null;
+
+  return (
+    <div>
+      {images.length > 1 && (
+        <p className="text-xs text-gray-500 mb-2">
+          Jiid sawirrada si aad u beddesho tartiibkooda - sidaas ayay ugu muuqan doonaan bogga guriga
+        </p>
+      )}
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3 sm:gap-4">
+        {images.map((image, index) => (
+          <div
+            key={image.id || image.preview}
+            draggable
+            onDragStart={(e) => handleDragStart(e, index)}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDrop={(e) => handleDrop(e, index)}
+            onDragEnd={handleDragEnd}
+            className={`relative cursor-move rounded-md transition-opacity ${
+              draggedIndex === index ? 'opacity-40' : ''
+            } ${dropIndex === index && draggedIndex !== index ? 'ring-2 ring-blue-400 ring-offset-2' : ''}`}
+          >
+            <img
+              src={image.preview || getImageUrl(image.storage_path)}
+              alt={`Sawir ${index + 1}`}
+              draggable={false}
+              className={`w-full h-20 sm:h-24 object-cover rounded-md border-2 ${
+                index === primaryImageIndex ? 'border-blue-500' : 'border-gray-200'
+              }`}
+              onError={(e) => { e.target.src = '/images/placeholder-apartment.svg'; }}
+            />
+            {image.failed ? (
+              <div className="absolute inset-0 rounded-md bg-red-600 bg-opacity-60 flex items-center justify-center">
+                <span className="text-white text-xs font-semibold">Wuu fashilmay</span>
+              </div>
+            ) : image.preview && uploadStatus[image.preview] && (
+              <UploadProgress status={uploadStatus[image.preview]} />
+            )}
+            <div className="absolute top-1 left-1 flex items-center space-x-1">
+              <span className="bg-gray-800 bg-opacity-75 text-white text-xs px-1 rounded">
+                {index + 1}
+              </span>
+              {index === primaryImageIndex && (
+                <span className="bg-blue-500 text-white text-xs px-1 rounded">
+                  Ugu muhiimsan
+                </span>
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={() => onRemove(index)}
+              className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm hover:bg-red-600 touch-manipulation"
+            >
+              ×
+            </button>
+            <div className="absolute bottom-1 left-1 right-1 flex items-center justify-between">
+              {index !== primaryImageIndex ? (
+                <button
+                  type="button"
+                  onClick={() => onSetPrimary(index)}
+                  className="bg-gray-800 bg-opacity-75 text-white text-xs px-1 py-0.5 rounded hover:bg-opacity-100 touch-manipulation"
+                >
+                  Ka dhig ugu muhiimsan
+                </button>
+              ) : <span />}
+              <div className="flex space-x-1">
+                {index > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => onMove(index, index - 1)}
+                    aria-label="U dhaqaaji bidix"
+                    className="bg-gray-800 bg-opacity-75 text-white text-xs w-5 h-5 rounded hover:bg-opacity-100 touch-manipulation"
+                  >
+                    ‹
+                  </button>
+                )}
+                {index < images.length - 1 && (
+                  <button
+                    type="button"
+                    onClick={() => onMove(index, index + 1)}
+                    aria-label="U dhaqaaji midig"
+                    className="bg-gray-800 bg-opacity-75 text-white text-xs w-5 h-5 rounded hover:bg-opacity-100 touch-manipulation"
+                  >
+                    ›
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Progress bar over a photo while it uploads
+const UploadProgress = ({ status }) => {
+  if (status.status === 'done') {
+    return (
+      <div className="absolute inset-0 rounded-md bg-green-600 bg-opacity-40 flex items-center justify-center">
+        <span className="text-white text-lg font-bold">✓</span>
+      </div>
+    );
+  }
+
+  if (status.status === 'failed') return null;
+
+  return (
+    <div className="absolute inset-0 rounded-md bg-black bg-opacity-50 flex flex-col items-center justify-center px-2">
+      <span className="text-white text-xs mb-1">
+        {status.status === 'retrying' ? `Isku day ${status.attempt}aad...` : `${Math.round(status.progress * 100)}%`}
+      </span>
+      <div className="w-full h-1.5 bg-gray-300 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-blue-500 transition-all duration-200"
+          style={{ width: `${Math.round(status.progress * 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,847 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useAmenities } from '../../context/AmenitiesContext';
+import LocationPicker from '../map/LocationPicker';
+import { MOGADISHU_DISTRICTS } from '../../utils/districts';
+import {
+  MAX_LISTING_IMAGES,
+  MAX_LISTING_FLOORS,
+  FLOOR_STATUS_OPTIONS,
+  LEASE_MONTH_LIMITS,
+  resizeFloors,
+  getFloorLabel,
+  validateListing,
+  saveListing,
+  saveListingDraft,
+  moveImage,
+  uploadImageWithRetry
+} from '../../utils/listingEditor';
+import { saveDraftImages, deleteDraftImages } from '../../utils/draftImages';
+import { addDays } from '../../utils/floorAvailability';
+import ImageGalleryManager from './ImageGalleryManager';
+
+// How long to wait after the last change before autosaving a draft
+const DRAFT_AUTOSAVE_DELAY = 2000;
+
+// Listing form shared by the create and edit flows. initialListing comes from
+// createEmptyListing() or listingFromApartment(); apartmentId is set when editing.
+// With autosaveDraft (create flow) changes are kept in a private draft listing,
+// apartmentId being the draft to continue, until the owner submits the form.
+// onSaved(apartmentId, {status, failedFiles}) runs once the listing is saved.
+export default function ListingEditor({ initialListing, apartmentId = null, autosaveDraft = false, submitLabel, savingLabel, onSaved }) {
+  const { isAdminUser } = useAuth();
+  const { amenities } = useAmenities();
+  const [formData, setFormData] = useState(initialListing.form);
+  const [floors, setFloors] = useState(initialListing.floors);
+  const [images, setImages] = useState(initialListing.images);
+  const [primaryImageIndex, setPrimaryImageIndex] = useState(initialListing.primaryImageIndex || 0);
+  const [removedImageIds, setRemovedImageIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  // Photo upload state. After a save where some photos failed, savedListingId
+  // holds the saved apartment so only those photos are retried against it.
+  const [uploadStatus, setUploadStatus] = useState({});
+  const [savedListingId, setSavedListingId] = useState(null);
+  const [savedListingStatus, setSavedListingStatus] = useState(null);
+  const [retryingUploads, setRetryingUploads] = useState(false);
+  const failedImages = images.filter(image => image.failed);
+  
+  // Draft autosave state. Saves are chained so the first one (which creates
+  // the draft) finishes before the next one updates it.
+  const [draftStatus, setDraftStatus] = useState(null);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const draftIdRef = useRef(autosaveDraft ? apartmentId : null);
+  const draftSaveRef = useRef(Promise.resolve());
+  const publishingRef = useRef(false);
+
+  // Autosave the draft a moment after the owner stops editing
+  useEffect(() => {
+    if (!autosaveDraft) return;
+
+    // Nothing changed since the editor was opened
+    if (
+      formData === initialListing.form &&
+      floors === initialListing.floors &&
+      images === initialListing.images &&
+      primaryImageIndex === (initialListing.primaryImageIndex || 0)
+    ) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      draftSaveRef.current = draftSaveRef.current.then(async () => {
+        if (publishingRef.current) return;
+
+        try {
+          setDraftStatus('saving');
+
+          const draftId = await saveListingDraft({
+            apartmentId: draftIdRef.current,
+            form: formData,
+            floors,
+            isAdmin: isAdminUser
+          });
+          draftIdRef.current = draftId;
+
+          try {
+            await saveDraftImages(draftId, images.map(image => image.file).filter(Boolean), primaryImageIndex);
+          } catch (imageError) {
+            console.warn('Could not keep draft photos on this device:', imageError);
+          }
+
+          setDraftStatus('saved');
+          setDraftSavedAt(new Date());
+        } catch (error) {
+          console.error('Error autosaving draft:', error);
+          setDraftStatus('error');
+        }
+      });
+    }, DRAFT_AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [autosaveDraft, initialListing, formData, floors, images, primaryImageIndex, isAdminUser]);
+
+  const updateForm = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleAmenity = (key) => {
+    setFormData(prev => ({
+      ...prev,
+      amenities: prev.amenities.includes(key)
+        ? prev.amenities.filter(amenity => amenity !== key)
+        : [...prev.amenities, key]
+    }));
+  };
+
+  // Handle image selection
+  const handleImageChange = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const remainingSlots = MAX_LISTING_IMAGES - images.length;
+    if (remainingSlots <= 0) {
+      alert(`Waxaad soo gelin kartaa ugu badan ${MAX_LISTING_IMAGES} sawir`);
+      return;
+    }
+
+    const newImages = files.slice(0, remainingSlots).map(file => ({
+      file,
+      preview: URL.createObjectURL(file)
+    }));
+    setImages(prev => [...prev, ...newImages]);
+  };
+
+  // Remove an existing or newly added image
+  const removeImage = (index) => {
+    const image = images[index];
+    if (image.id) {
+      setRemovedImageIds(prev => [...prev, image.id]);
+    }
+    if (image.preview) {
+      URL.revokeObjectURL(image.preview);
+    }
+    setImages(prev => prev.filter((_, i) => i !== index));
+
+    if (index < primaryImageIndex) {
+      setPrimaryImageIndex(prev => prev - 1);
+    } else if (index === primaryImageIndex) {
+      setPrimaryImageIndex(0);
+    }
+  };
+
+  // Drag-and-drop or arrow move in the gallery
+  const handleMoveImage = (from, to) => {
+    const moved = moveImage(images, primaryImageIndex, from, to);
+    setImages(moved.images);
+    setPrimaryImageIndex(moved.primaryImageIndex);
+  };
+
+  // Handle total floors change - floors dropped here are deleted on save
+  const handleTotalFloorsChange = (newTotal) => {
+    setFloors(resizeFloors(floors, parseInt(newTotal)));
+  };
+
+  // Update floor data
+  const updateFloor = (index, field, value) => {
+    setFloors(prev => prev.map((floor, i) =>
+      i === index ? { ...floor, [field]: value } : floor
+    ));
+  };
+
+  // Progress of a new photo, keyed by its preview URL
+  const updateUploadStatus = (image, status) => {
+    if (!image.preview) return;
+    setUploadStatus(prev => ({ ...prev, [image.preview]: status }));
+  };
+
+  // Swap uploaded photos for their saved records and flag the ones that failed
+  const settleImages = (currentImages, results) => currentImages.map((image, index) => {
+    const result = results[index];
+    if (!image.file || !result) return image;
+
+    if (result.success) {
+      if (image.preview) URL.revokeObjectURL(image.preview);
+      return { id: result.imageRecord.id, storage_path: result.imageRecord.storage_path };
+    }
+
+    return { ...image, failed: true, error: result.error?.message || String(result.error) };
+  });
+
+  // Upload just the photos that failed, to the apartment that was already saved
+  const handleRetryFailedUploads = async () => {
+    const targetId = savedListingId || apartmentId;
+    if (!targetId) return;
+
+    setRetryingUploads(true);
+
+    const results = await Promise.all(images.map((image, index) => (
+      image.failed
+        ? uploadImageWithRetry({
+            file: image.file,
+            apartmentId: targetId,
+            isPrimary: index === primaryImageIndex,
+            sortOrder: index,
+            onStatus: status => updateUploadStatus(image, status)
+          })
+        : null
+    )));
+
+    const settled = settleImages(images, results);
+    setImages(settled);
+    setRetryingUploads(false);
+
+    if (savedListingId && !settled.some(image => image.failed)) {
+      onSaved(savedListingId, { status: savedListingStatus });
+    }
+  };
+
+  // Leave the failed photos out and finish; the parent gets their files
+  const handleSkipFailedUploads = () => {
+    onSaved(savedListingId, {
+      status: savedListingStatus,
+      failedFiles: failedImages.map(image => image.file)
+    });
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (savedListingId) return;
+
+    const validationError = validateListing({ form: formData, floors, images });
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      // Let a running autosave finish so the draft row exists, then stop autosaving
+      if (autosaveDraft) {
+        publishingRef.current = true;
+        await draftSaveRef.current;
+      }
+      const draftId = autosaveDraft ? draftIdRef.current : null;
+
+      const result = await saveListing({
+        apartmentId: autosaveDraft ? draftId : apartmentId,
+        publishDraft: Boolean(draftId),
+        form: formData,
+        floors,
+        images,
+        primaryImageIndex,
+        removedImageIds,
+        isAdmin: isAdminUser,
+        onImageStatus: (index, status) => updateUploadStatus(images[index], status)
+      });
+
+      if (draftId) {
+        deleteDraftImages(draftId).catch(error => {
+          console.warn('Could not clear draft photos:', error);
+        });
+      }
+
+      // Everything but some photos was saved - offer to retry them instead of saving again
+      if (result.failedImages.length > 0) {
+        setImages(settleImages(images, result.uploadResults));
+        setRemovedImageIds([]);
+        setSavedListingId(result.apartmentId);
+        setSavedListingStatus(result.status);
+        return;
+      }
+
+      onSaved(result.apartmentId, { status: result.status });
+    } catch (error) {
+      console.error('Error saving apartment:', error);
+      publishingRef.current = false;
+      alert('Qalad ayaa dhacay. Fadlan isku day mar kale.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 sm:p-6 lg:p-8 space-y-6 sm:space-y-8 bg-white">
+      {/* Basic Information */}
+      <div className="space-y-4 sm:space-y-6">
+        <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
+          Macluumaadka Aasaasiga ah
+        </h3>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Magaca Guriga *
+            </label>
+            <input
+              type="text"
+              value={formData.title}
+              onChange={(e) => updateForm('title', e.target.value)}
+              className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Tusaale: Guri Qurux badan oo Hodan ku yaal"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Degmada *
+            </label>
+            <select
+              value={formData.district}
+              onChange={(e) => updateForm('district', e.target.value)}
+              className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            >
+              <option value="">Dooro degmada</option>
+              {MOGADISHU_DISTRICTS.map(district => (
+                <option key={district} value={district}>{district}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="lg:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Meesha Guriga ku yaal *
+            </label>
+            <input
+              type="text"
+              value={formData.location_description}
+              onChange={(e) => updateForm('location_description', e.target.value)}
+              className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Tusaale: Wadada Makka Al-Mukarrama, agagaarka suuqa weyn"
+              required
+            />
+          </div>
+
+          <div className="lg:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              📍 Goobta Khariidadda (Ikhtiyaari)
+            </label>
+            <LocationPicker
+              latitude={formData.latitude}
+              longitude={formData.longitude}
+              onChange={(latitude, longitude) => setFormData(prev => ({ ...prev, latitude, longitude }))}
+            />
+          </div>
+
+          <div className="lg:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Faahfaahin Guriga
+            </label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => updateForm('description', e.target.value)}
+              rows={4}
+              className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Qor faahfaahin dheeraad ah oo ku saabsan guriga..."
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              📱 WhatsApp Number
+            </label>
+            <input
+              type="tel"
+              value={formData.whatsapp_number}
+              onChange={(e) => updateForm('whatsapp_number', e.target.value)}
+              className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Tusaale: +252 61 1234567"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Dadka raba guriga waxay kugu soo waci karaan WhatsApp
+            </p>
+          </div>
+
+          {/* Admin-Only: Custom Owner Name */}
+          {isAdminUser && (
+            <div className="lg:col-span-2 border-4 border-red-500 bg-red-50 p-4 rounded-lg">
+              <div className="flex items-center mb-2">
+                <span className="text-lg mr-2">👑</span>
+                <h4 className="text-lg font-bold text-red-800">Admin Only - Customer Information</h4>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-red-700 mb-2">
+                  Real Owner Name (Customer's Name)
+                </label>
+                <input
+                  type="text"
+                  value={formData.display_owner_name}
+                  onChange={(e) => updateForm('display_owner_name', e.target.value)}
+                  className="w-full px-3 py-3 text-base border border-red-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500"
+                  placeholder="Tusaale: Ahmed Mohamed Ali"
+                />
+                <p className="text-xs text-red-600 mt-1">
+                  ⚠️ Only for customers who cannot create accounts. Leave empty for regular owners.
+                </p>
+                <p className="text-xs text-red-600 mt-1">
+                  📱 Make sure WhatsApp above is the customer's number, not yours!
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="is_furnished"
+            checked={formData.is_furnished}
+            onChange={(e) => updateForm('is_furnished', e.target.checked)}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <label htmlFor="is_furnished" className="ml-2 block text-sm text-gray-700">
+            Gurigu wuxuu leeyahay alaab (furnished)
+          </label>
+        </div>
+      </div>
+
+      {/* Amenities Section */}
+      {amenities.length > 0 && (
+        <div className="space-y-4 sm:space-y-6">
+          <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
+            Adeegyada Guriga
+          </h3>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {amenities.map(amenity => (
+              <label
+                key={amenity.key}
+                className={`flex items-center space-x-2 px-3 py-2 rounded-md border text-sm cursor-pointer transition-colors ${
+                  formData.amenities.includes(amenity.key)
+                    ? 'border-blue-500 bg-blue-50 text-blue-800'
+                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={formData.amenities.includes(amenity.key)}
+                  onChange={() => toggleAmenity(amenity.key)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span aria-hidden="true">{amenity.icon}</span>
+                <span>{amenity.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Images Section */}
+      <div className="space-y-4 sm:space-y-6">
+        <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
+          Sawirrada Guriga
+        </h3>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Soo geli sawirrada guriga (ugu badan {MAX_LISTING_IMAGES}) *
+          </label>
+          <input
+            type="file"
+            multiple
+            accept="image/*"
+            onChange={handleImageChange}
+            disabled={images.length >= MAX_LISTING_IMAGES}
+            className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Wadarta sawirrada: {images.length}/{MAX_LISTING_IMAGES}
+          </p>
+        </div>
+
+        <ImageGalleryManager
+          images={images}
+          primaryImageIndex={primaryImageIndex}
+          onMove={handleMoveImage}
+          onRemove={removeImage}
+          onSetPrimary={setPrimaryImageIndex}
+          uploadStatus={uploadStatus}
+        />
+      </div>
+
+      {/* Floors Section */}
+      <div className="space-y-4 sm:space-y-6 border-4 border-blue-500 bg-blue-50 p-4 sm:p-6 rounded-lg">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between border-b border-gray-200 pb-2 space-y-2 sm:space-y-0">
+          <h3 className="text-lg sm:text-xl font-bold text-blue-800">
+            🏢 Dabaqyada Guriga (FLOOR SYSTEM)
+          </h3>
+          <div className="flex flex-col sm:flex-row sm:items-center space-y-2 sm:space-y-0 sm:space-x-2">
+            <label className="text-sm sm:text-base font-bold text-blue-800">
+              Tirada dabaqyada: {floors.length}
+            </label>
+            <select
+              value={floors.length}
+              onChange={(e) => handleTotalFloorsChange(e.target.value)}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-base sm:text-lg font-semibold bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-w-0"
+            >
+              {Array.from({ length: MAX_LISTING_FLOORS }, (_, i) => i + 1).map(num => (
+                <option key={num} value={num}>{num} dabaq</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {floors.map((floor, index) => (
+            <FloorFields
+              key={floor.floor_number}
+              floor={floor}
+              label={getFloorLabel(floor.floor_number, floors.length)}
+              onChange={(field, value) => updateFloor(index, field, value)}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Floor System Toggle */}
+      <div>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={formData.has_floor_system}
+            onChange={(e) => updateForm('has_floor_system', e.target.checked)}
+            className="mr-2"
+          />
+          <span className="text-sm font-medium text-gray-700">
+            Isticmaal nidaamka dabaqyada (Floor System)
+          </span>
+        </label>
+        <p className="text-xs text-gray-500 mt-1">
+          Haddii aad doorato, waxaad awood u yeelan doontaa inaad u qaybiiso gurigaaga dabaqyo kala duwan oo qiimo kala duwan leh.
+        </p>
+      </div>
+
+      {failedImages.length > 0 && (savedListingId || apartmentId) && (
+        <FailedUploadsPanel
+          images={failedImages}
+          listingSaved={Boolean(savedListingId)}
+          retrying={retryingUploads}
+          onRetry={handleRetryFailedUploads}
+          onSkip={savedListingId ? handleSkipFailedUploads : null}
+        />
+      )}
+
+      {/* Submit Button */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-end space-y-3 sm:space-y-0 sm:space-x-4 pt-6 border-t border-gray-200">
+        {autosaveDraft && draftStatus && (
+          <p className={`text-sm sm:mr-auto ${draftStatus === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+            {draftStatus === 'saving' && 'Qabyada waa la kaydinayaa...'}
+            {draftStatus === 'saved' && `💾 Qabyada waa la kaydiyay ${draftSavedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+            {draftStatus === 'error' && 'Qabyada lama kaydin karo - hubi internetkaaga'}
+          </p>
+        )}
+        <Link
+          to="/owner/dashboard"
+          className="w-full sm:w-auto px-6 py-3 border border-gray-300 rounded-md text-gray-700 text-center hover:bg-gray-50 transition-colors"
+        >
+          Jooji
+        </Link>
+        {!savedListingId && (
+          <button
+            type="submit"
+            disabled={saving}
+            className={`w-full sm:w-auto px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-all hover:scale-105 active:scale-95 flex items-center justify-center space-x-2 ${
+              saving ? 'opacity-50 cursor-not-allowed' : ''
+            }`}
+          >
+            {saving ? (
+              <>
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                <span>{savingLabel}</span>
+              </>
+            ) : (
+              <>
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                </svg>
+                <span>{submitLabel}</span>
+              </>
+            )}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+// Summary of the photos that could not be uploaded, with a retry for just those
+const FailedUploadsPanel = ({ images, listingSaved, retrying, onRetry, onSkip }) => (
+  <div className="bg-red-50 border border-red-200 rounded-lg p-4 space-y-3">
+    <div>
+      <h4 className="font-semibold text-red-800">
+        ⚠️ {images.length} sawir lama soo gelin karin
+      </h4>
+      <p className="text-sm text-red-700 mt-1">
+        {listingSaved
+          ? 'Liiska waa la kaydiyay, laakiin sawirradan ma aysan gudbin. Isku day mar kale ama sii wad iyaga la\'aantood.'
+          : 'Sawirradan weli lama soo gelin. Isku day mar kale.'}
+      </p>
+    </div>
+    <ul className="text-sm text-red-700 space-y-1">
+      {images.map(image => (
+        <li key={image.preview} className="flex flex-col sm:flex-row sm:justify-between">
+          <span className="font-medium truncate">{image.file.name}</span>
+          {image.error && <span className="text-xs text-red-500">{image.error}</span>}
+        </li>
+      ))}
+    </ul>
+    <div className="flex flex-col sm:flex-row gap-2">
+      <button
+        type="button"
+        onClick={onRetry}
+        disabled={retrying}
+        className={`px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors ${
+          retrying ? 'opacity-50 cursor-not-allowed' : ''
+        }`}
+      >
+        {retrying ? 'Waa la isku dayayaa...' : 'Isku day mar kale'}
+      </button>
+      {onSkip && (
+        <button
+          type="button"
+          onClick={onSkip}
+          disabled={retrying}
+          className="px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-100 transition-colors"
+        >
+          Sii wad iyaga la'aantood
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+// Month-count lease terms, in the order they are shown
+const LEASE_MONTH_FIELDS = [
+  { field: 'deposit_months', label: 'Deebaaji (bilood)', placeholder: '1' },
+  { field: 'advance_months', label: 'Horudhac (bilood)', placeholder: '3' },
+  { field: 'min_lease_months', label: 'Muddada ugu yar (bilood)', placeholder: '6' }
+];
+
+// Inputs for a single floor
+const FloorFields = ({ floor, label, onChange }) => (
+  <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+    <h4 className="font-medium text-gray-800 mb-4">
+      {label}
+    </h4>
+
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          <svg className="w-4 h-4 inline mr-1 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2H5a2 2 0 00-2-2z" />
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 21l0-12" />
+          </svg>
+          Qolalka Jiifka
+        </label>
+        <select
+          value={floor.bedrooms_on_floor}
+          onChange={(e) => onChange('bedrooms_on_floor', e.target.value)}
+          className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {[1, 2, 3, 4, 5, 6].map(num => (
+            <option key={num} value={num}>{num}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          <svg className="w-4 h-4 inline mr-1 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 14v3m4-3v3m4-3v3M3 21h18M3 10h18M3 7l9-4 9 4M4 10v11M20 10v11" />
+          </svg>
+          Musqulaha
+        </label>
+        <select
+          value={floor.bathrooms_on_floor}
+          onChange={(e) => onChange('bathrooms_on_floor', e.target.value)}
+          className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {[1, 2, 3, 4].map(num => (
+            <option key={num} value={num}>{num}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          💰 Qiimaha bishii ($)
+        </label>
+        <input
+          type="number"
+          value={floor.price_per_month}
+          onChange={(e) => onChange('price_per_month', e.target.value)}
+          className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="100"
+          min="1"
+        />
+      </div>
+    </div>
+
+    {/* Amenities - Horizontal Row */}
+    <div className="flex flex-wrap gap-3 mb-4">
+      <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={floor.has_kitchen}
+          onChange={(e) => onChange('has_kitchen', e.target.checked)}
+          className="mr-1"
+        />
+        <svg className="w-4 h-4 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 100 4m0-4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 100 4m0-4v2m0-6V4" />
+        </svg>
+        <span>Jikada</span>
+      </label>
+
+      <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={floor.has_living_room}
+          onChange={(e) => onChange('has_living_room', e.target.checked)}
+          className="mr-1"
+        />
+        <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2H5a2 2 0 00-2-2z" />
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 21l0-12" />
+        </svg>
+        <span>Qolka Fadhiga</span>
+      </label>
+
+      <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={floor.has_master_room}
+          onChange={(e) => onChange('has_master_room', e.target.checked)}
+          className="mr-1"
+        />
+        <svg className="w-4 h-4 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z" />
+        </svg>
+        <span>Master Room</span>
+      </label>
+    </div>
+
+    {/* Lease terms - month counts can be left blank */}
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2">📄 Shuruudaha Kirada</p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-3">
+        {LEASE_MONTH_FIELDS.map(({ field, label, placeholder }) => (
+          <div key={field}>
+            <label className="block text-xs font-medium text-gray-600 mb-1">
+              {label}
+            </label>
+            <input
+              type="number"
+              value={floor[field]}
+              onChange={(e) => onChange(field, e.target.value)}
+              className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder={placeholder}
+              min={LEASE_MONTH_LIMITS[field].min}
+              max={LEASE_MONTH_LIMITS[field].max}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3">
+        <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={floor.water_included}
+            onChange={(e) => onChange('water_included', e.target.checked)}
+            className="mr-1"
+          />
+          <span>💧 Biyaha waa ku jiraan kirada</span>
+        </label>
+        <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={floor.electricity_included}
+            onChange={(e) => onChange('electricity_included', e.target.checked)}
+            className="mr-1"
+          />
+          <span>⚡ Korontada waa ku jirtaa kirada</span>
+        </label>
+      </div>
+    </div>
+
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Xaaladda Dabaqda
+      </label>
+      <select
+        value={floor.floor_status}
+        onChange={(e) => onChange('floor_status', e.target.value)}
+        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {FLOOR_STATUS_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+
+    {/* Availability dates - the floor becomes available by itself on that day */}
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-1">
+          📅 La kireeyay ilaa
+        </label>
+        <input
+          type="date"
+          value={floor.occupied_until}
+          onChange={(e) => onChange('occupied_until', e.target.value)}
+          className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-1">
+          📅 La heli karaa laga bilaabo
+        </label>
+        <input
+          type="date"
+          value={floor.available_from}
+          min={floor.occupied_until ? addDays(floor.occupied_until, 1) : undefined}
+          onChange={(e) => onChange('available_from', e.target.value)}
+          className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+    </div>
+
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Faahfaahin Dabaqda
+      </label>
+      <textarea
+        value={floor.floor_description}
+        onChange={(e) => onChange('floor_description', e.target.value)}
+        rows={2}
+        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        placeholder="Faahfaahin dheeraad ah oo ku saabsan dabaqdan..."
+      />
+    </div>
+  </div>
+);
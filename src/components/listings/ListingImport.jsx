@@ -0,0 +1,327 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { readSpreadsheet } from '../../utils/spreadsheet';
+import {
+  IMPORT_COLUMNS,
+  readPhotoArchive,
+  buildImportPlan,
+  isBuildingValid,
+  importBuilding,
+  buildImportTemplate
+} from '../../utils/listingImport';
+
+// Bulk import for agencies: pick a CSV/XLSX sheet (one row per floor) and an
+// optional zip of photos, check the preview, then import the valid buildings
+// one at a time through the same save pipeline as the listing editor.
+export default function ListingImport() {
+  const { isAdminUser } = useAuth();
+  const [sheetFile, setSheetFile] = useState(null);
+  const [photoZip, setPhotoZip] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [readError, setReadError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  // Import result per building key: {state: 'importing'|'done'|'failed', ...}
+  const [results, setResults] = useState({});
+
+  const validBuildings = plan ? plan.filter(isBuildingValid) : [];
+  const finished = Object.values(results).filter(result => result.state !== 'importing');
+
+  const readFiles = async (sheet, zip) => {
+    setPlan(null);
+    setResults({});
+    setReadError(null);
+    if (!sheet) return;
+
+    try {
+      setReading(true);
+      const [rows, photoArchive] = await Promise.all([readSpreadsheet(sheet), readPhotoArchive(zip)]);
+      if (rows.length === 0) {
+        setReadError('Faylka wax saf ah kuma jiraan');
+        return;
+      }
+      setPlan(buildImportPlan(rows, photoArchive));
+    } catch (error) {
+      console.error('Error reading import files:', error);
+      setReadError('Faylka lama akhriyi karo. Hubi inuu yahay CSV, XLSX ama zip sax ah.');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleSheetChange = (e) => {
+    const file = e.target.files[0] || null;
+    setSheetFile(file);
+    readFiles(file, photoZip);
+  };
+
+  const handleZipChange = (e) => {
+    const file = e.target.files[0] || null;
+    setPhotoZip(file);
+    readFiles(sheetFile, file);
+  };
+
+  const handleDownloadTemplate = () => {
+    const blob = new Blob([buildImportTemplate()], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'guryo-template.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async () => {
+    if (validBuildings.length === 0) return;
+
+    setImporting(true);
+    for (const building of validBuildings) {
+      setResults(prev => ({ ...prev, [building.key]: { state: 'importing', uploaded: 0 } }));
+
+      try {
+        const result = await importBuilding(building, {
+          isAdmin: isAdminUser,
+          onImageStatus: (index, { status }) => {
+            if (status !== 'done') return;
+            setResults(prev => ({
+              ...prev,
+              [building.key]: { ...prev[building.key], uploaded: (prev[building.key].uploaded || 0) + 1 }
+            }));
+          }
+        });
+
+        setResults(prev => ({
+          ...prev,
+          [building.key]: {
+            ...result,
+            state: result.apartmentId ? 'done' : 'failed',
+            error: result.apartmentId ? null : 'Sawirada midkoodna lama soo dejin karin'
+          }
+        }));
+      } catch (error) {
+        console.error('Error importing building:', building.key, error);
+        setResults(prev => ({
+          ...prev,
+          [building.key]: { state: 'failed', error: error.message || 'Qalad ayaa dhacay' }
+        }));
+      }
+    }
+    setImporting(false);
+  };
+
+  const importedCount = finished.filter(result => result.state === 'done').length;
+  const pendingCount = finished.filter(result => result.status === 'pending').length;
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8 space-y-6 sm:space-y-8 bg-white">
+      {/* Files */}
+      <div className="space-y-4">
+        <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
+          Faylasha
+        </h3>
+        <p className="text-sm text-gray-600">
+          Saf kasta waa hal dabaq. Safafka leh isla <code className="bg-gray-100 px-1 rounded">building</code> waxay
+          noqonayaan hal guri. Sawirada waxaad u qori kartaa URL ahaan ama magaca sawirka ee ku jira zip-ka.
+        </p>
+        <button
+          type="button"
+          onClick={handleDownloadTemplate}
+          className="text-sm text-blue-600 hover:text-blue-800 underline"
+        >
+          📄 Soo dejiso tusaalaha CSV-ga
+        </button>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Faylka CSV ama XLSX *
+            </label>
+            <input
+              type="file"
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={handleSheetChange}
+              disabled={importing}
+              className="w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Zip-ka sawirada (ikhtiyaari)
+            </label>
+            <input
+              type="file"
+              accept=".zip,application/zip"
+              onChange={handleZipChange}
+              disabled={importing}
+              className="w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+          </div>
+        </div>
+
+        <details className="text-sm text-gray-600">
+          <summary className="cursor-pointer font-medium text-gray-700">Tiirarka faylka</summary>
+          <ul className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+            {IMPORT_COLUMNS.map(column => (
+              <li key={column.name}>
+                <code className="bg-gray-100 px-1 rounded">{column.name}</code> – {column.description}
+              </li>
+            ))}
+          </ul>
+        </details>
+
+        {reading && <p className="text-sm text-gray-500">Faylka waa la akhrinayaa...</p>}
+        {readError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{readError}</div>
+        )}
+      </div>
+
+      {/* Preview */}
+      {plan && (
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
+            Eegid ({validBuildings.length}/{plan.length} guri diyaar ah)
+          </h3>
+
+          {plan.map(building => (
+            <ImportBuildingPreview key={`${building.key}-${building.line}`} building={building} result={results[building.key]} />
+          ))}
+        </div>
+      )}
+
+      {finished.length > 0 && !importing && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800">
+          ✅ {importedCount} guri ayaa la soo geliyay
+          {pendingCount > 0 && `, ${pendingCount} ka mid ah waxay sugayaan ansixinta maamulka`}
+          {finished.length > importedCount && `. ${finished.length - importedCount} ayaa fashilmay.`}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row sm:items-center justify-end space-y-3 sm:space-y-0 sm:space-x-4 pt-6 border-t border-gray-200">
+        <Link
+          to="/owner/dashboard"
+          className="w-full sm:w-auto px-6 py-3 border border-gray-300 rounded-md text-gray-700 text-center hover:bg-gray-50 transition-colors"
+        >
+          {finished.length > 0 ? 'Ku Noqo Liistada' : 'Jooji'}
+        </Link>
+        <button
+          type="button"
+          onClick={handleImport}
+          disabled={importing || validBuildings.length === 0 || finished.length > 0}
+          className={`w-full sm:w-auto px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center justify-center space-x-2 ${
+            importing || validBuildings.length === 0 || finished.length > 0 ? 'opacity-50 cursor-not-allowed' : ''
+          }`}
+        >
+          {importing && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>}
+          <span>
+            {importing ? 'Waa la soo gelinayaa...' : `Soo geli ${validBuildings.length} guri`}
+          </span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// One building in the preview: its floors as table rows, errors highlighted,
+// and its import progress once the import has started
+const ImportBuildingPreview = ({ building, result }) => {
+  const valid = isBuildingValid(building);
+
+  return (
+    <div className={`rounded-lg border p-4 space-y-3 ${valid ? 'border-gray-200 bg-gray-50' : 'border-red-300 bg-red-50'}`}>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div>
+          <h4 className="font-semibold text-gray-800">
+            {building.form.title || building.key || '—'}
+          </h4>
+          <p className="text-xs text-gray-500">
+            {building.key} · {building.form.district || 'Degmo la\'aan'} · {building.floors.length} dabaq · {building.photos.length} sawir
+          </p>
+        </div>
+        <ImportResultBadge valid={valid} result={result} photoCount={building.photos.length} />
+      </div>
+
+      {building.errors.length > 0 && (
+        <ul className="text-sm text-red-700 list-disc list-inside">
+          {building.errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {result?.photoErrors?.length > 0 && (
+        <p className="text-xs text-orange-700">
+          Sawiradan lama soo dejin karin: {result.photoErrors.map(photo => photo.ref).join(', ')}
+        </p>
+      )}
+      {result?.failedImages?.length > 0 && (
+        <p className="text-xs text-orange-700">
+          {result.failedImages.length} sawir lama soo gelin karin - ka sii wad bogga wax ka beddelka.
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-xs sm:text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="pr-3 py-1">Saf</th>
+              <th className="pr-3 py-1">Dabaq</th>
+              <th className="pr-3 py-1">Qolal</th>
+              <th className="pr-3 py-1">Musqul</th>
+              <th className="pr-3 py-1">Qiime</th>
+              <th className="pr-3 py-1">Xaalad</th>
+              <th className="py-1">Khaladaad</th>
+            </tr>
+          </thead>
+          <tbody>
+            {building.rows.map(row => (
+              <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-100 text-red-800' : 'text-gray-700'}>
+                <td className="pr-3 py-1">{row.line}</td>
+                <td className="pr-3 py-1">{row.values.floor || '—'}</td>
+                <td className="pr-3 py-1">{row.values.bedrooms || '—'}</td>
+                <td className="pr-3 py-1">{row.values.bathrooms || '—'}</td>
+                <td className="pr-3 py-1">{row.values.price ? `$${row.values.price}` : '—'}</td>
+                <td className="pr-3 py-1">{row.values.floor_status || 'available'}</td>
+                <td className="py-1">{row.errors.join('; ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const ImportResultBadge = ({ valid, result, photoCount }) => {
+  if (!valid) {
+    return <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">Khalad</span>;
+  }
+  if (!result) {
+    return <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Diyaar</span>;
+  }
+  if (result.state === 'importing') {
+    return (
+      <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+        Waa la soo gelinayaa... {result.uploaded || 0}/{photoCount} sawir
+      </span>
+    );
+  }
+  if (result.state === 'failed') {
+    return (
+      <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800" title={result.error}>
+        Fashilmay: {result.error}
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-2">
+      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+        result.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'
+      }`}>
+        {result.status === 'pending' ? 'Sugaya Ansixin' : 'La Daabacay'}
+      </span>
+      <Link to={`/owner/dashboard/edit-listing/${result.apartmentId}`} className="text-xs text-blue-600 hover:underline">
+        Wax ka beddel
+      </Link>
+    </span>
+  );
+};
@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../context/AuthContext';
+import { fetchListingInsights } from '../../utils/listingAnalytics';
+import { toDateString, addDays } from '../../utils/floorAvailability';
+
+const RANGE_OPTIONS = [7, 30, 90];
+
+const METRICS = [
+  { key: 'views', label: 'Daawasho', icon: '👁️', color: 'bg-blue-500' },
+  { key: 'whatsapp_clicks', label: 'WhatsApp', icon: '📱', color: 'bg-green-500' },
+  { key: 'saves', label: 'Kaydin', icon: '🔖', color: 'bg-purple-500' },
+  { key: 'message_starts', label: 'Fariimo', icon: '💬', color: 'bg-orange-500' }
+];
+
+const EMPTY_COUNTS = { views: 0, whatsapp_clicks: 0, saves: 0, message_starts: 0 };
+
+// Sum the daily counts of the given listings, per day and in total
+const sumCounts = (insights, apartmentIds, days) => {
+  const daily = days.map(day => {
+    const counts = { ...EMPTY_COUNTS };
+    apartmentIds.forEach(apartmentId => {
+      const dayCounts = insights[apartmentId]?.[day];
+      if (dayCounts) {
+        METRICS.forEach(({ key }) => { counts[key] += dayCounts[key]; });
+      }
+    });
+    return { day, ...counts };
+  });
+
+  const totals = daily.reduce((sum, counts) => {
+    METRICS.forEach(({ key }) => { sum[key] += counts[key]; });
+    return sum;
+  }, { ...EMPTY_COUNTS });
+
+  return { daily, totals };
+};
+
+// Bar chart of one metric per day
+const DailyChart = ({ daily, metric, compact = false }) => {
+  const max = Math.max(1, ...daily.map(counts => counts[metric.key]));
+
+  return (
+    <div className={`flex items-end gap-px ${compact ? 'h-8' : 'h-40'}`}>
+      {daily.map(counts => (
+        <div
+          key={counts.day}
+          title={`${counts.day}: ${counts[metric.key]} ${metric.label.toLowerCase()}`}
+          className="flex-1 h-full flex items-end"
+        >
+          <div
+            className={`w-full rounded-t-sm ${metric.color} ${counts[metric.key] === 0 ? 'opacity-20' : ''}`}
+            style={{ height: `${Math.max(counts[metric.key] / max * 100, 2)}%` }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Views, WhatsApp clicks, saves and message starts of the owner's listings:
+// totals and a daily chart for all listings or one, and a row per listing
+export default function ListingInsights() {
+  const { user } = useAuth();
+  const [range, setRange] = useState(30);
+  const [listings, setListings] = useState([]);
+  const [insights, setInsights] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [metricKey, setMetricKey] = useState('views');
+
+  useEffect(() => {
+    const fetchListings = async () => {
+      const { data, error: listingsError } = await supabase
+        .from('apartments')
+        .select('id, title, status')
+        .eq('owner_id', user.id)
+        .neq('status', 'draft')
+        .order('created_at', { ascending: false });
+
+      if (listingsError) {
+        console.error('Error fetching listings for insights:', listingsError);
+        return;
+      }
+      setListings(data || []);
+    };
+
+    fetchListings();
+  }, [user.id]);
+
+  useEffect(() => {
+    const fetchInsights = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setInsights(await fetchListingInsights(range));
+      } catch (error) {
+        console.error('Error fetching listing insights:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInsights();
+  }, [range]);
+
+  const today = toDateString();
+  const days = Array.from({ length: range }, (_, i) => addDays(today, i - range + 1));
+  const metric = METRICS.find(({ key }) => key === metricKey);
+  const selectedIds = selectedId ? [selectedId] : listings.map(listing => listing.id);
+  const { daily, totals } = sumCounts(insights, selectedIds, days);
+  const selectedListing = listings.find(listing => listing.id === selectedId);
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8 space-y-6 sm:space-y-8 bg-white">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <h3 className="text-lg font-semibold text-gray-800">
+          {selectedListing ? selectedListing.title : 'Dhammaan liisaskaaga'}
+          {selectedListing && (
+            <button
+              type="button"
+              onClick={() => setSelectedId(null)}
+              className="ml-3 text-sm font-normal text-blue-600 hover:text-blue-800 underline"
+            >
+              Muuji dhammaan
+            </button>
+          )}
+        </h3>
+        <div className="flex gap-2">
+          {RANGE_OPTIONS.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setRange(option)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                range === option ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option} maalmood
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+      )}
+
+      {/* Totals - also pick the metric shown in the chart */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4">
+        {METRICS.map(({ key, label, icon }) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setMetricKey(key)}
+            className={`text-left p-4 rounded-lg border transition-colors ${
+              metricKey === key ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+            }`}
+          >
+            <p className="text-sm text-gray-600">{icon} {label}</p>
+            <p className="text-2xl font-bold text-gray-900">{loading ? '…' : totals[key]}</p>
+          </button>
+        ))}
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">{metric.icon} {metric.label} maalin kasta</p>
+        <DailyChart daily={daily} metric={metric} />
+        <div className="flex justify-between text-xs text-gray-400 mt-1">
+          <span>{days[0]}</span>
+          <span>{today}</span>
+        </div>
+      </div>
+
+      {/* Per listing */}
+      <div className="space-y-3">
+        <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">Liis kasta</h3>
+        {listings.length === 0 ? (
+          <p className="text-sm text-gray-500">Weli ma lihid liis la daabacay.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Liiska</th>
+                  {METRICS.map(({ key, label, icon }) => (
+                    <th key={key} className="py-2 pr-4 font-medium whitespace-nowrap">{icon} {label}</th>
+                  ))}
+                  <th className="py-2 font-medium w-40">{metric.label}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {listings.map(listing => {
+                  const listingCounts = sumCounts(insights, [listing.id], days);
+                  return (
+                    <tr
+                      key={listing.id}
+                      onClick={() => setSelectedId(listing.id)}
+                      className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${
+                        selectedId === listing.id ? 'bg-blue-50' : ''
+                      }`}
+                    >
+                      <td className="py-2 pr-4 text-gray-800">{listing.title}</td>
+                      {METRICS.map(({ key }) => (
+                        <td key={key} className="py-2 pr-4 text-gray-700">{listingCounts.totals[key]}</td>
+                      ))}
+                      <td className="py-2">
+                        <DailyChart daily={listingCounts.daily} metric={metric} compact />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-400">
+        Booqashooyinkaaga adiga iyo kuwa isku qofka ah ee 30 daqiiqo gudahood ku soo noqda lama tiriyo.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import { useState } from 'react';
+import { toDateString, addDays, floorStatusOn } from '../../utils/floorAvailability';
+
+const STATUS_COLORS = {
+  available: 'bg-green-400',
+  occupied: 'bg-red-400',
+  maintenance: 'bg-yellow-400',
+  not_available: 'bg-gray-300'
+};
+
+const STATUS_LABELS = {
+  available: 'Banaan',
+  occupied: 'La kireeyay',
+  maintenance: 'Dayactir',
+  not_available: 'Lama heli karo'
+};
+
+const MONTH_NAMES = [
+  'Janaayo', 'Febraayo', 'Maarso', 'Abriil', 'Maajo', 'Juun',
+  'Luuliyo', 'Agoosto', 'Sebtembar', 'Oktoobar', 'Nofembar', 'Disembar'
+];
+
+// Month view of a building's floors for planning occupancy: one row per
+// floor, one cell per day, coloured by the status the floor will have that
+// day. Owners set when a floor is rented until and when it frees up; the
+// calendar previews unsaved dates so they can be checked before saving.
+export default function OccupancyCalendar({ floors, getFloorLabel, onUpdateDates, savingFloorId }) {
+  const today = toDateString();
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  // Unsaved date edits per floor id: {available_from, occupied_until}
+  const [edits, setEdits] = useState({});
+
+  const firstDay = toDateString(month);
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const days = Array.from({ length: daysInMonth }, (_, i) => addDays(firstDay, i));
+
+  const withEdits = (floor) => ({ ...floor, ...edits[floor.id] });
+
+  const changeMonth = (offset) => {
+    setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+  };
+
+  const editDate = (floor, field, value) => {
+    setEdits(prev => ({
+      ...prev,
+      [floor.id]: {
+        available_from: floor.available_from || '',
+        occupied_until: floor.occupied_until || '',
+        ...prev[floor.id],
+        [field]: value
+      }
+    }));
+  };
+
+  const saveDates = async (floor) => {
+    const { available_from, occupied_until } = edits[floor.id];
+    if (available_from && occupied_until && available_from <= occupied_until) {
+      alert('Taariikhda la heli karo waa inay ka dambeysaa dhammaadka kirada');
+      return;
+    }
+
+    const saved = await onUpdateDates(floor.id, {
+      available_from: available_from || null,
+      occupied_until: occupied_until || null
+    });
+    if (saved) {
+      setEdits(prev => {
+        const next = { ...prev };
+        delete next[floor.id];
+        return next;
+      });
+    }
+  };
+
+  return (
+    <div className="mt-4 bg-white p-3 rounded-lg border border-gray-200">
+      <div className="flex justify-between items-center mb-3">
+        <h5 className="font-medium text-gray-800">📅 Jadwalka Kirada</h5>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => changeMonth(-1)}
+            className="px-2 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            ‹
+          </button>
+          <span className="text-sm text-gray-700 w-32 text-center">
+            {MONTH_NAMES[month.getMonth()]} {month.getFullYear()}
+          </span>
+          <button
+            type="button"
+            onClick={() => changeMonth(1)}
+            className="px-2 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            ›
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="text-xs border-separate" style={{ borderSpacing: '2px' }}>
+          <thead>
+            <tr>
+              <th className="text-left font-medium text-gray-500 pr-2"></th>
+              {days.map(day => (
+                <th
+                  key={day}
+                  className={`w-5 font-normal ${day === today ? 'text-blue-600 font-bold' : 'text-gray-400'}`}
+                >
+                  {Number(day.slice(8))}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {floors.map(floor => (
+              <tr key={floor.id}>
+                <td className="text-gray-700 pr-2 whitespace-nowrap">
+                  {getFloorLabel(floor.floor_number, floors.length)}
+                </td>
+                {days.map(day => {
+                  // Past days show the floor's current status; the schedule only looks ahead
+                  const status = day < today ? floor.floor_status : floorStatusOn(withEdits(floor), day, today);
+                  return (
+                    <td
+                      key={day}
+                      title={`${day}: ${STATUS_LABELS[status] || status}`}
+                      className={`w-5 h-5 rounded-sm ${STATUS_COLORS[status] || 'bg-gray-300'} ${
+                        day < today ? 'opacity-40' : ''
+                      } ${day === today ? 'ring-2 ring-blue-500' : ''}`}
+                    />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+          <span key={status} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded-sm ${STATUS_COLORS[status]}`}></span>
+            {label}
+          </span>
+        ))}
+      </div>
+
+      <div className="mt-4 space-y-2">
+        {floors.map(floor => {
+          const dates = withEdits(floor);
+          return (
+            <div key={floor.id} className="flex flex-wrap items-end gap-2 text-xs">
+              <span className="w-24 text-gray-700 font-medium pb-1">
+                {getFloorLabel(floor.floor_number, floors.length)}
+              </span>
+              <label className="flex flex-col text-gray-500">
+                La kireeyay ilaa
+                <input
+                  type="date"
+                  value={dates.occupied_until || ''}
+                  onChange={(e) => editDate(floor, 'occupied_until', e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+              <label className="flex flex-col text-gray-500">
+                La heli karaa laga bilaabo
+                <input
+                  type="date"
+                  value={dates.available_from || ''}
+                  min={dates.occupied_until ? addDays(dates.occupied_until, 1) : undefined}
+                  onChange={(e) => editDate(floor, 'available_from', e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+              {edits[floor.id] && (
+                <button
+                  type="button"
+                  onClick={() => saveDates(floor)}
+                  disabled={savingFloorId === floor.id}
+                  className={`px-3 py-1 rounded transition-colors ${
+                    savingFloorId === floor.id
+                      ? 'bg-gray-200 text-gray-500 cursor-not-allowed'
+                      : 'bg-blue-600 text-white hover:bg-blue-700'
+                  }`}
+                >
+                  {savingFloorId === floor.id ? 'Waa la kaydinayaa...' : 'Kaydi'}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useMemo, useState } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { Link } from 'react-router-dom';
+import {
+  MAP_TILE_URL,
+  MAP_TILE_ATTRIBUTION,
+  MOGADISHU_CENTER,
+  DEFAULT_ZOOM,
+  DISTRICT_CLUSTER_MAX_ZOOM,
+  hasCoordinates,
+  boundsToSearchParams
+} from '../../lib/map';
+
+// Count badge used for district cluster markers
+const clusterIcon = (count) => L.divIcon({
+  html: `<div class="flex items-center justify-center w-10 h-10 rounded-full bg-blue-600 text-white text-sm font-bold border-2 border-white shadow-lg">${count}</div>`,
+  className: '',
+  iconSize: [40, 40],
+  iconAnchor: [20, 20]
+});
+
+// Reports the visible bounds and zoom level whenever the map stops moving
+const MapViewTracker = ({ onViewChange }) => {
+  const map = useMapEvents({
+    // Also fires after zooming
+    moveend: () => onViewChange(map)
+  });
+  return null;
+};
+
+// One marker per district, placed at the centre of its listings; clicking zooms in on them
+const DistrictCluster = ({ district, pins }) => {
+  const map = useMap();
+  const center = [
+    pins.reduce((sum, pin) => sum + pin.latitude, 0) / pins.length,
+    pins.reduce((sum, pin) => sum + pin.longitude, 0) / pins.length
+  ];
+
+  return (
+    <Marker
+      position={center}
+      icon={clusterIcon(pins.length)}
+      title={`${district}: ${pins.length} guri`}
+      eventHandlers={{
+        click: () => {
+          const bounds = L.latLngBounds(pins.map(pin => [pin.latitude, pin.longitude]));
+          map.fitBounds(bounds, { padding: [40, 40], maxZoom: DISTRICT_CLUSTER_MAX_ZOOM + 1 });
+        }
+      }}
+    />
+  );
+};
+
+// Map of the listings with pinned locations, clustered by district when zoomed out
+export default function ApartmentsMap({ apartments, onBoundsChange }) {
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+
+  const pins = useMemo(() => apartments.filter(hasCoordinates), [apartments]);
+
+  const pinsByDistrict = useMemo(() => {
+    return pins.reduce((groups, pin) => {
+      const district = pin.district || 'Kale';
+      (groups[district] = groups[district] || []).push(pin);
+      return groups;
+    }, {});
+  }, [pins]);
+
+  const handleViewChange = (map) => {
+    setZoom(map.getZoom());
+    onBoundsChange?.(boundsToSearchParams(map.getBounds()));
+  };
+
+  return (
+    <div className="h-[28rem] rounded-xl overflow-hidden border border-gray-700">
+      <MapContainer
+        center={MOGADISHU_CENTER}
+        zoom={DEFAULT_ZOOM}
+        className="h-full w-full"
+        whenReady={(e) => handleViewChange(e.target)}
+      >
+        <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} />
+        <MapViewTracker onViewChange={handleViewChange} />
+
+        {zoom < DISTRICT_CLUSTER_MAX_ZOOM
+          ? Object.entries(pinsByDistrict).map(([district, districtPins]) => (
+              <DistrictCluster key={district} district={district} pins={districtPins} />
+            ))
+          : pins.map(pin => (
+              <Marker key={pin.id} position={[pin.latitude, pin.longitude]}>
+                <Popup>
+                  <div className="space-y-1">
+                    <p className="font-semibold">{pin.title}</p>
+                    <p className="text-gray-600">📍 {pin.district}</p>
+                    <p className="text-blue-600 font-bold">${pin.price_per_month}/bishii</p>
+                    <Link to={`/apartments/${pin.id}`} className="text-blue-600 underline">
+                      Fiiri guriga
+                    </Link>
+                  </div>
+                </Popup>
+              </Marker>
+            ))}
+      </MapContainer>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { MapContainer, TileLayer, Marker, useMapEvents } from 'react-leaflet';
+import { MAP_TILE_URL, MAP_TILE_ATTRIBUTION, MOGADISHU_CENTER, DEFAULT_ZOOM } from '../../lib/map';
+
+// Drops the pin wherever the map is clicked
+const PinDropHandler = ({ onPick }) => {
+  useMapEvents({
+    click: (e) => onPick(e.latlng.lat, e.latlng.lng)
+  });
+  return null;
+};
+
+// Pin-drop picker for the exact location of a listing
+export default function LocationPicker({ latitude, longitude, onChange }) {
+  const hasPin = latitude != null && longitude != null;
+  const position = hasPin ? [latitude, longitude] : null;
+
+  const handlePick = (lat, lng) => {
+    // Six decimals is roughly 10cm - more precision than a pin drop can give
+    onChange(Number(lat.toFixed(6)), Number(lng.toFixed(6)));
+  };
+
+  return (
+    <div>
+      <div className="h-64 sm:h-80 rounded-md overflow-hidden border border-gray-300">
+        <MapContainer
+          center={position || MOGADISHU_CENTER}
+          zoom={hasPin ? 16 : DEFAULT_ZOOM}
+          scrollWheelZoom={false}
+          className="h-full w-full"
+        >
+          <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} />
+          <PinDropHandler onPick={handlePick} />
+          {position && (
+            <Marker
+              position={position}
+              draggable
+              eventHandlers={{
+                dragend: (e) => {
+                  const { lat, lng } = e.target.getLatLng();
+                  handlePick(lat, lng);
+                }
+              }}
+            />
+          )}
+        </MapContainer>
+      </div>
+
+      <div className="flex items-center justify-between mt-2 text-sm">
+        <p className="text-gray-500">
+          {hasPin
+            ? `📍 ${latitude}, ${longitude}`
+            : 'Riix khariidadda meesha uu guriga ku yaal si aad calaamad u dhigto'}
+        </p>
+        {hasPin && (
+          <button
+            type="button"
+            onClick={() => onChange(null, null)}
+            className="text-red-600 hover:text-red-700 font-medium"
+          >
+            Ka saar calaamadda
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../../lib/supabase';
 import { useAuth } from '../../context/AuthContext';
+import { recordListingEvent } from '../../utils/listingAnalytics';
 
 export default function SaveButton({ apartmentId, onSuccess, className = '' }) {
   const { user } = useAuth();
@@ -90,6 +91,7 @@ export default function SaveButton({ apartmentId, onSuccess, className = '' }) {
         if (error) throw error;
         
         console.log('SaveButton: Successfully saved apartment', data);
+        recordListingEvent(apartmentId, 'save');
         setIsSaved(true);
         if (data && data.length > 0) {
           setSavedId(data[0].id);
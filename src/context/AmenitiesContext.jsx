@@ -0,0 +1,44 @@
+import { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { supabase } from '../lib/supabase';
+
+const AmenitiesContext = createContext();
+
+// The amenities catalogue (see amenities.sql), loaded once for the listing
+// editor, the Home filters and the amenity icons on cards and detail pages
+export function AmenitiesProvider({ children }) {
+  const [amenities, setAmenities] = useState([]);
+
+  useEffect(() => {
+    const fetchAmenities = async () => {
+      const { data, error } = await supabase
+        .from('amenities')
+        .select('key, label, icon')
+        .order('sort_order', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching amenities:', error);
+        return;
+      }
+      setAmenities(data || []);
+    };
+
+    fetchAmenities();
+  }, []);
+
+  const value = useMemo(() => {
+    const amenitiesByKey = new Map(amenities.map(amenity => [amenity.key, amenity]));
+
+    return {
+      amenities,
+      // Catalogue entries for a listing's amenity keys, in catalogue order
+      getAmenities: (keys = []) => amenities.filter(amenity => keys?.includes(amenity.key)),
+      getAmenity: (key) => amenitiesByKey.get(key) || null
+    };
+  }, [amenities]);
+
+  return <AmenitiesContext.Provider value={value}>{children}</AmenitiesContext.Provider>;
+}
+
+export const useAmenities = () => {
+  return useContext(AmenitiesContext);
+};
@@ -1,6 +1,7 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { supabase, getProfileImageUrl } from '../lib/supabase';
 import { logAuthState, getOAuthErrorInfo, diagnoseAuthIssue } from '../utils/authDebug';
+import { mergeLocalRecentlyViewed } from '../utils/recentlyViewed';
 
 const AuthContext = createContext();
 
@@ -111,6 +112,7 @@ export function AuthProvider({ children }) {
   });
   const [unreadMessages, setUnreadMessages] = useState(0);
   const [showMessageNotification, setShowMessageNotification] = useState(false);
+  const [unreadNotifications, setUnreadNotifications] = useState(0);
   const [authInitialized, setAuthInitialized] = useState(false);
   const [roleChangeNotification, setRoleChangeNotification] = useState(null);
 
@@ -1084,6 +1086,44 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Check for unread in-app notifications (saved search alerts and digests)
+  const checkUnreadNotifications = useCallback(async () => {
+    if (!user?.id) return 0;
+    
+    try {
+      const { count, error } = await supabase
+        .from('notifications')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', user.id)
+        .eq('is_read', false);
+      
+      if (error) throw error;
+      
+      setUnreadNotifications(count || 0);
+      return count || 0;
+    } catch (error) {
+      console.error('Error checking unread notifications:', error);
+      return 0;
+    }
+  }, [user?.id]);
+
+  // Function to mark all notifications as read
+  const markNotificationsAsRead = useCallback(async () => {
+    if (!user?.id) return;
+    
+    try {
+      await supabase
+        .from('notifications')
+        .update({ is_read: true })
+        .eq('user_id', user.id)
+        .eq('is_read', false);
+      
+      setUnreadNotifications(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  }, [user?.id]);
+
   // Reset notification display (called when clicking message icon)
   const clearMessageNotification = () => {
     setShowMessageNotification(false);
@@ -1121,6 +1161,41 @@ export function AuthProvider({ children }) {
     }
   }, [user, authInitialized]);
 
+  // Keep the unread notification count live while logged in
+  useEffect(() => {
+    if (user?.id && authInitialized) {
+      checkUnreadNotifications();
+      
+      const notificationSubscription = supabase
+        .channel('public:notifications')
+        .on('postgres_changes', 
+          { 
+            event: 'INSERT', 
+            schema: 'public', 
+            table: 'notifications',
+            filter: `user_id=eq.${user.id}` 
+          },
+          () => {
+            checkUnreadNotifications();
+          }
+        )
+        .subscribe();
+      
+      return () => {
+        supabase.removeChannel(notificationSubscription);
+      };
+    } else {
+      setUnreadNotifications(0);
+    }
+  }, [user?.id, authInitialized, checkUnreadNotifications]);
+
+  // Move apartments viewed before logging in into the user's history
+  useEffect(() => {
+    if (user?.id && authInitialized) {
+      mergeLocalRecentlyViewed(user.id);
+    }
+  }, [user?.id, authInitialized]);
+
   // Set up periodic profile refresh when logged in
   useEffect(() => {
     if (user?.id && authInitialized) {
@@ -1222,6 +1297,10 @@ export function AuthProvider({ children }) {
     checkUnreadMessages,
     markAllMessagesAsRead,
     clearMessageNotification,
+    // In-app notification features
+    unreadNotifications,
+    checkUnreadNotifications,
+    markNotificationsAsRead,
     refreshUserProfile: async () => {
       if (user?.id) {
         try {
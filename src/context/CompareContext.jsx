@@ -0,0 +1,161 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from './AuthContext';
+
+const CompareContext = createContext();
+
+// Most apartments that fit side by side on /compare
+const MAX_COMPARE_ITEMS = 4;
+
+// Visitors keep their comparison list in localStorage
+const COMPARE_STORAGE_KEY = 'compare_apartment_ids';
+
+const getCompareIdsFromLocalStorage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.slice(0, MAX_COMPARE_ITEMS) : [];
+  } catch (e) {
+    console.warn('Could not read compare list from localStorage:', e);
+    return [];
+  }
+};
+
+const saveCompareIdsToLocalStorage = (ids) => {
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(ids));
+  } catch (e) {
+    console.warn('Could not save compare list to localStorage:', e);
+  }
+};
+
+export function CompareProvider({ children }) {
+  const { user } = useAuth();
+  const [compareIds, setCompareIds] = useState(getCompareIdsFromLocalStorage);
+
+  // Signed-in users keep their list in compare_list_items so it follows them across
+  // sessions and devices. Anything picked before logging in is merged into it.
+  useEffect(() => {
+    if (!user?.id) {
+      setCompareIds(getCompareIdsFromLocalStorage());
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadCompareList = async () => {
+      try {
+        const localIds = getCompareIdsFromLocalStorage();
+
+        const { data, error } = await supabase
+          .from('compare_list_items')
+          .select('apartment_id')
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        const savedIds = (data || []).map(item => item.apartment_id);
+        const newIds = localIds
+          .filter(id => !savedIds.includes(id))
+          .slice(0, Math.max(MAX_COMPARE_ITEMS - savedIds.length, 0));
+
+        if (newIds.length > 0) {
+          const { error: mergeError } = await supabase
+            .from('compare_list_items')
+            .upsert(newIds.map(apartmentId => ({ user_id: user.id, apartment_id: apartmentId })));
+
+          if (mergeError) throw mergeError;
+        }
+
+        saveCompareIdsToLocalStorage([]);
+
+        if (!cancelled) {
+          setCompareIds([...savedIds, ...newIds]);
+        }
+      } catch (error) {
+        console.error('Error loading compare list:', error);
+      }
+    };
+
+    loadCompareList();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  const removeFromCompare = useCallback(async (apartmentId) => {
+    setCompareIds(prev => {
+      const next = prev.filter(id => id !== apartmentId);
+      if (!user?.id) saveCompareIdsToLocalStorage(next);
+      return next;
+    });
+
+    if (user?.id) {
+      const { error } = await supabase
+        .from('compare_list_items')
+        .delete()
+        .eq('user_id', user.id)
+        .eq('apartment_id', apartmentId);
+
+      if (error) console.error('Error removing apartment from compare list:', error);
+    }
+  }, [user?.id]);
+
+  // Returns false when the list is already full
+  const addToCompare = useCallback(async (apartmentId) => {
+    if (compareIds.includes(apartmentId)) return true;
+    if (compareIds.length >= MAX_COMPARE_ITEMS) return false;
+
+    const next = [...compareIds, apartmentId];
+    setCompareIds(next);
+
+    if (user?.id) {
+      const { error } = await supabase
+        .from('compare_list_items')
+        .insert({ user_id: user.id, apartment_id: apartmentId });
+
+      if (error) console.error('Error adding apartment to compare list:', error);
+    } else {
+      saveCompareIdsToLocalStorage(next);
+    }
+
+    return true;
+  }, [compareIds, user?.id]);
+
+  const toggleCompare = useCallback((apartmentId) => {
+    return compareIds.includes(apartmentId)
+      ? removeFromCompare(apartmentId).then(() => true)
+      : addToCompare(apartmentId);
+  }, [compareIds, addToCompare, removeFromCompare]);
+
+  const clearCompare = useCallback(async () => {
+    setCompareIds([]);
+
+    if (user?.id) {
+      const { error } = await supabase
+        .from('compare_list_items')
+        .delete()
+        .eq('user_id', user.id);
+
+      if (error) console.error('Error clearing compare list:', error);
+    } else {
+      saveCompareIdsToLocalStorage([]);
+    }
+  }, [user?.id]);
+
+  const value = {
+    compareIds,
+    maxCompareItems: MAX_COMPARE_ITEMS,
+    isCompared: (apartmentId) => compareIds.includes(apartmentId),
+    addToCompare,
+    removeFromCompare,
+    toggleCompare,
+    clearCompare
+  };
+
+  return <CompareContext.Provider value={value}>{children}</CompareContext.Provider>;
+}
+
+export const useCompare = () => {
+  return useContext(CompareContext);
+};
@@ -0,0 +1,48 @@
+import L from 'leaflet';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+import 'leaflet/dist/leaflet.css';
+
+// Tile server - defaults to OpenStreetMap, override to point at a self-hosted tile server
+export const MAP_TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const MAP_TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Central Mogadishu
+export const MOGADISHU_CENTER = [2.0469, 45.3182];
+export const DEFAULT_ZOOM = 13;
+
+// Below this zoom level listings are grouped into one marker per district
+export const DISTRICT_CLUSTER_MAX_ZOOM = 14;
+
+// Bundlers rename Leaflet's default marker images, so point the icon at the imported files
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconUrl: markerIcon,
+  iconRetinaUrl: markerIcon2x,
+  shadowUrl: markerShadow
+});
+
+/**
+ * Check whether an apartment has a pinned location
+ * @param {Object} apartment - Apartment with latitude and longitude
+ * @returns {boolean} - True if both coordinates are set
+ */
+export const hasCoordinates = (apartment) => {
+  return apartment?.latitude != null && apartment?.longitude != null;
+};
+
+/**
+ * Convert Leaflet bounds into the bounding box parameters of the search_apartments RPC
+ * @param {L.LatLngBounds} bounds - Visible map bounds
+ * @returns {Object} - p_min_lat, p_max_lat, p_min_lng and p_max_lng
+ */
+export const boundsToSearchParams = (bounds) => {
+  return {
+    p_min_lat: bounds.getSouth(),
+    p_max_lat: bounds.getNorth(),
+    p_min_lng: bounds.getWest(),
+    p_max_lng: bounds.getEast()
+  };
+};
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { processImage } from '../utils/imageProcessing';
 
 // Get Supabase credentials from environment variables
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -39,33 +40,89 @@ const supabaseOptions = {
 // Create singleton Supabase client
 export const supabase = createClient(supabaseUrl, supabaseAnonKey, supabaseOptions);
 
+// Longest a single photo upload may take before it is abandoned
+const IMAGE_UPLOAD_TIMEOUT = 120000;
+
 /**
- * Helper function to upload an image to storage and create a record in apartment_images
+ * Upload a file to storage with XMLHttpRequest, which (unlike fetch) reports
+ * upload progress. Also avoids the client's short fetch timeout on slow networks.
+ * @param {string} bucket - Storage bucket
+ * @param {string} path - Path of the file in the bucket
+ * @param {File} file - The file to upload
+ * @param {Function} onProgress - Called with the uploaded fraction (0-1)
+ * @returns {Promise<{error: Error|null}>}
+ */
+const uploadWithProgress = async (bucket, path, file, onProgress) => {
+    const { data: { session } } = await supabase.auth.getSession();
+
+    return new Promise((resolve) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', `${supabaseUrl}/storage/v1/object/${bucket}/${encodeURI(path)}`);
+        xhr.setRequestHeader('Authorization', `Bearer ${session?.access_token || supabaseAnonKey}`);
+        xhr.setRequestHeader('apikey', supabaseAnonKey);
+        xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+        xhr.setRequestHeader('cache-control', 'max-age=3600');
+        xhr.timeout = IMAGE_UPLOAD_TIMEOUT;
+
+        xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable) {
+                onProgress(event.loaded / event.total);
+            }
+        };
+
+        xhr.onload = () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve({ error: null });
+                return;
+            }
+
+            let message = `Upload failed with status ${xhr.status}`;
+            try {
+                message = JSON.parse(xhr.responseText).message || message;
+            } catch {
+                // Not a JSON error body
+            }
+            resolve({ error: new Error(message) });
+        };
+        xhr.onerror = () => resolve({ error: new Error('Network error during upload') });
+        xhr.ontimeout = () => resolve({ error: new Error('Upload timed out') });
+
+        xhr.send(file);
+    });
+};
+
+/**
+ * Helper function to upload an image to storage and create a record in apartment_images.
+ * The photo is downsized and stripped of metadata first, and a thumbnail is stored next to it.
  * @param {File} file - The image file to upload
  * @param {string} apartmentId - The ID of the apartment
  * @param {boolean} isPrimary - Whether this is the primary image
- * @returns {Promise<{success: boolean, filePath: string, error: any}>}
+ * @param {number} sortOrder - Position of the image in the apartment's gallery
+ * @param {Function|null} onProgress - Called with the progress of the upload (0-1)
+ * @returns {Promise<{success: boolean, filePath: string, error: any, retryable?: boolean}>} - retryable
+ *   is false when trying again cannot help (bad arguments, unreadable photo)
  */
-export const uploadApartmentImage = async (file, apartmentId, isPrimary = false) => {
+export const uploadApartmentImage = async (file, apartmentId, isPrimary = false, sortOrder = 0, onProgress = null) => {
     try {
         console.log('uploadApartmentImage called with:', {
             fileName: file?.name,
             fileSize: file?.size,
             apartmentId,
-            isPrimary
+            isPrimary,
+            sortOrder
         });
 
         if (!file || !apartmentId) {
             const error = 'Missing required parameters';
             console.error('uploadApartmentImage error:', error);
-            return { success: false, error };
+            return { success: false, error, retryable: false };
         }
 
         // Make sure apartmentId is a valid UUID
         if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(apartmentId)) {
             const error = `Invalid apartment ID format: ${apartmentId}`;
             console.error('uploadApartmentImage error:', error);
-            return { success: false, error };
+            return { success: false, error, retryable: false };
         }
 
         // Verify apartment exists before uploading
@@ -79,34 +136,58 @@ export const uploadApartmentImage = async (file, apartmentId, isPrimary = false)
         if (apartmentCheckError || !apartmentCheck) {
             const error = `Apartment not found: ${apartmentId}`;
             console.error('uploadApartmentImage error:', error, apartmentCheckError);
-            return { success: false, error };
+            // PGRST116 means no row came back, any other error may be the network
+            return { success: false, error, retryable: Boolean(apartmentCheckError && apartmentCheckError.code !== 'PGRST116') };
         }
 
         console.log('Apartment verified, proceeding with upload');
 
-        const fileExt = file.name.split('.').pop();
-        const fileName = `${apartmentId}-${Date.now()}-${Math.floor(Math.random() * 1000)}.${fileExt}`;
-        const filePath = `apartments/${fileName}`;
+        // Resize, re-encode and strip EXIF (GPS) data before anything leaves the device
+        let processed;
+        try {
+            processed = await processImage(file);
+            console.log('Image processed:', {
+                originalSize: file.size,
+                size: processed.image.size,
+                thumbnailSize: processed.thumbnail.size
+            });
+        } catch (processError) {
+            console.error('Image processing error:', processError);
+            return { success: false, error: processError, retryable: false };
+        }
 
-        console.log('Generated file path:', filePath);
+        const baseName = `${apartmentId}-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+        const filePath = `apartments/${baseName}.${processed.image.name.split('.').pop()}`;
+        const thumbnailPath = `apartments/${baseName}-thumb.${processed.thumbnail.name.split('.').pop()}`;
 
-        // First, check file size and optimize if needed
-        if (file.size > 2000000) { // 2MB
-            console.warn('Large file detected, size:', file.size);
-        }
+        console.log('Generated file path:', filePath);
 
         // Upload the file to storage
         console.log('Starting storage upload...');
-        const { data: uploadData, error: uploadError } = await supabase.storage
-            .from('apartment_images')
-            .upload(filePath, file);
+        let uploadError;
+        if (onProgress) {
+            ({ error: uploadError } = await uploadWithProgress('apartment_images', filePath, processed.image, onProgress));
+        } else {
+            ({ error: uploadError } = await supabase.storage
+                .from('apartment_images')
+                .upload(filePath, processed.image, { contentType: processed.image.type }));
+        }
 
         if (uploadError) {
             console.error('Storage upload error:', uploadError);
             return { success: false, error: uploadError };
         }
 
-        console.log('Storage upload successful:', uploadData);
+        console.log('Storage upload successful:', filePath);
+
+        // The thumbnail is optional - cards fall back to the full image without it
+        const { error: thumbnailError } = await supabase.storage
+            .from('apartment_images')
+            .upload(thumbnailPath, processed.thumbnail, { contentType: processed.thumbnail.type });
+
+        if (thumbnailError) {
+            console.warn('Thumbnail upload error:', thumbnailError);
+        }
 
         // Get the public URL for verification
         const { data: urlData } = supabase.storage
@@ -119,7 +200,9 @@ export const uploadApartmentImage = async (file, apartmentId, isPrimary = false)
         const imageRecord = {
             apartment_id: apartmentId,
             storage_path: filePath,
+            thumbnail_path: thumbnailError ? null : thumbnailPath,
             is_primary: isPrimary,
+            sort_order: sortOrder,
             created_at: new Date().toISOString()
         };
 
@@ -136,7 +219,7 @@ export const uploadApartmentImage = async (file, apartmentId, isPrimary = false)
             try {
                 await supabase.storage
                     .from('apartment_images')
-                    .remove([filePath]);
+                    .remove(thumbnailError ? [filePath] : [filePath, thumbnailPath]);
                 console.log('Cleaned up uploaded file after database error');
             } catch (cleanupError) {
                 console.error('Failed to cleanup uploaded file:', cleanupError);
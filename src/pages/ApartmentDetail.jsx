@@ -3,8 +3,14 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
+import { useAmenities } from '../context/AmenitiesContext';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
-import { getImageUrl } from '../utils/imageUtils';
+import { getImageUrl, sortApartmentImages } from '../utils/imageUtils';
+import { recordApartmentView } from '../utils/recentlyViewed';
+import { recordListingEvent } from '../utils/listingAnalytics';
+import { floorAvailableDate, floorStatusUpdate, formatAvailabilityDate } from '../utils/floorAvailability';
+import SimilarApartments from '../components/apartments/SimilarApartments';
+import PriceHistory from '../components/apartments/PriceHistory';
 
 // Image viewer modal component
 const ImageViewerModal = ({ images, activeIndex, onClose, onPrev, onNext }) => {
@@ -130,6 +136,7 @@ const ImageViewerModal = ({ images, activeIndex, onClose, onPrev, onNext }) => {
 export default function ApartmentDetail() {
   const { id } = useParams();
   const { user } = useAuth();
+  const { getAmenities } = useAmenities();
   const [apartment, setApartment] = useState(null);
   const [apartmentFloors, setApartmentFloors] = useState([]);
   const [owner, setOwner] = useState(null);
@@ -151,7 +158,7 @@ export default function ApartmentDetail() {
             .from('apartments')
             .select(`
               *,
-              apartment_images(id, storage_path, is_primary)
+              apartment_images(id, storage_path, thumbnail_path, is_primary, sort_order)
             `)
             .eq('id', id)
             .single();
@@ -168,9 +175,10 @@ export default function ApartmentDetail() {
           apartmentData.apartment_images = imagesData || [];
         }
         
-        apartmentData.apartment_images = apartmentData.apartment_images.filter(img => 
+        // Gallery follows the order the owner arranged the photos in
+        apartmentData.apartment_images = sortApartmentImages(apartmentData.apartment_images.filter(img => 
           img && img.storage_path && img.storage_path.trim() !== ''
-        );
+        ));
         
           setApartment(apartmentData);
           
@@ -240,6 +248,20 @@ export default function ApartmentDetail() {
     fetchApartment();
   }, [id]);
 
+  // Add the apartment to the visitor's recently viewed history once it has loaded
+  useEffect(() => {
+    if (apartment?.id) {
+      recordApartmentView(apartment.id, user?.id || null);
+    }
+  }, [apartment?.id, user?.id]);
+
+  // Count the view for the owner's Insights tab
+  useEffect(() => {
+    if (apartment?.id) {
+      recordListingEvent(apartment.id, 'view');
+    }
+  }, [apartment?.id]);
+
   // Add listener to refresh data when page becomes visible again
   useEffect(() => {
     const handleVisibilityChange = () => {
@@ -335,6 +357,8 @@ export default function ApartmentDetail() {
       });
       
       if (convError) throw convError;
+
+      recordListingEvent(apartment.id, 'message_start');
       
       navigate('/profile', { 
         state: { 
@@ -388,7 +412,7 @@ export default function ApartmentDetail() {
     try {
       const { error } = await supabase
         .from('apartment_floors')
-        .update({ floor_status: newStatus })
+        .update(floorStatusUpdate(newStatus))
         .eq('id', floorId);
       
       if (error) throw error;
@@ -397,7 +421,7 @@ export default function ApartmentDetail() {
       setApartmentFloors(prev => 
         prev.map(floor => 
           floor.id === floorId 
-            ? { ...floor, floor_status: newStatus }
+            ? { ...floor, ...floorStatusUpdate(newStatus) }
             : floor
         )
       );
@@ -492,6 +516,8 @@ export default function ApartmentDetail() {
   }
   
   currentImage = currentImage || primaryImage || firstImage;
+
+  const amenities = getAmenities(apartment.amenities);
   
   const getAverageRating = () => {
     if (reviews.length === 0) return 0;
@@ -524,6 +550,17 @@ export default function ApartmentDetail() {
     }).format(price);
   };
 
+  // Lease-term month counts, or "not stated" when the owner left them blank
+  const formatMonths = (months) => {
+    if (months === null || months === undefined) return 'Lama sheegin';
+    return `${months} bil`;
+  };
+
+  const hasLeaseTerms = (floor) => (
+    floor.deposit_months != null || floor.advance_months != null || floor.min_lease_months != null
+    || floor.water_included || floor.electricity_included
+  );
+
   const getFloorLabel = (floorNumber, totalFloors) => {
     if (floorNumber === 1) return 'Dabaqda 1';
     if (floorNumber === totalFloors) return `Dabaqda ${floorNumber}aad (Sare)`;
@@ -702,7 +739,7 @@ export default function ApartmentDetail() {
                       >
                         {image && image.storage_path && image.storage_path.trim() !== '' ? (
                           <img 
-                            src={getImageUrl(image.storage_path)} 
+                            src={getImageUrl(image.thumbnail_path || image.storage_path)} 
                             alt={`Thumbnail ${index + 1}`}
                             className="w-full h-full object-cover"
                             onError={(e) => {
@@ -752,6 +789,24 @@ export default function ApartmentDetail() {
                 </span>
               </div>
               
+              {/* Amenities */}
+              {amenities.length > 0 && (
+                <div className="mb-6">
+                  <h3 className="text-xl font-bold text-white mb-4">Adeegyada</h3>
+                  <div className="grid grid-cols-2 gap-2">
+                    {amenities.map(amenity => (
+                      <div
+                        key={amenity.key}
+                        className="flex items-center px-3 py-2 bg-gray-900 rounded-lg border border-gray-600 text-gray-200"
+                      >
+                        <span className="text-xl mr-2" aria-hidden="true">{amenity.icon}</span>
+                        <span>{amenity.label}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
               {/* Availability Status */}
               <div className="mb-6">
                 <h3 className="text-xl font-bold text-white mb-4">Xaaladda Helitaanka</h3>
@@ -795,6 +850,7 @@ export default function ApartmentDetail() {
                     href={`https://wa.me/${(apartment.whatsapp_number || owner.whatsapp_number).replace(/\D/g, '')}?text=Salaan, waxaan xiiseynayaa gurigaaga: ${apartment.title}`}
                       target="_blank"
                       rel="noopener noreferrer"
+                      onClick={() => recordListingEvent(apartment.id, 'whatsapp_click')}
                       className="w-full flex items-center justify-center px-6 py-4 bg-green-600 hover:bg-green-700 text-white rounded-xl transition-colors font-bold text-lg"
                     >
                       <svg className="w-6 h-6 mr-3" fill="currentColor" viewBox="0 0 24 24">
@@ -1006,6 +1062,7 @@ export default function ApartmentDetail() {
                           href={`https://wa.me/${(apartment.whatsapp_number || owner.whatsapp_number).replace(/\D/g, '')}?text=Salaan, waxaan xiiseynayaa ${getFloorLabel(floor.floor_number, apartmentFloors.length)} ee gurigaaga: ${apartment.title}`}
                           target="_blank"
                           rel="noopener noreferrer"
+                          onClick={() => recordListingEvent(apartment.id, 'whatsapp_click')}
                           className="w-full flex items-center justify-center px-4 py-3 bg-green-600 hover:bg-green-700 text-white rounded-xl transition-colors font-medium"
                         >
                           <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 24 24">
@@ -1036,6 +1093,11 @@ export default function ApartmentDetail() {
                         {floor.floor_status === 'not_available' && '❌ Dabaqan hadda lama heli karo'}
                         {floor.floor_status === 'maintenance' && '🔧 Dabaqan waa dayactir'}
                       </p>
+                          {floorAvailableDate(floor) && (
+                            <p className="text-green-400 text-xs mt-1">
+                              📅 La heli karaa laga bilaabo {formatAvailabilityDate(floorAvailableDate(floor))}
+                            </p>
+                          )}
                         </div>
                       )}
                     </div>
@@ -1046,6 +1108,54 @@ export default function ApartmentDetail() {
           </div>
         </div>
 
+        {/* Lease Terms Table */}
+        {apartmentFloors.some(hasLeaseTerms) && (
+          <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl border border-gray-700 mt-8">
+            <h3 className="text-2xl font-bold text-white mb-4 flex items-center">
+              <svg className="w-6 h-6 mr-2 text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+              </svg>
+              Shuruudaha Kirada
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm text-gray-300">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-gray-600">
+                    <th className="py-2 pr-4 font-medium">Dabaqda</th>
+                    <th className="py-2 pr-4 font-medium">Qiimaha</th>
+                    <th className="py-2 pr-4 font-medium">Deebaaji</th>
+                    <th className="py-2 pr-4 font-medium">Horudhac</th>
+                    <th className="py-2 pr-4 font-medium">Muddada ugu yar</th>
+                    <th className="py-2 pr-4 font-medium">Biyaha</th>
+                    <th className="py-2 font-medium">Korontada</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {apartmentFloors.map(floor => (
+                    <tr key={floor.id} className="border-b border-gray-700 last:border-0">
+                      <td className="py-2 pr-4 text-white">{getFloorLabel(floor.floor_number, apartmentFloors.length)}</td>
+                      <td className="py-2 pr-4 text-green-400 font-semibold">{formatPrice(floor.price_per_month)}</td>
+                      <td className="py-2 pr-4">{formatMonths(floor.deposit_months)}</td>
+                      <td className="py-2 pr-4">{formatMonths(floor.advance_months)}</td>
+                      <td className="py-2 pr-4">{formatMonths(floor.min_lease_months)}</td>
+                      <td className="py-2 pr-4">{floor.water_included ? '✅ Ku jira' : '—'}</td>
+                      <td className="py-2">{floor.electricity_included ? '✅ Ku jira' : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Price History */}
+        <PriceHistory
+          apartmentId={apartment.id}
+          floors={apartmentFloors}
+          getFloorLabel={getFloorLabel}
+          formatPrice={formatPrice}
+        />
+
         {/* Property Description */}
         {apartment.description && (
           <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl border border-gray-700 mt-8">
@@ -1135,6 +1245,9 @@ export default function ApartmentDetail() {
             </div>
           )}
         </div>
+
+        {/* Similar Apartments */}
+        <SimilarApartments apartmentId={apartment.id} />
       </div>
 
       {/* Full screen image viewer modal */}
@@ -0,0 +1,286 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '../lib/supabase';
+import { useCompare } from '../context/CompareContext';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { getImageUrl, sortApartmentImages } from '../utils/imageUtils';
+
+// Somali labels for floor statuses
+const FLOOR_STATUS_LABELS = {
+  available: 'La Kireyn Karaa',
+  occupied: 'La Kireeyay',
+  maintenance: 'Dayactir',
+  not_available: 'Lama Heli Karo'
+};
+
+// Lowest and highest floor price, falling back to the apartment price
+const getPriceRange = (apartment) => {
+  const prices = (apartment.apartment_floors || [])
+    .map(floor => parseFloat(floor.price_per_month))
+    .filter(price => !isNaN(price));
+
+  if (prices.length === 0) {
+    return `$${apartment.price_per_month}`;
+  }
+
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  return min === max ? `$${min}` : `$${min} - $${max}`;
+};
+
+export default function Compare() {
+  const { compareIds, removeFromCompare, clearCompare } = useCompare();
+  const [apartments, setApartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (compareIds.length === 0) {
+      setApartments([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchComparedApartments = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const { data: apartmentData, error: apartmentError } = await supabase
+          .from('apartments')
+          .select(`
+            id,
+            title,
+            district,
+            location_description,
+            rooms,
+            bathrooms,
+            price_per_month,
+            is_furnished,
+            is_available,
+            owner_id,
+            display_owner_name,
+            apartment_images(storage_path, is_primary, sort_order),
+            apartment_floors(floor_number, bedrooms_on_floor, bathrooms_on_floor, price_per_month, floor_status)
+          `)
+          .in('id', compareIds);
+
+        if (apartmentError) throw apartmentError;
+
+        const ownerIds = [...new Set((apartmentData || []).map(apt => apt.owner_id))];
+
+        const [{ data: ownersData }, { data: ratingsData }] = await Promise.all([
+          supabase
+            .from('profiles')
+            .select('id, full_name')
+            .in('id', ownerIds),
+          supabase
+            .from('apartment_rating_stats')
+            .select('apartment_id, review_count, avg_rating')
+            .in('apartment_id', compareIds)
+        ]);
+
+        if (cancelled) return;
+
+        const ownerMap = (ownersData || []).reduce((map, owner) => {
+          map[owner.id] = owner;
+          return map;
+        }, {});
+
+        const ratingMap = (ratingsData || []).reduce((map, rating) => {
+          map[rating.apartment_id] = rating;
+          return map;
+        }, {});
+
+        // Keep the order in which the apartments were picked
+        const enriched = compareIds
+          .map(id => (apartmentData || []).find(apt => apt.id === id))
+          .filter(Boolean)
+          .map(apt => ({
+            ...apt,
+            apartment_floors: [...(apt.apartment_floors || [])].sort((a, b) => a.floor_number - b.floor_number),
+            owner: ownerMap[apt.owner_id] || null,
+            rating: ratingMap[apt.id] || null
+          }));
+
+        setApartments(enriched);
+      } catch (error) {
+        console.error('Error fetching compared apartments:', error);
+        if (!cancelled) setError('Lama soo rari karo guryaha. Fadlan isku day mar kale.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchComparedApartments();
+    return () => {
+      cancelled = true;
+    };
+  }, [compareIds]);
+
+  const rows = [
+    {
+      label: 'Qiimaha (bishii)',
+      render: (apt) => <span className="text-lg font-bold text-blue-400">{getPriceRange(apt)}</span>
+    },
+    {
+      label: 'Degmada',
+      render: (apt) => (
+        <div>
+          <p>{apt.district || '-'}</p>
+          {apt.location_description && (
+            <p className="text-xs text-gray-400 mt-1">{apt.location_description}</p>
+          )}
+        </div>
+      )
+    },
+    {
+      label: 'Qolal jiif / Musqul',
+      render: (apt) => `${apt.rooms} / ${apt.bathrooms}`
+    },
+    {
+      label: 'Dabaqyada',
+      render: (apt) => apt.apartment_floors.length === 0 ? '-' : (
+        <ul className="space-y-2">
+          {apt.apartment_floors.map(floor => (
+            <li key={floor.floor_number} className="text-xs">
+              <p className="font-medium text-gray-200">
+                Dabaqda {floor.floor_number}: ${floor.price_per_month}
+              </p>
+              <p className="text-gray-400">
+                {floor.bedrooms_on_floor} qol jiif · {floor.bathrooms_on_floor} musqul · {FLOOR_STATUS_LABELS[floor.floor_status] || floor.floor_status}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )
+    },
+    {
+      label: 'Alaab Guriga',
+      render: (apt) => apt.is_furnished ? 'Haa' : 'Maya'
+    },
+    {
+      label: 'Qiimeynta',
+      render: (apt) => apt.rating
+        ? `⭐ ${Number(apt.rating.avg_rating).toFixed(1)} (${apt.rating.review_count})`
+        : 'Weli lama qiimeyn'
+    },
+    {
+      label: 'Milkiilaha',
+      render: (apt) => apt.display_owner_name || apt.owner?.full_name || '-'
+    },
+    {
+      label: 'Helitaanka',
+      render: (apt) => {
+        const floors = apt.apartment_floors;
+        const availableFloors = floors.filter(floor => floor.floor_status === 'available').length;
+        const isAvailable = floors.length > 0 ? availableFloors > 0 : apt.is_available;
+
+        return (
+          <span className={isAvailable ? 'text-green-400' : 'text-red-400'}>
+            {isAvailable ? 'Waa la heli karaa' : 'Lama heli karo'}
+            {floors.length > 0 && ` (${availableFloors}/${floors.length} dabaq)`}
+          </span>
+        );
+      }
+    }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 text-white">
+      <div className="container mx-auto px-4 py-6">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-6">
+          <div>
+            <h1 className="text-xl md:text-2xl font-bold">⚖️ Isbarbardhig Guryaha</h1>
+            <p className="text-gray-400 text-sm">
+              Dooro ilaa 4 guri oo bogga hore ah si aad dhinac dhinac ugu eegto.
+            </p>
+          </div>
+          {apartments.length > 0 && (
+            <button
+              onClick={clearCompare}
+              className="self-start sm:self-auto bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors text-sm"
+            >
+              Tirtir dhammaan
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : error ? (
+          <div className="bg-red-900/50 border border-red-700 text-red-200 rounded-lg p-4">{error}</div>
+        ) : apartments.length === 0 ? (
+          <div className="text-center py-12 bg-gray-800 rounded-lg border border-gray-700">
+            <div className="text-4xl mb-3">⚖️</div>
+            <h3 className="text-lg font-bold mb-2">Weli guri lama dooran</h3>
+            <p className="text-gray-400 text-sm mb-4">
+              Riix "Isbarbardhig" ee kaarka guri kasta si aad halkan ugu darto.
+            </p>
+            <Link
+              to="/"
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors text-sm"
+            >
+              Eeg Guryaha
+            </Link>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[640px] table-fixed border-collapse text-sm">
+              <thead>
+                <tr>
+                  <th className="w-32 md:w-40" />
+                  {apartments.map(apt => {
+                    const image = apt.apartment_images?.find(img => img.is_primary) || sortApartmentImages(apt.apartment_images)[0];
+
+                    return (
+                      <th key={apt.id} className="p-2 align-top text-left font-normal">
+                        <div className="bg-gray-800 rounded-lg border border-gray-700 overflow-hidden">
+                          <Link to={`/apartments/${apt.id}`}>
+                            <img
+                              src={getImageUrl(image?.storage_path)}
+                              alt={apt.title}
+                              className="w-full h-28 object-cover"
+                              onError={(e) => { e.target.src = '/images/placeholder-apartment.svg'; }}
+                            />
+                          </Link>
+                          <div className="p-3">
+                            <Link to={`/apartments/${apt.id}`} className="font-semibold text-white hover:text-blue-400 line-clamp-2">
+                              {apt.title}
+                            </Link>
+                            <button
+                              onClick={() => removeFromCompare(apt.id)}
+                              className="mt-2 text-xs text-red-400 hover:text-red-300"
+                            >
+                              Ka saar
+                            </button>
+                          </div>
+                        </div>
+                      </th>
+                    );
+                  })}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.label} className="border-t border-gray-700">
+                    <th className="p-3 text-left align-top text-gray-400 font-medium">{row.label}</th>
+                    {apartments.map(apt => (
+                      <td key={apt.id} className="p-3 align-top text-gray-200">
+                        {row.render(apt)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
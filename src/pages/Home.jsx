@@ -1,381 +1,222 @@
-import { useState, useEffect, useCallback, memo, Suspense, lazy, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, Suspense, lazy, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { supabase } from '../lib/supabase';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
-import { Link } from 'react-router-dom';
-import { getImageUrl, preloadImages, testImageUrls } from '../utils/imageUtils';
+import ApartmentCard from '../components/apartments/ApartmentCard';
+import CompareBar from '../components/apartments/CompareBar';
+import RecentlyViewedStrip from '../components/apartments/RecentlyViewedStrip';
+import { hasFloorFilters, getMatchingFloors } from '../utils/floorFilters';
+import { toDateString } from '../utils/floorAvailability';
+import { APARTMENT_CARD_COLUMNS } from '../utils/apartmentColumns';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useAmenities } from '../context/AmenitiesContext';
+import { preloadImages } from '../utils/imageUtils';
 import { measureAsync } from '../utils/performance';
+import { MOGADISHU_DISTRICTS } from '../utils/districts';
+import { filtersFromSearchParams, describeSearchFilters } from '../utils/savedSearches';
 
-// Fast-loading image component with optimization
-const LazyImage = memo(({ src, alt, className }) => {
-  const [isLoaded, setIsLoaded] = useState(false);
-  const [error, setError] = useState(false);
-  const [imageSrc, setImageSrc] = useState('/images/placeholder-apartment.svg');
-  const [showSpinner, setShowSpinner] = useState(false);
-  
-  useEffect(() => {
-    console.log(`🖼️ LazyImage processing src: ${src}`);
-    
-    if (!src || src.trim() === '') {
-      console.log('🖼️ No src provided, using placeholder');
-      setImageSrc('/images/placeholder-apartment.svg');
-      setIsLoaded(true);
-      setError(false);
-      return;
-    }
-    
-    // Reset states for new image
-    setIsLoaded(false);
-    setError(false);
-    setShowSpinner(false);
-    
-    // Show spinner only after a short delay to avoid flashing
-    const spinnerTimer = setTimeout(() => {
-      if (!isLoaded && !error) {
-        setShowSpinner(true);
-      }
-    }, 200);
-    
-    // Process URL and start loading immediately
-    const processedSrc = getImageUrl(src);
-    console.log(`🖼️ Processed URL: ${processedSrc}`);
-    
-    // Preload the image
-    const img = new Image();
-    img.onload = () => {
-      console.log(`✅ Image loaded successfully: ${processedSrc}`);
-      clearTimeout(spinnerTimer);
-      setImageSrc(processedSrc);
-      setIsLoaded(true);
-      setShowSpinner(false);
-      setError(false);
-    };
-    img.onerror = (e) => {
-      console.error(`❌ Failed to load image: ${processedSrc}`, e);
-      clearTimeout(spinnerTimer);
-      setError(true);
-      setShowSpinner(false);
-      setIsLoaded(false);
-    };
-    img.src = processedSrc;
-    
-    return () => {
-      clearTimeout(spinnerTimer);
-      img.onload = null;
-      img.onerror = null;
-    };
-  }, [src]);
-  
-  return (
-    <div className={`${className} relative overflow-hidden bg-night-800`}>
-      {/* Background placeholder - only show when not loaded and no error */}
-      {!isLoaded && !error && (
-        <div className="absolute inset-0 bg-gradient-to-br from-night-700 to-night-800 flex items-center justify-center">
-          <svg className="w-12 h-12 text-night-600" fill="currentColor" viewBox="0 0 20 20">
-            <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd" />
-          </svg>
-        </div>
-      )}
-      
-      {/* Loading spinner - only show after delay */}
-      {showSpinner && !isLoaded && !error && (
-        <div className="absolute inset-0 flex items-center justify-center bg-night-800/80">
-          <div className="w-6 h-6 border-2 border-primary-300 border-t-primary-600 rounded-full animate-spin"></div>
-        </div>
-      )}
-      
-      {/* Actual image - always render but control visibility */}
-      <img 
-        src={imageSrc}
-        alt={alt || "Apartment image"}
-        className={`w-full h-full object-cover transition-opacity duration-300 ${
-          isLoaded && !error ? 'opacity-100' : 'opacity-0'
-        }`}
-        onLoad={() => {
-          console.log(`🖼️ DOM image rendered: ${imageSrc}`);
-        }}
-        onError={(e) => {
-          console.error(`🖼️ DOM image failed to render: ${imageSrc}`, e);
-        }}
-        loading="lazy"
-        decoding="async"
-      />
-      
-      {/* Error state overlay */}
-      {error && (
-        <div className="absolute inset-0 flex items-center justify-center bg-night-800/90">
-          <div className="text-center text-night-400">
-            <svg className="w-8 h-8 mx-auto mb-2" fill="currentColor" viewBox="0 0 20 20">
-              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-            </svg>
-            <span className="text-xs">Image unavailable</span>
-          </div>
-        </div>
-      )}
-    </div>
-  );
-});
+// Leaflet is only downloaded when the map view is opened
+const ApartmentsMap = lazy(() => import('../components/map/ApartmentsMap'));
+
+// Number of apartments fetched per page of the listing grid
+const PAGE_SIZE = 12;
+
+// Query params that hold the Home filters, so searches survive a refresh and
+// can be shared as links like /?district=Hodan&maxPrice=400
+const FILTER_PARAMS = {
+  searchQuery: 'q',
+  selectedDistrict: 'district',
+  minPrice: 'minPrice',
+  maxPrice: 'maxPrice',
+  minRooms: 'minRooms',
+  isFurnished: 'furnished',
+  floorBedrooms: 'floorBedrooms',
+  floorMaxPrice: 'floorMaxPrice',
+  floorKitchen: 'kitchen',
+  floorLivingRoom: 'livingRoom',
+  floorMaxAdvance: 'maxAdvance',
+  floorAvailableBy: 'availableBy',
+  amenities: 'amenities',
+  sortOrder: 'sort'
+};
+
+// Sort options understood by the search_apartments RPC ('' keeps the default
+// order: best matches first when searching, otherwise newest first)
+const SORT_OPTIONS = [
+  { value: '', label: 'Ugu habboon' },
+  { value: 'newest', label: 'Kuwa ugu cusub' },
+  { value: 'price_asc', label: 'Qiimaha: jaban → qaali' },
+  { value: 'price_desc', label: 'Qiimaha: qaali → jaban' },
+  { value: 'rating', label: 'Qiimeynta ugu sareysa' },
+  { value: 'bedrooms', label: 'Qolal jiif ugu badan' }
+];
+
+// Query param with the number of pages loaded through infinite scroll
+const PAGE_PARAM = 'page';
+
+// Query param switching Home between the list and the map view
+const VIEW_PARAM = 'view';
+
+// Most pins drawn on the map at once
+const MAP_PIN_LIMIT = 500;
 
-// Apartment card component
-const ApartmentCard = memo(({ apartment }) => {
-  if (!apartment) {
-    console.error('Apartment is null or undefined in ApartmentCard');
-    return null;
-  }
+// Bounding box covering the whole world, used to fetch only listings that have a pin
+const PINNED_ONLY_PARAMS = { p_min_lat: -90, p_max_lat: 90, p_min_lng: -180, p_max_lng: 180 };
+
+export default function Home() {
+  const { user } = useAuth();
+  const { amenities: amenityCatalogue } = useAmenities();
+  const [apartments, setApartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
   
-  // Check if any floors are available
-  const hasAvailableFloors = () => {
-    if (!apartment.apartment_floors || !Array.isArray(apartment.apartment_floors)) {
-      // If no floor data, fall back to apartment.is_available
-      return apartment.is_available;
-    }
-    
-    // Check if any floor has status 'available'
-    return apartment.apartment_floors.some(floor => floor.floor_status === 'available');
-  };
+  // Pagination states
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [totalCount, setTotalCount] = useState(null);
+  const latestRequestRef = useRef(0);
+  const loadMoreRef = useRef(null);
   
-  const isApartmentAvailable = hasAvailableFloors();
+  // Filter states live in the URL query params - restored on load and on back/forward
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchQuery = searchParams.get(FILTER_PARAMS.searchQuery) || '';
+  const selectedDistrict = searchParams.get(FILTER_PARAMS.selectedDistrict) || '';
+  const minPrice = searchParams.get(FILTER_PARAMS.minPrice) || '';
+  const maxPrice = searchParams.get(FILTER_PARAMS.maxPrice) || '';
+  const minRooms = searchParams.get(FILTER_PARAMS.minRooms) || '';
+  const isFurnished = searchParams.get(FILTER_PARAMS.isFurnished) || '';
+  const floorBedrooms = searchParams.get(FILTER_PARAMS.floorBedrooms) || '';
+  const floorMaxPrice = searchParams.get(FILTER_PARAMS.floorMaxPrice) || '';
+  const floorKitchen = searchParams.get(FILTER_PARAMS.floorKitchen) || '';
+  const floorLivingRoom = searchParams.get(FILTER_PARAMS.floorLivingRoom) || '';
+  const floorMaxAdvance = searchParams.get(FILTER_PARAMS.floorMaxAdvance) || '';
+  const floorAvailableBy = searchParams.get(FILTER_PARAMS.floorAvailableBy) || '';
+  // Comma-separated amenity keys; a listing has to have all of them
+  const amenities = searchParams.get(FILTER_PARAMS.amenities) || '';
+  const sortOrder = searchParams.get(FILTER_PARAMS.sortOrder) || '';
+  const isMapView = searchParams.get(VIEW_PARAM) === 'map';
   
-  // Get the image to display - simplified logic
-  let imageToShow = null;
+  // Map view states - results are limited to the visible part of the map
+  const [mapBounds, setMapBounds] = useState(null);
+  const [mapPins, setMapPins] = useState([]);
   
-  if (apartment.apartment_images && Array.isArray(apartment.apartment_images) && apartment.apartment_images.length > 0) {
-    // First try to find primary image
-    const primaryImage = apartment.apartment_images.find(img => img && img.is_primary && img.storage_path);
-    // Otherwise use first image
-    const firstImage = apartment.apartment_images.find(img => img && img.storage_path);
-    
-    imageToShow = primaryImage || firstImage;
-    
-    console.log(`🏠 ${apartment.title} - Selected image:`, imageToShow?.storage_path, '(primary:', !!primaryImage, ')');
-  }
+  // Saved search state
+  const [savingSearch, setSavingSearch] = useState(false);
   
-  const imagePath = imageToShow?.storage_path || '/images/placeholder-apartment.svg';
+  // Text search and filters run server-side in the search_apartments RPC
+  const filterParams = useMemo(() => ({
+    p_query: searchQuery || null,
+    p_district: selectedDistrict || null,
+    p_min_price: minPrice ? parseInt(minPrice) : null,
+    p_max_price: maxPrice ? parseInt(maxPrice) : null,
+    p_min_rooms: minRooms ? parseInt(minRooms) : null,
+    p_is_furnished: isFurnished !== '' ? isFurnished === 'true' : null,
+    p_floor_min_bedrooms: floorBedrooms ? parseInt(floorBedrooms) : null,
+    p_floor_max_price: floorMaxPrice ? parseInt(floorMaxPrice) : null,
+    p_floor_has_kitchen: floorKitchen ? floorKitchen === 'true' : null,
+    p_floor_has_living_room: floorLivingRoom ? floorLivingRoom === 'true' : null,
+    p_floor_max_advance_months: floorMaxAdvance ? parseInt(floorMaxAdvance) : null,
+    p_floor_available_by: floorAvailableBy || null,
+    p_amenities: amenities ? amenities.split(',') : null
+  }), [searchQuery, selectedDistrict, minPrice, maxPrice, minRooms, isFurnished, floorBedrooms, floorMaxPrice, floorKitchen, floorLivingRoom, floorMaxAdvance, floorAvailableBy, amenities]);
   
-  return (
-    <motion.div 
-      className={`modern-card text-white shadow-lg border overflow-hidden rounded-xl bg-night-900 border-night-700 hover:shadow-xl`}
-      whileHover={{ y: -5, boxShadow: "0 25px 50px -12px rgba(0, 0, 0, 0.6)" }}
-      initial={{ opacity: 0, y: 20 }}
-      animate={{ opacity: 1, y: 0 }}
-      transition={{ duration: 0.3 }}
-    >
-      <div className="relative">
-        <Link to={`/apartments/${apartment.id}`} className="block">
-          <LazyImage 
-            src={imagePath} 
-            alt={apartment.title}
-            className="h-48 w-full"
-          />
-        </Link>
-        
-        <div className="absolute top-0 right-0 m-3">
-          <span className="bg-primary-500 text-white text-xs font-bold px-2.5 py-1 rounded-md">
-            ${apartment.price_per_month}/bishii
-          </span>
-        </div>
-        {apartment.district && (
-          <div className="absolute bottom-0 left-0 m-3">
-            <span className="bg-night-800 bg-opacity-80 text-white text-xs px-2 py-1 rounded-md">
-              {apartment.district}
-            </span>
-          </div>
-        )}
-      </div>
-      
-      <div className="p-5">
-        <Link to={`/apartments/${apartment.id}`} className="block">
-          <h3 className="text-lg font-semibold line-clamp-1 mb-2 text-white">
-            {apartment.title}
-          </h3>
-          <p className="text-sm mb-4 line-clamp-2 text-night-300">
-            {apartment.location_description}
-          </p>
-        </Link>
-        
-        <div className="flex justify-between items-center">
-          <div className="flex items-center space-x-3 text-xs text-night-300">
-            <div className="flex items-center px-2 py-1 rounded-md bg-night-800">
-              <svg className="w-4 h-4 mr-1 text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
-              </svg>
-              <span>{apartment.rooms}</span>
-            </div>
-            <div className="flex items-center px-2 py-1 rounded-md bg-night-800">
-              {/* Toilet/Restroom icon for bathrooms */}
-              <svg className="w-4 h-4 mr-1 text-primary-400" fill="currentColor" viewBox="0 0 24 24">
-                <path d="M9 2v1h6V2a1 1 0 0 1 2 0v1h1a1 1 0 0 1 1 1v3a1 1 0 0 1-1 1h-1v10a3 3 0 0 1-3 3H10a3 3 0 0 1-3-3V8H6a1 1 0 0 1-1-1V4a1 1 0 0 1 1-1h1V2a1 1 0 0 1 2 0zm0 6v10a1 1 0 0 0 1 1h4a1 1 0 0 0 1-1V8H9zm8-2V5H7v1h10z"/>
-                <circle cx="12" cy="14" r="1"/>
-              </svg>
-              <span>{apartment.bathrooms}</span>
-            </div>
-            {apartment.is_furnished && (
-              <div className="flex items-center px-2 py-1 rounded-md bg-night-800">
-                <svg className="w-4 h-4 mr-1 text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
-                </svg>
-                <span>Fadhiisan</span>
-              </div>
-            )}
-          </div>
-        </div>
-        
-        {/* Owner name - Show custom name if set, otherwise show profile name */}
-        {(apartment.display_owner_name || (apartment.owner && apartment.owner.full_name)) && (
-          <div className="mt-3 flex items-center text-xs text-night-400">
-            <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
-              <path fillRule="evenodd" d="M10 9a3 3 0 100-6 3 3 0 000 6zm-7 9a7 7 0 1114 0H3z" clipRule="evenodd" />
-            </svg>
-            <span>Milkiile: {apartment.display_owner_name || apartment.owner.full_name}</span>
-          </div>
-        )}
-        
-        {/* Availability Status Badge */}
-        <div className="mt-3">
-          <span className={`inline-flex items-center px-3 py-1.5 rounded-full text-xs font-semibold shadow-sm ${
-            isApartmentAvailable 
-              ? 'bg-green-900 text-green-200 border border-green-700' 
-              : 'bg-red-900 text-red-200 border border-red-700'
-          }`}>
-            {isApartmentAvailable ? (
-              <>
-                <svg className="w-3 h-3 mr-1.5" fill="currentColor" viewBox="0 0 20 20">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                </svg>
-                Waa la heli karaa
-              </>
-            ) : (
-              <>
-                <svg className="w-3 h-3 mr-1.5" fill="currentColor" viewBox="0 0 20 20">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                </svg>
-                Lama heli karo
-              </>
-            )}
-          </span>
-        </div>
-        
-        {/* Contact Section - Always show for all apartments */}
-        {(apartment.whatsapp_number || (apartment.owner && apartment.owner.whatsapp_number)) && (
-          <div className="mt-3 flex justify-end">
-            <a 
-              href={`https://wa.me/${(apartment.whatsapp_number || apartment.owner.whatsapp_number).replace(/\D/g, '')}?text=Halo, Waan ku xiiseynayaa gurigaaga: ${apartment.title}`}
-              target="_blank"
-              rel="noopener noreferrer"
-              className={`flex items-center transition-colors ${
-                isApartmentAvailable 
-                  ? 'text-green-400 hover:text-green-300' 
-                  : 'text-green-500 hover:text-green-400'
-              }`}
-              onClick={(e) => {
-                e.stopPropagation();
-                e.preventDefault();
-                window.open(`https://wa.me/${(apartment.whatsapp_number || apartment.owner.whatsapp_number).replace(/\D/g, '')}?text=Halo, Waan ku xiiseynayaa gurigaaga: ${apartment.title}`, '_blank');
-              }}
-            >
-              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
-                <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z" />
-              </svg>
-            </a>
-          </div>
-        )}
-      </div>
-    </motion.div>
+  // Floor-level filters, keyed by query param, used to show which floors matched on each card
+  const floorFilters = useMemo(() => ({
+    floorBedrooms,
+    floorMaxPrice,
+    kitchen: floorKitchen,
+    livingRoom: floorLivingRoom,
+    maxAdvance: floorMaxAdvance,
+    availableBy: floorAvailableBy
+  }), [floorBedrooms, floorMaxPrice, floorKitchen, floorLivingRoom, floorMaxAdvance, floorAvailableBy]);
+  const floorFiltersActive = hasFloorFilters(floorFilters);
+  
+  const hasActiveFilters = Boolean(
+    searchQuery || minPrice || maxPrice || minRooms || isFurnished || selectedDistrict || floorFiltersActive || amenities
   );
-});
-
-export default function Home() {
-  const [apartments, setApartments] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   
-
+  // Pages to load on the next fresh fetch. Read through a ref so that scrolling
+  // (which only bumps the page param) does not refetch the whole list.
+  const pagesToRestoreRef = useRef(1);
+  pagesToRestoreRef.current = Math.max(parseInt(searchParams.get(PAGE_PARAM)) || 1, 1);
   
-  // Filter states
-  const [minPrice, setMinPrice] = useState('');
-  const [maxPrice, setMaxPrice] = useState('');
-  const [minRooms, setMinRooms] = useState('');
-  const [isFurnished, setIsFurnished] = useState('');
-  const [selectedDistrict, setSelectedDistrict] = useState('');
+  // Search input - only applied to the URL when the form is submitted
+  const [searchInput, setSearchInput] = useState(searchQuery);
   
-  // Mogadishu districts
-  const districts = [
-    "Abdiaziz",
-    "Bondhere",
-    "Daynile",
-    "Dharkenley",
-    "Hamar Jajab",
-    "Hamar Weyne",
-    "Hodan",
-    "Howl Wadaag",
-    "Huriwa",
-    "Karan",
-    "Shangani",
-    "Shibis",
-    "Waberi",
-    "Wadajir",
-    "Warta Nabada",
-    "Yaqshid"
-  ];
+  // Keep the input in step with the URL when navigating back/forward
+  useEffect(() => {
+    setSearchInput(searchQuery);
+  }, [searchQuery]);
   
-  // Memoized fetch function with optimization and performance monitoring
-  const fetchApartments = useCallback(async () => {
-    await measureAsync('apartments-fetch', async () => {
+  // Apply filter changes to the URL as a new history entry, starting again from the first page
+  const updateFilters = useCallback((changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) {
+          next.set(FILTER_PARAMS[key], value);
+        } else {
+          next.delete(FILTER_PARAMS[key]);
+        }
+      });
+      next.delete(PAGE_PARAM);
+      return next;
+    });
+  }, [setSearchParams]);
+  
+  // Memoized fetch function with optimization and performance monitoring.
+  // Without afterId the first page is loaded and the list replaced; with
+  // afterId the page after that apartment is appended (keyset pagination).
+  const fetchApartments = useCallback(async ({ afterId = null } = {}) => {
+    const isNextPage = Boolean(afterId);
+    const requestId = ++latestRequestRef.current;
+    
+    await measureAsync(isNextPage ? 'apartments-fetch-more' : 'apartments-fetch', async () => {
       try {
-        setLoading(true);
-        setError(null);
+        if (isNextPage) {
+          setLoadingMore(true);
+        } else {
+          setLoading(true);
+          setError(null);
+        }
         
-        // Build optimized query with proper indexing
-        let query = supabase
-          .from('apartments')
-          .select(`
-            id,
-            title,
-            description,
-            location_description,
-            district,
-            rooms,
-            bathrooms,
-            price_per_month,
-            is_furnished,
-            is_available,
-            created_at,
-            primary_image_path,
-            owner_id,
-            whatsapp_number,
-            display_owner_name,
-            apartment_images(storage_path, is_primary),
-            apartment_floors(floor_status)
-          `);
+        // In the map view only the listings inside the visible area are shown
+        const resultParams = isMapView && mapBounds ? { ...filterParams, ...mapBounds } : filterParams;
         
-        // Apply filters efficiently using indexes
-        if (selectedDistrict) {
-          query = query.eq('district', selectedDistrict);
-        }
+        const sortParams = { p_sort: sortOrder || null };
         
-        if (minPrice) {
-          query = query.gte('price_per_month', parseInt(minPrice));
-        }
+        // A fresh fetch restores every page recorded in the URL in one request
+        const pageLimit = isNextPage ? PAGE_SIZE : PAGE_SIZE * pagesToRestoreRef.current;
         
-        if (maxPrice) {
-          query = query.lte('price_per_month', parseInt(maxPrice));
-        }
+        const pageRequest = supabase
+          .rpc('search_apartments', { ...resultParams, ...sortParams, p_after_id: afterId, p_limit: pageLimit })
+          .select(APARTMENT_CARD_COLUMNS);
         
-        if (minRooms) {
-          query = query.gte('rooms', parseInt(minRooms));
-        }
+        // The total only needs to be counted once per search
+        const countRequest = isNextPage
+          ? null
+          : supabase.rpc('search_apartments', resultParams, { count: 'exact', head: true });
         
-        if (isFurnished !== '') {
-          query = query.eq('is_furnished', isFurnished === 'true');
-        }
+        const [{ data: apartmentData, error: apartmentError }, countResult] = await Promise.all([
+          pageRequest,
+          countRequest
+        ]);
         
-        // Limit results for better performance and add ordering
-        const { data: apartmentData, error: apartmentError } = await query
-          .order('created_at', { ascending: false })
-          .limit(50); // Limit to 50 apartments for better performance
+        // Ignore responses for a search that has since been replaced
+        if (requestId !== latestRequestRef.current) return;
         
         if (apartmentError) throw apartmentError;
         
+        if (countResult) {
+          if (countResult.error) {
+            console.error('Error counting apartments:', countResult.error);
+          }
+          setTotalCount(countResult.count ?? null);
+        }
+        
+        setHasMore((apartmentData || []).length === pageLimit);
+        
         if (apartmentData && apartmentData.length > 0) {
           console.log('🏠 Fetched', apartmentData.length, 'apartments with images');
           
@@ -389,6 +230,8 @@ export default function Home() {
               .in('id', ownerIds)
           );
           
+          if (requestId !== latestRequestRef.current) return;
+          
           // Create owner map for quick lookup
           const ownerMap = (profilesData || []).reduce((map, profile) => {
             map[profile.id] = profile;
@@ -401,47 +244,90 @@ export default function Home() {
             owner: ownerMap[apt.owner_id] || null
           }));
           
-          // Smart image preloading - only first few images for faster initial load
-          const imagePaths = enrichedData
-            .slice(0, 6) // Only preload first 6 apartments
-            .flatMap(apt => {
-              if (apt.apartment_images && apt.apartment_images.length > 0) {
-                // Only preload the primary image or first image
-                const primaryImage = apt.apartment_images.find(img => img.is_primary);
-                const imageToPreload = primaryImage || apt.apartment_images[0];
-                return imageToPreload ? [imageToPreload.storage_path] : [];
+          // Smart image preloading - only for the first page
+          if (!isNextPage) {
+            const imagePaths = enrichedData
+              .slice(0, 6) // Only preload first 6 apartments
+              .flatMap(apt => {
+                if (apt.apartment_images && apt.apartment_images.length > 0) {
+                  // Only preload the primary image or first image
+                  const primaryImage = apt.apartment_images.find(img => img.is_primary);
+                  const imageToPreload = primaryImage || apt.apartment_images[0];
+                  return imageToPreload ? [imageToPreload.storage_path] : [];
+                }
+                return apt.primary_image_path ? [apt.primary_image_path] : [];
+              })
+              .filter(Boolean);
+            
+            if (imagePaths.length > 0) {
+              console.log('🖼️ Smart preloading', imagePaths.length, 'primary images');
+              // Use requestIdleCallback for non-blocking preload
+              if ('requestIdleCallback' in window) {
+                requestIdleCallback(() => {
+                  measureAsync('image-preload', () => preloadImages(imagePaths));
+                });
+              } else {
+                setTimeout(() => {
+                  measureAsync('image-preload', () => preloadImages(imagePaths));
+                }, 100);
               }
-              return apt.primary_image_path ? [apt.primary_image_path] : [];
-            })
-            .filter(Boolean);
-          
-          if (imagePaths.length > 0) {
-            console.log('🖼️ Smart preloading', imagePaths.length, 'primary images');
-            // Use requestIdleCallback for non-blocking preload
-            if ('requestIdleCallback' in window) {
-              requestIdleCallback(() => {
-            measureAsync('image-preload', () => preloadImages(imagePaths));
-              });
-            } else {
-              setTimeout(() => {
-                measureAsync('image-preload', () => preloadImages(imagePaths));
-              }, 100);
             }
           }
           
-          setApartments(enrichedData);
-        } else {
+          setApartments(prev => isNextPage ? [...prev, ...enrichedData] : enrichedData);
+        } else if (!isNextPage) {
           setApartments([]);
         }
       } catch (error) {
+        if (requestId !== latestRequestRef.current) return;
+        
         console.error('Error fetching apartments:', error);
-        setError('Failed to load apartments. Please try again later.');
-        setApartments([]);
+        if (isNextPage) {
+          // Keep what is already shown; the user can try loading more again
+          setHasMore(true);
+        } else {
+          setError('Failed to load apartments. Please try again later.');
+          setApartments([]);
+          setTotalCount(null);
+          setHasMore(false);
+        }
       } finally {
-        setLoading(false);
+        if (requestId === latestRequestRef.current) {
+          setLoading(false);
+          setLoadingMore(false);
+        }
       }
     });
-  }, [minPrice, maxPrice, minRooms, isFurnished, selectedDistrict]);
+  }, [filterParams, sortOrder, isMapView, mapBounds]);
+
+  // Load the page after the last apartment currently shown
+  const loadMoreApartments = useCallback(() => {
+    if (loading || loadingMore || !hasMore || apartments.length === 0) return;
+    fetchApartments({ afterId: apartments[apartments.length - 1].id });
+    
+    // Record the page position without adding a history entry
+    const nextPage = Math.ceil(apartments.length / PAGE_SIZE) + 1;
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      next.set(PAGE_PARAM, String(nextPage));
+      return next;
+    }, { replace: true });
+  }, [loading, loadingMore, hasMore, apartments, fetchApartments, setSearchParams]);
+
+  // Infinite scroll - load the next page when the sentinel under the grid comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || !('IntersectionObserver' in window)) return;
+    
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreApartments();
+      }
+    }, { rootMargin: '400px' });
+    
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMoreApartments]);
 
   // Fetch apartments on component mount and when filters change
   useEffect(() => {
@@ -454,17 +340,103 @@ export default function Home() {
     }
   }, [selectedDistrict, fetchApartments]);
 
+  // Pins for every pinned listing matching the filters, loaded when the map view is open
+  useEffect(() => {
+    if (!isMapView) return;
+    
+    let cancelled = false;
+    
+    const fetchMapPins = async () => {
+      const { data, error: pinsError } = await supabase
+        .rpc('search_apartments', { ...filterParams, ...PINNED_ONLY_PARAMS, p_limit: MAP_PIN_LIMIT })
+        .select('id, title, district, price_per_month, latitude, longitude');
+      
+      if (cancelled) return;
+      
+      if (pinsError) {
+        console.error('Error fetching map pins:', pinsError);
+        setMapPins([]);
+      } else {
+        setMapPins(data || []);
+      }
+    };
+    
+    fetchMapPins();
+    return () => {
+      cancelled = true;
+    };
+  }, [isMapView, filterParams]);
+
+  // Switch between the list and the map view, keeping the filters
+  const handleViewChange = (view) => {
+    if (view === 'map') {
+      setMapBounds(null);
+    }
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (view === 'map') {
+        next.set(VIEW_PARAM, 'map');
+      } else {
+        next.delete(VIEW_PARAM);
+      }
+      next.delete(PAGE_PARAM);
+      return next;
+    });
+  };
+
   const handleFilterSubmit = (e) => {
     e.preventDefault();
-    fetchApartments();
+    
+    const trimmedSearch = searchInput.trim();
+    if (trimmedSearch !== searchQuery) {
+      // The useEffect will refetch when the committed query changes
+      updateFilters({ searchQuery: trimmedSearch });
+    } else {
+      fetchApartments();
+    }
+  };
+
+  // Save the current filter set so the user is alerted about new matching listings
+  const handleSaveSearch = async () => {
+    if (!user) return;
+    
+    const filters = filtersFromSearchParams(searchParams);
+    const name = window.prompt('Magaca raadintan:', describeSearchFilters(filters));
+    if (name === null) return;
+    
+    try {
+      setSavingSearch(true);
+      
+      const { error: saveError } = await supabase
+        .from('saved_searches')
+        .insert({
+          user_id: user.id,
+          name: name.trim() || describeSearchFilters(filters),
+          filters
+        });
+      
+      if (saveError) throw saveError;
+      
+      alert('✅ Raadinta waa la kaydiyay! Waxaad heli doontaa ogeysiis marka guri cusub oo ku habboon la daabaco.');
+    } catch (error) {
+      console.error('Error saving search:', error);
+      alert('Khalad ayaa dhacay markii la kaydinayay raadinta. Fadlan isku day mar kale.');
+    } finally {
+      setSavingSearch(false);
+    }
+  };
+
+  const toggleAmenityFilter = (key) => {
+    const selected = amenities ? amenities.split(',') : [];
+    const next = selected.includes(key)
+      ? selected.filter(amenity => amenity !== key)
+      : [...selected, key];
+    updateFilters({ amenities: next.join(',') });
   };
 
   const resetFilters = () => {
-    setMinPrice('');
-    setMaxPrice('');
-    setMinRooms('');
-    setIsFurnished('');
-    setSelectedDistrict('');
+    setSearchInput('');
+    setSearchParams({});
     
     // If we're already in the apartments section, scroll to it
     // to show the reset results
@@ -483,7 +455,7 @@ export default function Home() {
   const apartmentsSectionRef = useRef(null);
   
   const handleDistrictChange = (district) => {
-    setSelectedDistrict(district);
+    updateFilters({ selectedDistrict: district });
     // Set apartment loading state to true to show loading spinner
     setLoading(true);
     
@@ -519,7 +491,7 @@ export default function Home() {
                   className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
                 >
                   <option value="">🏙️ Dhammaan Degmooyinka</option>
-                  {districts.map(district => (
+                  {MOGADISHU_DISTRICTS.map(district => (
                     <option key={district} value={district}>📍 {district}</option>
                   ))}
                 </select>
@@ -561,7 +533,7 @@ export default function Home() {
                   <span className="text-xs font-medium">Dhamaan</span>
                 </motion.div>
                 
-                {districts.slice(0, 7).map(district => (
+                {MOGADISHU_DISTRICTS.slice(0, 7).map(district => (
                   <motion.div
                     key={district}
                     onClick={() => handleDistrictChange(district)}
@@ -580,7 +552,7 @@ export default function Home() {
               </div>
               
               <div className="grid grid-cols-8 gap-2">
-                {districts.slice(7).map(district => (
+                {MOGADISHU_DISTRICTS.slice(7).map(district => (
                   <motion.div
                     key={district}
                     onClick={() => handleDistrictChange(district)}
@@ -597,7 +569,7 @@ export default function Home() {
                   </motion.div>
                 ))}
                 {/* Fill remaining slots with empty divs for proper grid alignment */}
-                {Array.from({ length: 8 - districts.slice(7).length }).map((_, index) => (
+                {Array.from({ length: 8 - MOGADISHU_DISTRICTS.slice(7).length }).map((_, index) => (
                   <div key={`empty-${index}`}></div>
                 ))}
               </div>
@@ -612,13 +584,29 @@ export default function Home() {
             transition={{ duration: 0.5 }}
           >
             <form onSubmit={handleFilterSubmit} className="space-y-3">
+              {/* Free-text search across title, description and location */}
+              <div className="relative">
+                <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3 text-gray-400">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                  </svg>
+                </div>
+                <input
+                  type="search"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Raadi xaafad, waddo ama sifo (tusaale: Maka al-Mukarama, badda)"
+                  className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg pl-9 pr-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 placeholder-gray-500 text-sm"
+                />
+              </div>
+              
               {/* Filter controls - Now as dropdowns */}
               <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
                 <div>
                   <label className="block text-xs text-gray-400 mb-1 font-medium">Qiimaha Ugu Yar</label>
                   <select
                     value={minPrice}
-                    onChange={(e) => setMinPrice(e.target.value)}
+                    onChange={(e) => updateFilters({ minPrice: e.target.value })}
                     className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
                   >
                     <option value="">Dhamaan</option>
@@ -636,7 +624,7 @@ export default function Home() {
                   <label className="block text-xs text-gray-400 mb-1 font-medium">Qiimaha Ugu Badan</label>
                   <select
                     value={maxPrice}
-                    onChange={(e) => setMaxPrice(e.target.value)}
+                    onChange={(e) => updateFilters({ maxPrice: e.target.value })}
                     className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
                   >
                     <option value="">Dhamaan</option>
@@ -654,7 +642,7 @@ export default function Home() {
                   <label className="block text-xs text-gray-400 mb-1 font-medium">Qolalka Jiifka</label>
                   <select
                     value={minRooms}
-                    onChange={(e) => setMinRooms(e.target.value)}
+                    onChange={(e) => updateFilters({ minRooms: e.target.value })}
                     className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
                   >
                     <option value="">Dhamaan</option>
@@ -670,7 +658,7 @@ export default function Home() {
                   <label className="block text-xs text-gray-400 mb-1 font-medium">Alaab Guriga</label>
                   <select
                     value={isFurnished}
-                    onChange={(e) => setIsFurnished(e.target.value)}
+                    onChange={(e) => updateFilters({ isFurnished: e.target.value })}
                     className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
                   >
                     <option value="">Dhamaan</option>
@@ -680,6 +668,114 @@ export default function Home() {
                 </div>
               </div>
               
+              {/* Floor-level filters - a single available floor has to satisfy all of them */}
+              <div>
+                <p className="text-xs text-gray-400 mb-1 font-medium">Dabaq keliya oo banaan</p>
+                <div className="grid grid-cols-2 lg:grid-cols-3 gap-3">
+                  <select
+                    value={floorBedrooms}
+                    onChange={(e) => updateFilters({ floorBedrooms: e.target.value })}
+                    aria-label="Qolalka jiifka ee dabaqda"
+                    className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
+                  >
+                    <option value="">Qolal: Dhamaan</option>
+                    <option value="1">1+ qol</option>
+                    <option value="2">2+ qol</option>
+                    <option value="3">3+ qol</option>
+                    <option value="4">4+ qol</option>
+                  </select>
+                  
+                  <select
+                    value={floorMaxPrice}
+                    onChange={(e) => updateFilters({ floorMaxPrice: e.target.value })}
+                    aria-label="Qiimaha ugu badan ee dabaqda"
+                    className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
+                  >
+                    <option value="">Qiimo: Dhamaan</option>
+                    <option value="200">Ka hooseeya $200</option>
+                    <option value="300">Ka hooseeya $300</option>
+                    <option value="400">Ka hooseeya $400</option>
+                    <option value="500">Ka hooseeya $500</option>
+                    <option value="750">Ka hooseeya $750</option>
+                    <option value="1000">Ka hooseeya $1000</option>
+                  </select>
+                  
+                  <select
+                    value={floorMaxAdvance}
+                    onChange={(e) => updateFilters({ floorMaxAdvance: e.target.value })}
+                    aria-label="Bilaha horudhaca ugu badan"
+                    className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none font-medium"
+                  >
+                    <option value="">Horudhac: Dhamaan</option>
+                    <option value="0">Horudhac la'aan</option>
+                    <option value="1">Ugu badan 1 bil</option>
+                    <option value="2">Ugu badan 2 bilood</option>
+                    <option value="3">Ugu badan 3 bilood</option>
+                    <option value="6">Ugu badan 6 bilood</option>
+                  </select>
+                  
+                  <label className="flex items-center gap-2 bg-gray-800 border border-gray-600 rounded-lg px-3 py-1 text-sm text-white">
+                    <span className="whitespace-nowrap text-gray-300">Banaan ilaa</span>
+                    <input
+                      type="date"
+                      value={floorAvailableBy}
+                      min={toDateString()}
+                      onChange={(e) => updateFilters({ floorAvailableBy: e.target.value })}
+                      aria-label="Dabaq banaan taariikhdan ka hor"
+                      className="w-full bg-transparent text-white focus:outline-none [color-scheme:dark]"
+                    />
+                  </label>
+                  
+                  <label className="flex items-center gap-2 bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-sm text-white cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={floorKitchen === 'true'}
+                      onChange={(e) => updateFilters({ floorKitchen: e.target.checked ? 'true' : '' })}
+                      className="rounded border-gray-500 text-blue-600 focus:ring-blue-500"
+                    />
+                    Jikada leh
+                  </label>
+                  
+                  <label className="flex items-center gap-2 bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-sm text-white cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={floorLivingRoom === 'true'}
+                      onChange={(e) => updateFilters({ floorLivingRoom: e.target.checked ? 'true' : '' })}
+                      className="rounded border-gray-500 text-blue-600 focus:ring-blue-500"
+                    />
+                    Qolka Fadhiga leh
+                  </label>
+                </div>
+              </div>
+              
+              {/* Amenity filters - a listing has to have every selected amenity */}
+              {amenityCatalogue.length > 0 && (
+                <div>
+                  <p className="text-xs text-gray-400 mb-1 font-medium">Adeegyada</p>
+                  <div className="flex flex-wrap gap-2">
+                    {amenityCatalogue.map(amenity => {
+                      const selected = amenities.split(',').includes(amenity.key);
+                      return (
+                        <button
+                          key={amenity.key}
+                          type="button"
+                          onClick={() => toggleAmenityFilter(amenity.key)}
+                          aria-pressed={selected}
+                          className={`flex items-center gap-1.5 rounded-lg px-3 py-1.5 text-sm border transition-colors ${
+                            selected
+                              ? 'bg-blue-600 border-blue-500 text-white'
+                              : 'bg-gray-800 border-gray-600 text-gray-200 hover:bg-gray-700'
+                          }`}
+                        >
+                          <span aria-hidden="true">{amenity.icon}</span>
+                          <span>{amenity.label}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+              
               <div className="flex flex-col sm:flex-row gap-2">
                 <button
                   type="submit"
@@ -691,7 +787,19 @@ export default function Home() {
                   <span>Raadi</span>
                 </button>
                 
-                {(minPrice || maxPrice || minRooms || isFurnished || selectedDistrict) && (
+                {user && hasActiveFilters && (
+                  <button
+                    type="button"
+                    onClick={handleSaveSearch}
+                    disabled={savingSearch}
+                    className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-medium px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2 text-sm"
+                  >
+                    <span>🔔</span>
+                    <span>{savingSearch ? 'Waa la kaydinayaa...' : 'Kaydi Raadintan'}</span>
+                  </button>
+                )}
+                
+                {hasActiveFilters && (
                   <button
                     type="button"
                     onClick={resetFilters}
@@ -709,6 +817,9 @@ export default function Home() {
         </div>
       </section>
       
+      {/* Recently viewed apartments */}
+      <RecentlyViewedStrip />
+      
       {/* Apartments Section - Immediately Visible */}
       <section ref={apartmentsSectionRef} className="py-4">
         <div className="container mx-auto px-4">
@@ -716,29 +827,81 @@ export default function Home() {
             <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
               <div>
                 <h1 className="text-xl md:text-2xl font-bold text-white mb-1">
-                  {selectedDistrict ? `🏠 Guryaha ${selectedDistrict}` : '🏠 Guryaha La Heli Karo'}
+                  {searchQuery
+                    ? `🔍 Natiijooyinka "${searchQuery}"`
+                    : selectedDistrict ? `🏠 Guryaha ${selectedDistrict}` : '🏠 Guryaha La Heli Karo'}
                 </h1>
                 <p className="text-gray-400 text-sm">
                   {loading ? 'Waa la soo raraya...' : 
-                   apartments.length > 0 ? `${apartments.length} guri la helay` : 
+                   apartments.length > 0 ? `${totalCount ?? apartments.length} guri la helay` : 
                    'Raadi gurigaaga ku haboon'}
                 </p>
               </div>
               
-              {selectedDistrict && (
-                <button 
-                  onClick={resetFilters}
-                  className="flex items-center bg-blue-600 text-white px-3 py-1.5 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="flex bg-gray-800 border border-gray-600 rounded-lg p-0.5" role="group" aria-label="Habka muuqaalka">
+                  {[
+                    { value: 'list', label: '☰ Liis' },
+                    { value: 'map', label: '🗺️ Khariidad' }
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => handleViewChange(option.value)}
+                      aria-pressed={(option.value === 'map') === isMapView}
+                      className={`px-3 py-1 rounded-md text-sm font-medium transition-colors whitespace-nowrap ${
+                        (option.value === 'map') === isMapView
+                          ? 'bg-blue-600 text-white'
+                          : 'text-gray-300 hover:text-white'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                
+                <label htmlFor="apartment-sort" className="text-xs text-gray-400 font-medium whitespace-nowrap">Kala saar:</label>
+                <select
+                  id="apartment-sort"
+                  value={sortOrder}
+                  onChange={(e) => updateFilters({ sortOrder: e.target.value })}
+                  className="bg-gray-800 border border-gray-600 text-white rounded-lg px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm font-medium"
                 >
-                  <span>Tirtir filtarka</span>
-                  <svg className="w-3 h-3 ml-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                  </svg>
-                </button>
-              )}
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                
+                {selectedDistrict && (
+                  <button 
+                    onClick={resetFilters}
+                    className="flex items-center bg-blue-600 text-white px-3 py-1.5 rounded-lg hover:bg-blue-700 transition-colors text-sm whitespace-nowrap"
+                  >
+                    <span>Tirtir filtarka</span>
+                    <svg className="w-3 h-3 ml-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                )}
+              </div>
             </div>
           </div>
           
+          {isMapView && (
+            <div className="mb-4">
+              <Suspense fallback={
+                <div className="h-[28rem] flex items-center justify-center rounded-xl border border-gray-700 bg-gray-800">
+                  <LoadingSpinner size="lg" />
+                </div>
+              }>
+                <ApartmentsMap apartments={mapPins} onBoundsChange={setMapBounds} />
+              </Suspense>
+              <p className="text-gray-500 text-xs mt-2">
+                Liiska hoose wuxuu muujinayaa guryaha ku jira qaybta khariidadda ee muuqata. Guryaha aan calaamad lahayn kuma jiraan khariidadda.
+              </p>
+            </div>
+          )}
+          
           {loading ? (
             <div className="flex justify-center py-8">
               <div className="text-center">
@@ -776,25 +939,52 @@ export default function Home() {
               </button>
             </div>
           ) : (
-            <motion.div 
-              className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4"
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              transition={{ duration: 0.5 }}
-            >
-              {apartments.map((apartment, index) => (
-                apartment ? (
-                  <motion.div
-                    key={apartment.id || Math.random()}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ duration: 0.3, delay: index * 0.05 }}
+            <>
+              <motion.div 
+                className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4"
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ duration: 0.5 }}
+              >
+                {apartments.map((apartment, index) => (
+                  apartment ? (
+                    <motion.div
+                      key={apartment.id || Math.random()}
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      transition={{ duration: 0.3, delay: (index % PAGE_SIZE) * 0.05 }}
+                    >
+                      <ApartmentCard
+                        apartment={apartment}
+                        matchedFloors={floorFiltersActive ? getMatchingFloors(apartment.apartment_floors, floorFilters) : null}
+                      />
+                    </motion.div>
+                  ) : null
+                ))}
+              </motion.div>
+              
+              {/* Infinite scroll sentinel and pagination status */}
+              <div ref={loadMoreRef} className="flex flex-col items-center gap-3 mt-8">
+                {loadingMore ? (
+                  <div className="flex items-center gap-2 text-gray-400 text-sm">
+                    <LoadingSpinner size="sm" />
+                    <span>Guryo kale ayaa la soo raraya...</span>
+                  </div>
+                ) : hasMore ? (
+                  <button
+                    onClick={loadMoreApartments}
+                    className="bg-gray-800 hover:bg-gray-700 border border-gray-600 text-gray-200 px-4 py-2 rounded-lg transition-colors text-sm"
                   >
-                    <ApartmentCard apartment={apartment} />
-                  </motion.div>
-                ) : null
-              ))}
-            </motion.div>
+                    Soo Rar Guryo Kale
+                  </button>
+                ) : null}
+                {totalCount !== null && (
+                  <p className="text-gray-500 text-xs">
+                    {apartments.length} ka mid ah {totalCount} guri ayaa muuqda
+                  </p>
+                )}
+              </div>
+            </>
           )}
         </div>
       </section>
@@ -805,7 +995,7 @@ export default function Home() {
           <div className="container mx-auto px-4">
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
               <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
-                <div className="text-2xl font-bold text-blue-400 mb-1">{apartments.length}</div>
+                <div className="text-2xl font-bold text-blue-400 mb-1">{totalCount ?? apartments.length}</div>
                 <div className="text-gray-300 text-xs">Guryo La Helay</div>
               </div>
               <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
@@ -816,7 +1006,7 @@ export default function Home() {
               </div>
               <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
                 <div className="text-2xl font-bold text-purple-400 mb-1">
-                  {selectedDistrict ? '1' : districts.length}
+                  {selectedDistrict ? '1' : MOGADISHU_DISTRICTS.length}
                 </div>
                 <div className="text-gray-300 text-xs">
                   {selectedDistrict ? 'Degmo' : 'Degmooyinka'}
@@ -895,6 +1085,9 @@ export default function Home() {
           </div>
         </div>
       </section>
+      
+      {/* Apartments picked for comparison */}
+      <CompareBar />
     </div>
   );
 }
\ No newline at end of file
@@ -1,22 +1,46 @@
 import { useState, useEffect, useRef } from 'react';
-import { Routes, Route, Link, useNavigate, useLocation, useParams } from 'react-router-dom';
+import { Routes, Route, Link, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { supabase, uploadApartmentImage } from '../lib/supabase';
+import { supabase } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import ListingEditor from '../components/listings/ListingEditor';
+import ListingImport from '../components/listings/ListingImport';
+import OccupancyCalendar from '../components/listings/OccupancyCalendar';
+import ListingInsights from '../components/listings/ListingInsights';
 import { getImageUrl } from '../utils/imageUtils';
+import { createEmptyListing, listingFromApartment, duplicateListingAsDraft } from '../utils/listingEditor';
+import { loadDraftImages, deleteDraftImages } from '../utils/draftImages';
+import { floorStatusUpdate } from '../utils/floorAvailability';
+import { fetchListingExpiryPolicy, listingExpiresAt, listingConfirmationState, confirmListing } from '../utils/listingExpiry';
 
 // Sub-components for dashboard tabs
+// Moderation status of a listing as shown to its owner
+const LISTING_STATUS_BADGES = {
+  approved: { label: 'La Daabacay', color: 'bg-green-100 text-green-800' },
+  pending: { label: 'Sugaya Ansixin', color: 'bg-yellow-100 text-yellow-800' },
+  rejected: { label: 'Lama Ansixin', color: 'bg-red-100 text-red-800' }
+};
+
 const MyListings = () => {
-  const { user } = useAuth();
+  const { user, isAdminUser } = useAuth();
   const [apartments, setApartments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedApartment, setExpandedApartment] = useState(null);
   const [apartmentFloors, setApartmentFloors] = useState({});
   const [updatingFloor, setUpdatingFloor] = useState(null);
+  const [duplicatingId, setDuplicatingId] = useState(null);
+  const [expiryPolicy, setExpiryPolicy] = useState(null);
+  const [confirmingId, setConfirmingId] = useState(null);
   const navigate = useNavigate();
 
+  useEffect(() => {
+    fetchListingExpiryPolicy()
+      .then(setExpiryPolicy)
+      .catch(error => console.error('Error fetching listing expiry policy:', error));
+  }, []);
+
   useEffect(() => {
     const fetchApartments = async () => {
       try {
@@ -108,7 +132,7 @@ const MyListings = () => {
       const { error } = await supabase
         .from('apartment_floors')
         .update({ 
-          floor_status: newStatus,
+          ...floorStatusUpdate(newStatus),
           is_available: newStatus === 'available'
         })
         .eq('id', floorId);
@@ -118,7 +142,7 @@ const MyListings = () => {
       // Calculate updated floors FIRST before updating state
       const updatedFloors = apartmentFloors[apartmentId].map(floor => 
         floor.id === floorId 
-          ? { ...floor, floor_status: newStatus, is_available: newStatus === 'available' }
+          ? { ...floor, ...floorStatusUpdate(newStatus), is_available: newStatus === 'available' }
           : floor
       );
       
@@ -142,9 +166,10 @@ const MyListings = () => {
       }
       
       // Update apartments state with new availability
+      // Any change by the owner also confirms the listing (listing_expiry.sql)
       setApartments(apartments.map(apt => 
         apt.id === apartmentId 
-          ? { ...apt, is_available: hasAvailableFloors } 
+          ? { ...apt, is_available: hasAvailableFloors, confirmed_at: new Date().toISOString() } 
           : apt
       ));
       
@@ -156,6 +181,35 @@ const MyListings = () => {
     }
   };
 
+  // Save when a floor is rented until / frees up; the floor_status flips by
+  // itself on that day (see floor_availability.sql)
+  const updateFloorDates = async (apartmentId, floorId, dates) => {
+    try {
+      setUpdatingFloor(floorId);
+
+      const { error } = await supabase
+        .from('apartment_floors')
+        .update(dates)
+        .eq('id', floorId);
+
+      if (error) throw error;
+
+      setApartmentFloors(prev => ({
+        ...prev,
+        [apartmentId]: prev[apartmentId].map(floor =>
+          floor.id === floorId ? { ...floor, ...dates } : floor
+        )
+      }));
+      return true;
+    } catch (error) {
+      console.error('Error updating floor dates:', error);
+      alert('Failed to update floor dates. Please try again.');
+      return false;
+    } finally {
+      setUpdatingFloor(null);
+    }
+  };
+
   const handleCreateNew = () => {
     navigate('/owner/dashboard/new-listing');
   };
@@ -164,6 +218,57 @@ const MyListings = () => {
     navigate(`/owner/dashboard/edit-listing/${id}`);
   };
 
+  const handleContinueDraft = (id) => {
+    navigate(`/owner/dashboard/new-listing?draft=${id}`);
+  };
+
+  const handleDeleteDraft = async (draft) => {
+    if (!window.confirm('Ma hubtaa inaad tirtirto qabyadan?')) return;
+
+    try {
+      const { error } = await supabase
+        .from('apartments')
+        .delete()
+        .eq('id', draft.id)
+        .eq('status', 'draft');
+
+      if (error) throw error;
+
+      deleteDraftImages(draft.id).catch(imageError => {
+        console.warn('Could not clear draft photos:', imageError);
+      });
+
+      setApartments(apartments.filter(apt => apt.id !== draft.id));
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      alert('Failed to delete draft. Please try again.');
+    }
+  };
+
+  // Copy a listing into a new draft and open it in the editor
+  const handleDuplicate = async (apartment) => {
+    const includePhotos = window.confirm('Ma rabtaa in sawirada sidoo kale la koobiyeeyo? (OK = haa, Cancel = maya)');
+
+    try {
+      setDuplicatingId(apartment.id);
+      const { draftId, missingPhotos } = await duplicateListingAsDraft({
+        apartmentId: apartment.id,
+        includePhotos,
+        isAdmin: isAdminUser
+      });
+
+      if (missingPhotos > 0) {
+        alert(`${missingPhotos} sawir lama koobiyeyn karin. Ku dar mar kale qabyada.`);
+      }
+      navigate(`/owner/dashboard/new-listing?draft=${draftId}`);
+    } catch (error) {
+      console.error('Error duplicating listing:', error);
+      alert('Failed to duplicate listing. Please try again.');
+    } finally {
+      setDuplicatingId(null);
+    }
+  };
+
   const handleToggleAvailability = async (apartment) => {
     try {
       const { error } = await supabase
@@ -173,10 +278,10 @@ const MyListings = () => {
         
       if (error) throw error;
       
-      // Update the local state
+      // Update the local state; the change also confirms the listing
       setApartments(apartments.map(apt => 
         apt.id === apartment.id 
-          ? { ...apt, is_available: !apt.is_available } 
+          ? { ...apt, is_available: !apt.is_available, confirmed_at: new Date().toISOString() } 
           : apt
       ));
     } catch (error) {
@@ -185,6 +290,23 @@ const MyListings = () => {
     }
   };
 
+  // One-click "still available" confirmation that keeps the listing in search
+  const handleConfirmListing = async (apartment) => {
+    try {
+      setConfirmingId(apartment.id);
+      const confirmedAt = await confirmListing(apartment.id);
+
+      setApartments(prev => prev.map(apt =>
+        apt.id === apartment.id ? { ...apt, confirmed_at: confirmedAt } : apt
+      ));
+    } catch (error) {
+      console.error('Error confirming listing:', error);
+      alert('Failed to confirm listing. Please try again.');
+    } finally {
+      setConfirmingId(null);
+    }
+  };
+
   const toggleApartmentExpansion = (apartmentId) => {
     if (expandedApartment === apartmentId) {
       setExpandedApartment(null);
@@ -233,12 +355,52 @@ const MyListings = () => {
     );
   }
 
+  // Unfinished listings are shown apart from the published ones
+  const drafts = apartments.filter(apt => apt.status === 'draft');
+  const listings = apartments.filter(apt => apt.status !== 'draft');
+  const unconfirmedCount = listings.filter(apt => listingConfirmationState(apt, expiryPolicy) !== 'confirmed').length;
+
   return (
     <motion.div
       initial={{ opacity: 0 }}
       animate={{ opacity: 1 }}
       transition={{ duration: 0.3 }}
     >
+      {drafts.length > 0 && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-semibold text-blue-900 mb-3">📝 Sii wad qabyadaada</h3>
+          <div className="space-y-3">
+            {drafts.map(draft => (
+              <div
+                key={draft.id}
+                className="flex flex-col sm:flex-row sm:items-center justify-between bg-white rounded-md border border-blue-100 p-3 gap-3"
+              >
+                <div>
+                  <p className="font-medium text-gray-800">{draft.title?.trim() || 'Liis aan magac lahayn'}</p>
+                  <p className="text-xs text-gray-500">
+                    La kaydiyay: {new Date(draft.updated_at || draft.created_at).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleContinueDraft(draft.id)}
+                    className="px-3 py-1 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    Sii wad
+                  </button>
+                  <button
+                    onClick={() => handleDeleteDraft(draft)}
+                    className="px-3 py-1 bg-red-100 text-red-700 text-sm rounded-md hover:bg-red-200 transition-colors"
+                  >
+                    Tirtir
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-xl font-semibold">Liistada Guryahaaga</h2>
         <motion.button 
@@ -250,8 +412,17 @@ const MyListings = () => {
           Samee Liis Cusub
         </motion.button>
       </div>
+
+      {unconfirmedCount > 0 && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6 text-sm text-orange-900">
+          <p className="font-medium">🔔 {unconfirmedCount} liis ayaa u baahan in aad xaqiijiso inay weli banaan yihiin.</p>
+          <p className="mt-1">
+            Liis aan la xaqiijin {expiryPolicy.confirm_every_days} maalmood waa laga qariyaa raadinta si kiraystayaashu u helaan guryo run ahaantii banaan.
+          </p>
+        </div>
+      )}
       
-      {apartments.length === 0 ? (
+      {listings.length === 0 ? (
         <motion.div 
           className="bg-yellow-50 p-6 rounded-lg text-center"
           initial={{ y: 20, opacity: 0 }}
@@ -270,7 +441,7 @@ const MyListings = () => {
         </motion.div>
       ) : (
         <div className="space-y-6">
-          {apartments.map((apartment, index) => (
+          {listings.map((apartment, index) => (
             <motion.div 
               key={apartment.id} 
               className="bg-white rounded-lg shadow-md overflow-hidden border border-gray-200 hover:shadow-lg transition-shadow"
@@ -323,8 +494,10 @@ const MyListings = () => {
                       <p className="text-gray-600 text-sm mb-2">{apartment.location_description}</p>
                     </div>
                     <div className="flex items-center space-x-2">
-                      <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">
-                        La Daabacay
+                      <span className={`px-2 py-1 text-xs rounded-full ${
+                        (LISTING_STATUS_BADGES[apartment.status] || LISTING_STATUS_BADGES.approved).color
+                      }`}>
+                        {(LISTING_STATUS_BADGES[apartment.status] || LISTING_STATUS_BADGES.approved).label}
                       </span>
                       <span className={`px-2 py-1 text-xs rounded-full ${
                         apartment.is_available 
@@ -335,6 +508,41 @@ const MyListings = () => {
                       </span>
                     </div>
                   </div>
+
+                  {apartment.status === 'pending' && (
+                    <p className="mt-2 text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md px-3 py-2">
+                      Liiskan wuxuu sugayaa in maamulku ansixiyo - dadku ma arki karaan ilaa la ansixiyo.
+                    </p>
+                  )}
+                  {apartment.status === 'rejected' && (
+                    <div className="mt-2 text-xs text-red-800 bg-red-50 border border-red-200 rounded-md px-3 py-2">
+                      <p className="font-medium">Maamulku ma ansixin liiskan.</p>
+                      {apartment.rejection_reason && <p>Sababta: {apartment.rejection_reason}</p>}
+                      <p className="mt-1">Wax ka beddel liiska oo kaydi si dib loogu eego.</p>
+                    </div>
+                  )}
+                  {listingConfirmationState(apartment, expiryPolicy) !== 'confirmed' && (
+                    <div className={`mt-2 text-xs rounded-md px-3 py-2 flex flex-col sm:flex-row sm:items-center justify-between gap-2 border ${
+                      listingConfirmationState(apartment, expiryPolicy) === 'stale'
+                        ? 'text-red-800 bg-red-50 border-red-200'
+                        : 'text-orange-800 bg-orange-50 border-orange-200'
+                    }`}>
+                      <p>
+                        {listingConfirmationState(apartment, expiryPolicy) === 'stale'
+                          ? 'Liiskan waa laga qariyay raadinta sababtoo ah lama xaqiijin. Weli ma banaan yahay?'
+                          : `Weli ma banaan yahay? Xaqiiji ka hor ${listingExpiresAt(apartment, expiryPolicy).toLocaleDateString()} si uusan uga qarsoomin raadinta.`}
+                      </p>
+                      <button
+                        onClick={() => handleConfirmListing(apartment)}
+                        disabled={confirmingId === apartment.id}
+                        className={`px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors whitespace-nowrap ${
+                          confirmingId === apartment.id ? 'opacity-50 cursor-not-allowed' : ''
+                        }`}
+                      >
+                        {confirmingId === apartment.id ? 'Waa la xaqiijinayaa...' : '✓ Haa, weli waa banaan yahay'}
+                      </button>
+                    </div>
+                  )}
                   
                   <div className="mt-3 flex flex-wrap gap-2">
                     <div className="text-sm text-gray-700">
@@ -369,6 +577,17 @@ const MyListings = () => {
                       >
                         Wax ka beddel
                       </motion.button>
+                      <motion.button
+                        onClick={() => handleDuplicate(apartment)}
+                        disabled={duplicatingId === apartment.id}
+                        className={`px-3 py-1 bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors text-sm ${
+                          duplicatingId === apartment.id ? 'opacity-50 cursor-not-allowed' : ''
+                        }`}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        {duplicatingId === apartment.id ? 'Waa la koobiyeynayaa...' : 'Nuqul ka samee'}
+                      </motion.button>
                       <motion.button
                         onClick={() => handleToggleAvailability(apartment)}
                         className={`px-3 py-1 rounded-md transition-colors text-sm ${
@@ -398,37 +617,46 @@ const MyListings = () => {
                   <h4 className="font-medium text-gray-800 mb-3">Maamulka Dabaqyada</h4>
                   
                   {apartmentFloors[apartment.id] ? (
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
-                      {apartmentFloors[apartment.id].map((floor) => (
-                        <div key={floor.id} className="bg-white p-3 rounded-lg border border-gray-200">
-                          <div className="flex justify-between items-start mb-2">
-                            <div>
-                              <h5 className="font-medium text-gray-800">
-                                {getFloorLabel(floor.floor_number, apartmentFloors[apartment.id].length)}
-                              </h5>
-                              <p className="text-sm text-gray-600">${floor.price_per_month}/bishii</p>
+                    <>
+                      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+                        {apartmentFloors[apartment.id].map((floor) => (
+                          <div key={floor.id} className="bg-white p-3 rounded-lg border border-gray-200">
+                            <div className="flex justify-between items-start mb-2">
+                              <div>
+                                <h5 className="font-medium text-gray-800">
+                                  {getFloorLabel(floor.floor_number, apartmentFloors[apartment.id].length)}
+                                </h5>
+                                <p className="text-sm text-gray-600">${floor.price_per_month}/bishii</p>
+                              </div>
+                              {getStatusBadge(floor.floor_status)}
                             </div>
-                            {getStatusBadge(floor.floor_status)}
-                          </div>
                           
-                          <div className="text-xs text-gray-500 mb-2">
-                            {floor.bedrooms_on_floor} qol jiif • {floor.bathrooms_on_floor} musqul
-                          </div>
+                            <div className="text-xs text-gray-500 mb-2">
+                              {floor.bedrooms_on_floor} qol jiif • {floor.bathrooms_on_floor} musqul
+                            </div>
                           
-                          <button
-                            onClick={() => toggleFloorAvailability(apartment.id, floor.id, floor.floor_status)}
-                            disabled={updatingFloor === floor.id}
-                            className={`w-full px-2 py-1 text-xs rounded transition-colors ${
-                              updatingFloor === floor.id
-                                ? 'bg-gray-200 text-gray-500 cursor-not-allowed'
-                                : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
-                            }`}
-                          >
-                            {updatingFloor === floor.id ? 'Waa la beddelayaa...' : 'Beddel Xaaladda'}
-                          </button>
-                        </div>
-                      ))}
-                    </div>
+                            <button
+                              onClick={() => toggleFloorAvailability(apartment.id, floor.id, floor.floor_status)}
+                              disabled={updatingFloor === floor.id}
+                              className={`w-full px-2 py-1 text-xs rounded transition-colors ${
+                                updatingFloor === floor.id
+                                  ? 'bg-gray-200 text-gray-500 cursor-not-allowed'
+                                  : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                              }`}
+                            >
+                              {updatingFloor === floor.id ? 'Waa la beddelayaa...' : 'Beddel Xaaladda'}
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+
+                      <OccupancyCalendar
+                        floors={apartmentFloors[apartment.id]}
+                        getFloorLabel={getFloorLabel}
+                        onUpdateDates={(floorId, dates) => updateFloorDates(apartment.id, floorId, dates)}
+                        savingFloorId={updatingFloor}
+                      />
+                    </>
                   ) : (
                     <div className="text-center py-4">
                       <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
@@ -668,240 +896,87 @@ const Reviews = () => {
 };
 
 const NewListing = () => {
-  const { user, isAdminUser } = useAuth();
+  const { user } = useAuth();
   const navigate = useNavigate();
-  const [loading, setLoading] = useState(false);
-  const [imageFiles, setImageFiles] = useState([]);
-  const [imagePreviews, setImagePreviews] = useState([]);
-  const [primaryImageIndex, setPrimaryImageIndex] = useState(0);
-  
-  // Debug log to verify component is rendering
-  console.log('NewListing component is rendering - floor system should be visible');
-  
-  // Form state
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    location_description: '',
-    district: '',
-    is_furnished: false,
-    total_floors: 1,
-    has_floor_system: true,
-    whatsapp_number: '',
-    display_owner_name: ''
-  });
-  
-  // Floor data state
-  const [floors, setFloors] = useState([
-    {
-      floor_number: 1,
-      bedrooms_on_floor: 1,
-      bathrooms_on_floor: 1,
-      has_kitchen: true,
-      has_living_room: true,
-      price_per_month: '',
-      floor_description: '',
-      floor_status: 'available'
-    }
-  ]);
-  
-  // Mogadishu districts
-  const districts = [
-    "Abdiaziz", "Bondhere", "Daynile", "Dharkenley", "Hamar Jajab", "Hamar Weyne",
-    "Hodan", "Howl Wadaag", "Huriwa", "Karan", "Shangani", "Shibis",
-    "Waberi", "Wadajir", "Warta Nabada", "Yaqshid"
-  ];
-
-  // Handle image selection
-  const handleImageChange = (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
-    
-    // Limit to 10 images
-    const limitedFiles = files.slice(0, 10);
-    setImageFiles(prev => [...prev, ...limitedFiles].slice(0, 10));
-    
-    // Create previews
-    limitedFiles.forEach(file => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setImagePreviews(prev => [...prev, e.target.result].slice(0, 10));
-      };
-      reader.readAsDataURL(file);
-    });
-  };
+  const [searchParams] = useSearchParams();
+  const draftId = searchParams.get('draft');
+  const [initialListing, setInitialListing] = useState(() => (draftId ? null : createEmptyListing()));
 
-  // Remove image
-  const removeImage = (index) => {
-    setImageFiles(prev => prev.filter((_, i) => i !== index));
-    setImagePreviews(prev => prev.filter((_, i) => i !== index));
-    if (primaryImageIndex >= index && primaryImageIndex > 0) {
-      setPrimaryImageIndex(prev => prev - 1);
-    }
-  };
+  // Continuing a draft: load the saved fields and the photos kept on this device
+  useEffect(() => {
+    if (!draftId || !user) return;
 
-  // Handle total floors change
-  const handleTotalFloorsChange = (newTotal) => {
-    const totalFloors = parseInt(newTotal);
-    setFormData(prev => ({ ...prev, total_floors: totalFloors }));
-    
-    // Update floors array
-    const newFloors = [];
-    for (let i = 1; i <= totalFloors; i++) {
-      const existingFloor = floors.find(f => f.floor_number === i);
-      if (existingFloor) {
-        newFloors.push(existingFloor);
-      } else {
-        newFloors.push({
-          floor_number: i,
-          bedrooms_on_floor: 1,
-          bathrooms_on_floor: 1,
-          has_kitchen: true,
-          has_living_room: true,
-          has_master_room: false,
-          price_per_month: formData.price_per_month || 100,
-          floor_description: '',
-          floor_status: 'available'
+    const fetchDraft = async () => {
+      try {
+        const { data: draftData, error: draftError } = await supabase
+          .from('apartments')
+          .select('*')
+          .eq('id', draftId)
+          .eq('owner_id', user.id)
+          .eq('status', 'draft')
+          .maybeSingle();
+
+        if (draftError) throw draftError;
+
+        // Draft was published or deleted in the meantime - start a fresh listing
+        if (!draftData) {
+          navigate('/owner/dashboard/new-listing', { replace: true });
+          setInitialListing(createEmptyListing());
+          return;
+        }
+
+        const { data: floorsData, error: floorsError } = await supabase
+          .from('apartment_floors')
+          .select('*')
+          .eq('apartment_id', draftId)
+          .order('floor_number', { ascending: true });
+
+        if (floorsError) throw floorsError;
+
+        let draftImages = { files: [], primaryImageIndex: 0 };
+        try {
+          draftImages = await loadDraftImages(draftId);
+        } catch (imageError) {
+          console.warn('Could not load draft photos:', imageError);
+        }
+
+        setInitialListing({
+          ...listingFromApartment(draftData, floorsData || []),
+          images: draftImages.files.map(file => ({ file, preview: URL.createObjectURL(file) })),
+          primaryImageIndex: draftImages.primaryImageIndex < draftImages.files.length ? draftImages.primaryImageIndex : 0
         });
+      } catch (error) {
+        console.error('Error fetching draft:', error);
+        setInitialListing(createEmptyListing());
       }
-    }
-    setFloors(newFloors);
-  };
+    };
 
-  // Update floor data
-  const updateFloor = (index, field, value) => {
-    setFloors(prev => prev.map((floor, i) => 
-      i === index ? { ...floor, [field]: value } : floor
-    ));
-  };
+    fetchDraft();
+  }, [draftId, user, navigate]);
 
-  // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    // Validation
-    if (!formData.title.trim()) {
-      alert('Fadlan gali magaca guriga');
-      return;
-    }
-    
-    if (!formData.location_description.trim()) {
-      alert('Fadlan gali meesha guriga ku yaal');
+  const handleSaved = (savedId, { status, failedFiles = [] } = {}) => {
+    // Photos that never uploaded go along to the edit page, to be retried there
+    if (failedFiles.length > 0) {
+      alert(`Liiskaaga waa la kaydiyay, laakiin ${failedFiles.length} sawir lama soo gelin. Waxaad mar kale isku dayi kartaa bogga wax ka beddelka.`);
+      navigate(`/owner/dashboard/edit-listing/${savedId}`, { state: { failedImages: failedFiles } });
       return;
     }
-    
-    if (!formData.district) {
-      alert('Fadlan dooro degmada');
-      return;
-    }
-    
-    if (imageFiles.length === 0) {
-      alert('Fadlan soo geli ugu yaraan hal sawir');
-      return;
-    }
-    
-    // Validate floors
-    for (let i = 0; i < floors.length; i++) {
-      const floor = floors[i];
-      if (!floor.price_per_month || floor.price_per_month <= 0) {
-        alert(`Fadlan gali qiimaha dabaqda ${i + 1}`);
-        return;
-      }
-    }
-    
-    try {
-      setLoading(true);
-      
-      // Calculate apartment-level data from floors
-      const totalRooms = floors.reduce((sum, floor) => sum + parseInt(floor.bedrooms_on_floor), 0);
-      const totalBathrooms = floors.reduce((sum, floor) => sum + parseInt(floor.bathrooms_on_floor), 0);
-      const minPrice = Math.min(...floors.map(f => parseFloat(f.price_per_month)));
-      
-      // Create apartment record - FORCE APPROVED STATUS
-      const apartmentData = {
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        location_description: formData.location_description.trim(),
-        district: formData.district,
-        rooms: totalRooms,
-        bathrooms: totalBathrooms,
-        price_per_month: minPrice,
-        is_furnished: formData.is_furnished,
-        is_available: true,
-        status: 'approved', // ALWAYS APPROVED - NO ADMIN APPROVAL NEEDED
-        owner_id: user.id,
-        whatsapp_number: formData.whatsapp_number.trim(),
-        display_owner_name: formData.display_owner_name.trim() || null,
-        created_at: new Date().toISOString()
-      };
-      
-      const { data: apartmentResult, error: apartmentError } = await supabase
-        .from('apartments')
-        .insert(apartmentData)
-        .select()
-        .single();
-      
-      if (apartmentError) throw apartmentError;
-      
-      const apartmentId = apartmentResult.id;
-      
-      // FORCE UPDATE TO APPROVED STATUS - BULLETPROOF SOLUTION
-      await supabase
-        .from('apartments')
-        .update({ status: 'approved' })
-        .eq('id', apartmentId);
-      
-      // Upload images
-      const imageUploadPromises = imageFiles.map(async (file, index) => {
-        const isPrimary = index === primaryImageIndex;
-        return uploadApartmentImage(file, apartmentId, isPrimary);
-      });
-      
-      const imageResults = await Promise.all(imageUploadPromises);
-      
-      // Check for image upload errors
-      const failedUploads = imageResults.filter(result => !result.success);
-      if (failedUploads.length > 0) {
-        console.error('Some images failed to upload:', failedUploads);
-      }
-      
-      // Create floor records
-      const floorData = floors.map(floor => ({
-        apartment_id: apartmentId,
-        floor_number: floor.floor_number,
-        bedrooms_on_floor: parseInt(floor.bedrooms_on_floor),
-        bathrooms_on_floor: parseInt(floor.bathrooms_on_floor),
-        has_kitchen: floor.has_kitchen,
-        has_living_room: floor.has_living_room,
-        price_per_month: parseFloat(floor.price_per_month),
-        floor_description: floor.floor_description.trim(),
-        floor_status: floor.floor_status,
-        is_available: floor.floor_status === 'available',
-        created_at: new Date().toISOString()
-      }));
-      
-      const { error: floorsError } = await supabase
-        .from('apartment_floors')
-        .insert(floorData);
-        
-      if (floorsError) throw floorsError;
-      
-      alert('✅ GUUL! Liiskaaga waa la sameeyay oo ISLA MARKIIBA waa la daabacay! Dadka ayaa hadda arki karaan - ma aha inay sugaan ansaxi!');
-        navigate('/owner/dashboard');
-      
-    } catch (error) {
-      console.error('Error creating apartment:', error);
-      alert('Qalad ayaa dhacay. Fadlan isku day mar kale.');
-    } finally {
-      setLoading(false);
+
+    if (status === 'pending') {
+      alert('✅ Liiskaaga waa la gudbiyay! Maamulka ayaa dib u eegi doona ka hor inta aan la daabicin - waxaad arki doontaa xaaladdiisa liistadaada.');
+    } else {
+      alert('✅ GUUL! Liiskaaga waa la sameeyay oo waa la daabacay! Dadka ayaa hadda arki karaan.');
     }
+    navigate('/owner/dashboard');
   };
 
-  const getFloorLabel = (floorNumber) => {
-    if (floorNumber === 1) return 'Dabaqda Hoose';
-    if (floorNumber === floors.length) return `Dabaqda ${floorNumber}aad (Sare)`;
-    return `Dabaqda ${floorNumber}aad`;
-  };
+  if (!initialListing) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
   
   return (
     <motion.div
@@ -916,419 +991,16 @@ const NewListing = () => {
           <p className="text-gray-300 text-base sm:text-lg">Buuxi macluumaadka gurigaaga si aad u sameyso liis cusub</p>
         </div>
         
-        <form onSubmit={handleSubmit} className="p-4 sm:p-6 lg:p-8 space-y-6 sm:space-y-8 bg-white">
-          {/* Basic Information */}
-          <div className="space-y-4 sm:space-y-6">
-            <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
-              Macluumaadka Aasaasiga ah
-            </h3>
-            
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Magaca Guriga *
-                </label>
-                <input
-                  type="text"
-                  value={formData.title}
-                  onChange={(e) => setFormData(prev => ({ ...prev, title: e.target.value }))}
-                  className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Tusaale: Guri Qurux badan oo Hodan ku yaal"
-                  required
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Degmada *
-                </label>
-                <select
-                  value={formData.district}
-                  onChange={(e) => setFormData(prev => ({ ...prev, district: e.target.value }))}
-                  className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  required
-                >
-                  <option value="">Dooro degmada</option>
-                  {districts.map(district => (
-                    <option key={district} value={district}>{district}</option>
-                  ))}
-                </select>
-              </div>
-              
-              <div className="lg:col-span-2">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Meesha Guriga ku yaal *
-                </label>
-                <input
-                  type="text"
-                  value={formData.location_description}
-                  onChange={(e) => setFormData(prev => ({ ...prev, location_description: e.target.value }))}
-                  className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Tusaale: Wadada Makka Al-Mukarrama, agagaarka suuqa weyn"
-                  required
-                />
-              </div>
-              
-              <div className="lg:col-span-2">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Faahfaahin Guriga
-                </label>
-                <textarea
-                  value={formData.description}
-                  onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
-                  rows={4}
-                  className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Qor faahfaahin dheeraad ah oo ku saabsan guriga..."
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  📱 WhatsApp Number
-                </label>
-                <input
-                  type="tel"
-                  value={formData.whatsapp_number}
-                  onChange={(e) => setFormData(prev => ({ ...prev, whatsapp_number: e.target.value }))}
-                  className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Tusaale: +252 61 1234567"
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  Dadka raba guriga waxay kugu soo waci karaan WhatsApp
-                </p>
-              </div>
-              
-              {/* Admin-Only: Custom Owner Name */}
-              {isAdminUser && (
-                <div className="lg:col-span-2 border-4 border-red-500 bg-red-50 p-4 rounded-lg">
-                  <div className="flex items-center mb-2">
-                    <span className="text-lg mr-2">👑</span>
-                    <h4 className="text-lg font-bold text-red-800">Admin Only - Customer Information</h4>
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-red-700 mb-2">
-                      Real Owner Name (Customer's Name)
-                    </label>
-                    <input
-                      type="text"
-                      value={formData.display_owner_name}
-                      onChange={(e) => setFormData(prev => ({ ...prev, display_owner_name: e.target.value }))}
-                      className="w-full px-3 py-3 text-base border border-red-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500"
-                      placeholder="Tusaale: Ahmed Mohamed Ali"
-                    />
-                    <p className="text-xs text-red-600 mt-1">
-                      ⚠️ Only for customers who cannot create accounts. Leave empty for regular owners.
-                    </p>
-                    <p className="text-xs text-red-600 mt-1">
-                      📱 Make sure WhatsApp above is the customer's number, not yours!
-                    </p>
-                  </div>
-                </div>
-              )}
-            </div>
-                  
-            
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                id="is_furnished"
-                checked={formData.is_furnished}
-                onChange={(e) => setFormData(prev => ({ ...prev, is_furnished: e.target.checked }))}
-                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-              />
-              <label htmlFor="is_furnished" className="ml-2 block text-sm text-gray-700">
-                Gurigu wuxuu leeyahay alaab (furnished)
-              </label>
-            </div>
-          </div>
-            
-          {/* Images Section */}
-          <div className="space-y-4 sm:space-y-6">
-            <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
-              Sawirrada Guriga
-            </h3>
-            
-                  <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                Soo geli sawirrada guriga (ugu badan 10) *
-                  </label>
-                      <input
-                        type="file"
-                        multiple
-                        accept="image/*"
-                        onChange={handleImageChange}
-                className="w-full px-3 py-3 text-base border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Sawirka ugu horreeya ayaa noqon doona sawirka ugu muhiimsan
-              </p>
-                </div>
-                
-            {imagePreviews.length > 0 && (
-              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3 sm:gap-4">
-                {imagePreviews.map((preview, index) => (
-                  <div key={index} className="relative">
-                    <img
-                      src={preview}
-                            alt={`Preview ${index + 1}`}
-                      className={`w-full h-20 sm:h-24 object-cover rounded-md border-2 ${
-                        index === primaryImageIndex ? 'border-blue-500' : 'border-gray-200'
-                      }`}
-                    />
-                    {index === primaryImageIndex && (
-                      <div className="absolute top-1 left-1 bg-blue-500 text-white text-xs px-1 rounded">
-                        Ugu muhiimsan
-                      </div>
-                    )}
-                              <button
-                                type="button"
-                      onClick={() => removeImage(index)}
-                      className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm hover:bg-red-600 touch-manipulation"
-                    >
-                      ×
-                              </button>
-              <button
-                      type="button"
-                      onClick={() => setPrimaryImageIndex(index)}
-                      className="absolute bottom-1 left-1 bg-gray-800 bg-opacity-75 text-white text-xs px-1 py-0.5 rounded hover:bg-opacity-100 touch-manipulation"
-                    >
-                      Ka dhig ugu muhiimsan
-              </button>
-            </div>
-                ))}
-          </div>
-      )}
-    </div>
-
-          {/* Floors Section */}
-          <div className="space-y-4 sm:space-y-6 border-4 border-blue-500 bg-blue-50 p-4 sm:p-6 rounded-lg">
-            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between border-b border-gray-200 pb-2 space-y-2 sm:space-y-0">
-              <h3 className="text-lg sm:text-xl font-bold text-blue-800">
-                🏢 Dabaqyada Guriga (FLOOR SYSTEM)
-              </h3>
-              <div className="flex flex-col sm:flex-row sm:items-center space-y-2 sm:space-y-0 sm:space-x-2">
-                <label className="text-sm sm:text-base font-bold text-blue-800">
-                  Tirada dabaqyada: {formData.total_floors}
-                </label>
-                <select
-                  value={formData.total_floors}
-                  onChange={(e) => handleTotalFloorsChange(e.target.value)}
-                  className="px-3 py-2 border-2 border-blue-300 rounded-lg text-base sm:text-lg font-semibold bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-w-0"
-                >
-                  {[1,2,3,4,5,6,7,8,9,10].map(num => (
-                    <option key={num} value={num}>{num} dabaq</option>
-                  ))}
-                </select>
-              </div>
-            </div>
-            
-            <div className="space-y-6">
-              {floors.map((floor, index) => (
-                <div key={index} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                  <h4 className="font-medium text-gray-800 mb-4">
-                    {getFloorLabel(floor.floor_number)}
-                  </h4>
-                  
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
-              <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        <svg className="w-4 h-4 inline mr-1 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2H5a2 2 0 00-2-2z" />
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 21l0-12" />
-                        </svg>
-                        Qolalka Jiifka
-                      </label>
-                      <select
-                        value={floor.bedrooms_on_floor}
-                        onChange={(e) => updateFloor(index, 'bedrooms_on_floor', e.target.value)}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      >
-                        {[1,2,3,4,5,6].map(num => (
-                          <option key={num} value={num}>{num}</option>
-                        ))}
-                      </select>
-              </div>
-              
-              <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        <svg className="w-4 h-4 inline mr-1 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 14v3m4-3v3m4-3v3M3 21h18M3 10h18M3 7l9-4 9 4M4 10v11M20 10v11" />
-                        </svg>
-                        Musqulaha
-                      </label>
-                      <select
-                        value={floor.bathrooms_on_floor}
-                        onChange={(e) => updateFloor(index, 'bathrooms_on_floor', e.target.value)}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      >
-                        {[1,2,3,4].map(num => (
-                          <option key={num} value={num}>{num}</option>
-                        ))}
-                      </select>
-              </div>
-              
-              <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        💰 Qiimaha bishii ($)
-                      </label>
-                      <input
-                        type="number"
-                        value={floor.price_per_month}
-                        onChange={(e) => updateFloor(index, 'price_per_month', e.target.value)}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        placeholder="100"
-                        min="1"
-                      />
-              </div>
-              </div>
-              
-                  {/* Amenities - Horizontal Row */}
-                  <div className="flex flex-wrap gap-3 mb-4">
-                    <div className="flex items-center space-x-2">
-                      <input
-                        type="checkbox"
-                        checked={floor.has_kitchen}
-                        onChange={(e) => updateFloor(index, 'has_kitchen', e.target.checked)}
-                        className="mr-1"
-                      />
-                      <svg className="w-4 h-4 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 100 4m0-4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 100 4m0-4v2m0-6V4" />
-                      </svg>
-                      <label className="text-sm font-medium text-gray-700">Jikada</label>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                      <input
-                        type="checkbox"
-                        checked={floor.has_living_room}
-                        onChange={(e) => updateFloor(index, 'has_living_room', e.target.checked)}
-                        className="mr-1"
-                      />
-                      <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2H5a2 2 0 00-2-2z" />
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 21l0-12" />
-                      </svg>
-                      <label className="text-sm font-medium text-gray-700">Qolka Fadhiga</label>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                      <input
-                        type="checkbox"
-                        checked={floor.has_master_room}
-                        onChange={(e) => updateFloor(index, 'has_master_room', e.target.checked)}
-                        className="mr-1"
-                      />
-                      <svg className="w-4 h-4 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z" />
-                      </svg>
-                      <label className="text-sm font-medium text-gray-700">Master Room</label>
-                    </div>
-                  </div>
-                  
-                  <div className="mb-4">
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Xaaladda Dabaqda
-            </label>
-                    <select
-                      value={floor.floor_status}
-                      onChange={(e) => updateFloor(index, 'floor_status', e.target.value)}
-                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    >
-                      <option value="available">La Kireyn Karaa</option>
-                      <option value="not_available">Lama Heli Karo</option>
-                      <option value="occupied">La Kireeyay</option>
-                      <option value="maintenance">Dayactir</option>
-                    </select>
-                        </div>
-                  
-            <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Faahfaahin Dabaqda
-                </label>
-                    <textarea
-                      value={floor.floor_description}
-                      onChange={(e) => updateFloor(index, 'floor_description', e.target.value)}
-                      rows={2}
-                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      placeholder="Faahfaahin dheeraad ah oo ku saabsan dabaqdan..."
-                    />
-                      </div>
-                    </div>
-                  ))}
-            </div>
-          </div>
-          
-          {/* Floor System Toggle */}
-          <div className="mb-6">
-            <label className="flex items-center">
-              <input
-                type="checkbox"
-                checked={formData.has_floor_system}
-                onChange={(e) => setFormData(prev => ({ ...prev, has_floor_system: e.target.checked }))}
-                className="mr-2"
-              />
-              <span className="text-sm font-medium text-gray-700">
-                Isticmaal nidaamka dabaqyada (Floor System)
-              </span>
-            </label>
-            <p className="text-xs text-gray-500 mt-1">
-              Haddii aad doorato, waxaad awood u yeelan doontaa inaad u qaybiiso gurigaaga dabaqyo kala duwan oo qiimo kala duwan leh.
-            </p>
-          </div>
-          
-          {/* Total Floors */}
-          <div className="mb-6">
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Tirada dabaqyada: {formData.total_floors}
-            </label>
-            <input
-              type="range"
-              min="1"
-              max="10"
-              value={formData.total_floors}
-              onChange={(e) => handleTotalFloorsChange(parseInt(e.target.value))}
-              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-            />
-            <div className="flex justify-between text-xs text-gray-500 mt-1">
-              <span>1 dabaq</span>
-              <span>10 dabaq</span>
-            </div>
-          </div>
-          
-          {/* Submit Button */}
-          <div className="flex flex-col sm:flex-row justify-end space-y-3 sm:space-y-0 sm:space-x-4 pt-6 border-t border-gray-200">
-            <Link
-              to="/owner/dashboard"
-              className="w-full sm:w-auto px-6 py-3 border border-gray-300 rounded-md text-gray-700 text-center hover:bg-gray-50 transition-colors"
-            >
-              Jooji
-            </Link>
-            <motion.button
-              type="submit"
-              disabled={loading}
-              className={`w-full sm:w-auto px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center justify-center space-x-2 ${
-                loading ? 'opacity-50 cursor-not-allowed' : ''
-              }`}
-              whileHover={{ scale: loading ? 1 : 1.05 }}
-              whileTap={{ scale: loading ? 1 : 0.95 }}
-            >
-              {loading ? (
-                <>
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                  <span>Waa la sameynayaa...</span>
-                </>
-              ) : (
-                <>
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                  </svg>
-                  <span>Samee Liiska</span>
-                </>
-              )}
-            </motion.button>
-          </div>
-        </form>
-    </div>
+        <ListingEditor
+          key={draftId || 'new'}
+          initialListing={initialListing}
+          apartmentId={draftId}
+          autosaveDraft
+          submitLabel="Samee Liiska"
+          savingLabel="Waa la sameynayaa..."
+          onSaved={handleSaved}
+        />
+      </div>
     </motion.div>
   );
 };
@@ -1337,40 +1009,11 @@ const EditListing = () => {
   const { id } = useParams();
   const { user } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const failedImages = location.state?.failedImages;
   const [loading, setLoading] = useState(true);
-  const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
-  const [apartment, setApartment] = useState(null);
-  const [existingFloors, setExistingFloors] = useState([]);
-  const [existingImages, setExistingImages] = useState([]);
-  
-  // Form state
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    location_description: '',
-    district: '',
-    is_furnished: false,
-    total_floors: 1,
-    has_floor_system: true,
-    whatsapp_number: ''
-  });
-  
-  // Floor data state
-  const [floors, setFloors] = useState([]);
-  
-  // Image state
-  const [imageFiles, setImageFiles] = useState([]);
-  const [imagePreviews, setImagePreviews] = useState([]);
-  const [primaryImageIndex, setPrimaryImageIndex] = useState(0);
-  const [imagesToDelete, setImagesToDelete] = useState([]);
-  
-  // Mogadishu districts
-  const districts = [
-    "Abdiaziz", "Bondhere", "Daynile", "Dharkenley", "Hamar Jajab", "Hamar Weyne",
-    "Hodan", "Howl Wadaag", "Huriwa", "Karan", "Shangani", "Shibis",
-    "Waberi", "Wadajir", "Warta Nabada", "Yaqshid"
-  ];
+  const [initialListing, setInitialListing] = useState(null);
 
   // Load existing apartment data
   useEffect(() => {
@@ -1383,7 +1026,7 @@ const EditListing = () => {
           .from('apartments')
           .select(`
             *,
-            apartment_images(id, storage_path, is_primary)
+            apartment_images(id, storage_path, is_primary, sort_order)
           `)
           .eq('id', id)
           .eq('owner_id', user.id) // Ensure user owns this apartment
@@ -1392,30 +1035,6 @@ const EditListing = () => {
         if (apartmentError) throw apartmentError;
         if (!apartmentData) throw new Error('Apartment not found or you do not have permission to edit it');
         
-        setApartment(apartmentData);
-        
-        // Set form data
-        setFormData({
-          title: apartmentData.title || '',
-          description: apartmentData.description || '',
-          location_description: apartmentData.location_description || '',
-          district: apartmentData.district || '',
-          is_furnished: apartmentData.is_furnished || false,
-          total_floors: 1, // Will be updated when floors are loaded
-          has_floor_system: apartmentData.has_floor_system || true,
-          whatsapp_number: apartmentData.whatsapp_number || ''
-        });
-        
-        // Set existing images
-        if (apartmentData.apartment_images) {
-          setExistingImages(apartmentData.apartment_images);
-          // Find primary image index
-          const primaryIndex = apartmentData.apartment_images.findIndex(img => img.is_primary);
-          if (primaryIndex !== -1) {
-            setPrimaryImageIndex(primaryIndex);
-          }
-        }
-        
         // Fetch floor data
         const { data: floorsData, error: floorsError } = await supabase
           .from('apartment_floors')
@@ -1425,35 +1044,17 @@ const EditListing = () => {
         
         if (floorsError) throw floorsError;
         
-        if (floorsData && floorsData.length > 0) {
-          setExistingFloors(floorsData);
-          setFloors(floorsData.map(floor => ({
-            id: floor.id, // Keep track of existing floor IDs
-            floor_number: floor.floor_number,
-            bedrooms_on_floor: floor.bedrooms_on_floor,
-            bathrooms_on_floor: floor.bathrooms_on_floor,
-            has_kitchen: floor.has_kitchen,
-            has_living_room: floor.has_living_room,
-            price_per_month: floor.price_per_month.toString(),
-            floor_description: floor.floor_description || '',
-            floor_status: floor.floor_status
-          })));
-          
-          setFormData(prev => ({ ...prev, total_floors: floorsData.length }));
-        } else {
-          // No floors exist, create default floor
-          setFloors([{
-            floor_number: 1,
-            bedrooms_on_floor: 1,
-            bathrooms_on_floor: 1,
-            has_kitchen: true,
-            has_living_room: true,
-            price_per_month: '',
-            floor_description: '',
-            floor_status: 'available'
-          }]);
+        const listing = listingFromApartment(apartmentData, floorsData || []);
+
+        // Photos that failed to upload when the listing was created
+        if (failedImages?.length > 0) {
+          listing.images = [
+            ...listing.images,
+            ...failedImages.map(file => ({ file, preview: URL.createObjectURL(file), failed: true }))
+          ];
         }
-        
+
+        setInitialListing(listing);
       } catch (error) {
         console.error('Error fetching apartment data:', error);
         setError(error.message);
@@ -1465,272 +1066,16 @@ const EditListing = () => {
     if (id && user) {
       fetchApartmentData();
     }
-  }, [id, user]);
-
-  // Handle image selection
-  const handleImageChange = (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
-    
-    // Calculate current total images (existing + new)
-    const currentTotal = existingImages.length + imageFiles.length;
-    const remainingSlots = 10 - currentTotal;
-    
-    if (remainingSlots <= 0) {
-      alert('Waxaad soo gelin kartaa ugu badan 10 sawir');
-      return;
-    }
-    
-    // Limit new files to remaining slots
-    const limitedFiles = files.slice(0, remainingSlots);
-    setImageFiles(prev => [...prev, ...limitedFiles]);
-    
-    // Create previews
-    limitedFiles.forEach(file => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setImagePreviews(prev => [...prev, e.target.result]);
-      };
-      reader.readAsDataURL(file);
-    });
-  };
-
-  // Remove existing image
-  const removeExistingImage = (index) => {
-    const imageToRemove = existingImages[index];
-    setImagesToDelete(prev => [...prev, imageToRemove.id]);
-    setExistingImages(prev => prev.filter((_, i) => i !== index));
-    
-    // Adjust primary image index if needed
-    if (primaryImageIndex >= index && primaryImageIndex > 0) {
-      setPrimaryImageIndex(prev => prev - 1);
-    } else if (primaryImageIndex === index) {
-      setPrimaryImageIndex(0);
-    }
-  };
-
-  // Remove new image
-  const removeNewImage = (index) => {
-    setImageFiles(prev => prev.filter((_, i) => i !== index));
-    setImagePreviews(prev => prev.filter((_, i) => i !== index));
-    
-    // Adjust primary image index for new images
-    const existingCount = existingImages.length;
-    const newImageIndex = index + existingCount;
-    
-    if (primaryImageIndex >= newImageIndex && primaryImageIndex > 0) {
-      setPrimaryImageIndex(prev => prev - 1);
-    } else if (primaryImageIndex === newImageIndex) {
-      setPrimaryImageIndex(0);
-    }
-  };
+  }, [id, user, failedImages]);
 
-  // Handle total floors change
-  const handleTotalFloorsChange = (newTotal) => {
-    const totalFloors = parseInt(newTotal);
-    setFormData(prev => ({ ...prev, total_floors: totalFloors }));
-    
-    // Update floors array
-    const newFloors = [];
-    for (let i = 1; i <= totalFloors; i++) {
-      const existingFloor = floors.find(f => f.floor_number === i);
-      if (existingFloor) {
-        newFloors.push(existingFloor);
-      } else {
-        newFloors.push({
-          floor_number: i,
-          bedrooms_on_floor: 1,
-          bathrooms_on_floor: 1,
-          has_kitchen: true,
-          has_living_room: true,
-          has_master_room: false,
-          price_per_month: formData.price_per_month || 100,
-          floor_description: '',
-          floor_status: 'available'
-        });
-      }
-    }
-    setFloors(newFloors);
-  };
-
-  // Update floor data
-  const updateFloor = (index, field, value) => {
-    setFloors(prev => prev.map((floor, i) => 
-      i === index ? { ...floor, [field]: value } : floor
-    ));
-  };
-
-  // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    // Validation
-    if (!formData.title.trim()) {
-      alert('Fadlan gali magaca guriga');
-      return;
-    }
-    
-    if (!formData.location_description.trim()) {
-      alert('Fadlan gali meesha guriga ku yaal');
-      return;
-    }
-    
-    if (!formData.district) {
-      alert('Fadlan dooro degmada');
-      return;
-    }
-    
-    // Check if we have at least one image (existing or new)
-    if (existingImages.length === 0 && imageFiles.length === 0) {
-      alert('Fadlan soo geli ugu yaraan hal sawir');
-      return;
-    }
-    
-    // Validate floors
-    for (let i = 0; i < floors.length; i++) {
-      const floor = floors[i];
-      if (!floor.price_per_month || floor.price_per_month <= 0) {
-        alert(`Fadlan gali qiimaha dabaqda ${i + 1}`);
-        return;
-      }
-    }
-    
-    try {
-      setSaving(true);
-      
-      // Calculate apartment-level data from floors
-      const totalRooms = floors.reduce((sum, floor) => sum + parseInt(floor.bedrooms_on_floor), 0);
-      const totalBathrooms = floors.reduce((sum, floor) => sum + parseInt(floor.bathrooms_on_floor), 0);
-      const minPrice = Math.min(...floors.map(f => parseFloat(f.price_per_month)));
-      
-      // Update apartment record
-      const apartmentData = {
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        location_description: formData.location_description.trim(),
-        district: formData.district,
-        rooms: totalRooms,
-        bathrooms: totalBathrooms,
-        price_per_month: minPrice,
-        is_furnished: formData.is_furnished,
-        whatsapp_number: formData.whatsapp_number.trim(),
-        updated_at: new Date().toISOString()
-      };
-      
-      const { error: apartmentError } = await supabase
-        .from('apartments')
-        .update(apartmentData)
-        .eq('id', id);
-      
-      if (apartmentError) throw apartmentError;
-      
-      // Delete marked images
-      if (imagesToDelete.length > 0) {
-        const { error: deleteError } = await supabase
-          .from('apartment_images')
-          .delete()
-          .in('id', imagesToDelete);
-        
-        if (deleteError) {
-          console.error('Error deleting images:', deleteError);
-        }
-      }
-      
-      // Upload new images
-      if (imageFiles.length > 0) {
-        const imageUploadPromises = imageFiles.map(async (file, index) => {
-          const totalExistingImages = existingImages.length;
-          const isPrimary = (index + totalExistingImages) === primaryImageIndex;
-          return uploadApartmentImage(file, id, isPrimary);
-        });
-        
-        const imageResults = await Promise.all(imageUploadPromises);
-        
-        // Check for image upload errors
-        const failedUploads = imageResults.filter(result => !result.success);
-        if (failedUploads.length > 0) {
-          console.error('Some images failed to upload:', failedUploads);
-        }
-      }
-      
-      // Update primary image status for existing images if needed
-      if (primaryImageIndex < existingImages.length) {
-        // Primary is an existing image, update all existing images
-        const updatePromises = existingImages.map(async (img, index) => {
-          const isPrimary = index === primaryImageIndex;
-          return supabase
-            .from('apartment_images')
-            .update({ is_primary: isPrimary })
-            .eq('id', img.id);
-        });
-        
-        await Promise.all(updatePromises);
-      }
-      
-      // Handle floor updates
-      const existingFloorIds = existingFloors.map(f => f.id);
-      const currentFloorIds = floors.filter(f => f.id).map(f => f.id);
-      
-      // Delete floors that were removed
-      const floorsToDelete = existingFloorIds.filter(id => !currentFloorIds.includes(id));
-      if (floorsToDelete.length > 0) {
-        const { error: deleteFloorsError } = await supabase
-          .from('apartment_floors')
-          .delete()
-          .in('id', floorsToDelete);
-        
-        if (deleteFloorsError) throw deleteFloorsError;
-      }
-      
-      // Update or insert floors
-      for (const floor of floors) {
-        const floorData = {
-          apartment_id: id,
-          floor_number: floor.floor_number,
-          bedrooms_on_floor: parseInt(floor.bedrooms_on_floor),
-          bathrooms_on_floor: parseInt(floor.bathrooms_on_floor),
-          has_kitchen: floor.has_kitchen,
-          has_living_room: floor.has_living_room,
-          price_per_month: parseFloat(floor.price_per_month),
-          floor_description: floor.floor_description.trim(),
-          floor_status: floor.floor_status,
-          is_available: floor.floor_status === 'available',
-          updated_at: new Date().toISOString()
-        };
-        
-        if (floor.id) {
-          // Update existing floor
-          const { error: updateError } = await supabase
-            .from('apartment_floors')
-            .update(floorData)
-            .eq('id', floor.id);
-          
-          if (updateError) throw updateError;
-        } else {
-          // Insert new floor
-          const { error: insertError } = await supabase
-            .from('apartment_floors')
-            .insert({ ...floorData, created_at: new Date().toISOString() });
-          
-          if (insertError) throw insertError;
-        }
-      }
-      
+  const handleSaved = (savedId, { status } = {}) => {
+    // Editing a rejected listing sends it back for review
+    if (status === 'pending') {
+      alert('Liiskaaga waa la cusboonaysiiyay oo waxaa loo gudbiyay maamulka si dib loogu eego.');
+    } else {
       alert('Liiskaaga waa la cusboonaysiinayay!');
-      navigate('/owner/dashboard');
-      
-    } catch (error) {
-      console.error('Error updating apartment:', error);
-      alert('Qalad ayaa dhacay. Fadlan isku day mar kale.');
-    } finally {
-      setSaving(false);
     }
-  };
-
-  const getFloorLabel = (floorNumber) => {
-    if (floorNumber === 1) return 'Dabaqda Hoose';
-    if (floorNumber === floors.length) return `Dabaqda ${floorNumber}aad (Sare)`;
-    return `Dabaqda ${floorNumber}aad`;
+    navigate('/owner/dashboard');
   };
 
   if (loading) {
@@ -1742,11 +1087,11 @@ const EditListing = () => {
   }
 
   if (error) {
-  return (
-    <motion.div
-      initial={{ opacity: 0 }}
-      animate={{ opacity: 1 }}
-      transition={{ duration: 0.3 }}
+    return (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.3 }}
         className="text-center py-12"
       >
         <div className="bg-red-100 text-red-700 p-6 rounded-lg mb-6">
@@ -1768,452 +1113,62 @@ const EditListing = () => {
       initial={{ opacity: 0 }}
       animate={{ opacity: 1 }}
       transition={{ duration: 0.3 }}
-      className="max-w-4xl mx-auto"
+      className="max-w-4xl mx-auto px-2 sm:px-4"
     >
       <div className="bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 rounded-2xl shadow-2xl border border-gray-700 overflow-hidden">
-        <div className="bg-gradient-to-r from-gray-800 via-gray-700 to-gray-800 px-6 py-6">
-          <h2 className="text-3xl font-bold text-white mb-2">🔧 Wax ka beddel Liiska</h2>
-          <p className="text-gray-300 text-lg">Cusboonaysii macluumaadka gurigaaga</p>
+        <div className="bg-gradient-to-r from-gray-800 via-gray-700 to-gray-800 px-4 sm:px-6 py-4 sm:py-6">
+          <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">🔧 Wax ka beddel Liiska</h2>
+          <p className="text-gray-300 text-base sm:text-lg">Cusboonaysii macluumaadka gurigaaga</p>
         </div>
         
-        <form onSubmit={handleSubmit} className="p-8 space-y-8 bg-white">
-          {/* Basic Information */}
-          <div className="space-y-6">
-            <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
-              Macluumaadka Aasaasiga ah
-            </h3>
-            
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Magaca Guriga *
-                </label>
-                <input
-                  type="text"
-                  value={formData.title}
-                  onChange={(e) => setFormData(prev => ({ ...prev, title: e.target.value }))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                  placeholder="Tusaale: Guri Qurux badan oo Hodan ku yaal"
-                  required
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Degmada *
-                </label>
-                <select
-                  value={formData.district}
-                  onChange={(e) => setFormData(prev => ({ ...prev, district: e.target.value }))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                  required
-                >
-                  <option value="">Dooro degmada</option>
-                  {districts.map(district => (
-                    <option key={district} value={district}>{district}</option>
-                  ))}
-                </select>
-              </div>
-            </div>
-            
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Meesha Guriga ku yaal *
-              </label>
-              <input
-                type="text"
-                value={formData.location_description}
-                onChange={(e) => setFormData(prev => ({ ...prev, location_description: e.target.value }))}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                placeholder="Tusaale: Wadada Makka Al-Mukarrama, agagaarka suuqa weyn"
-                required
-              />
-            </div>
-            
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Faahfaahin Guriga
-              </label>
-              <textarea
-                value={formData.description}
-                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
-                rows={4}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                placeholder="Qor faahfaahin dheeraad ah oo ku saabsan guriga..."
-              />
-            </div>
-            
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                📱 WhatsApp Number
-              </label>
-              <input
-                type="tel"
-                value={formData.whatsapp_number}
-                onChange={(e) => setFormData(prev => ({ ...prev, whatsapp_number: e.target.value }))}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                placeholder="Tusaale: +252 61 1234567"
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Dadka raba guriga waxay kugu soo waci karaan WhatsApp
-              </p>
-            </div>
-            
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                id="is_furnished"
-                checked={formData.is_furnished}
-                onChange={(e) => setFormData(prev => ({ ...prev, is_furnished: e.target.checked }))}
-                className="h-4 w-4 text-green-600 focus:ring-green-500 border-gray-300 rounded"
-              />
-              <label htmlFor="is_furnished" className="ml-2 block text-sm text-gray-700">
-                Gurigu wuxuu leeyahay alaab (furnished)
-              </label>
-            </div>
-          </div>
-          
-          {/* Images Section */}
-          <div className="space-y-6">
-            <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
-              Sawirrada Guriga
-            </h3>
-            
-            {/* Existing Images */}
-            {existingImages.length > 0 && (
-              <div>
-                <h4 className="text-md font-medium text-gray-700 mb-3">Sawirrada Jira</h4>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
-                  {existingImages.map((image, index) => (
-                    <div key={image.id} className="relative">
-                      <img
-                        src={getImageUrl(image.storage_path)}
-                        alt={`Existing ${index + 1}`}
-                        className={`w-full h-24 object-cover rounded-md border-2 ${
-                          index === primaryImageIndex ? 'border-green-500' : 'border-gray-200'
-                        }`}
-                        onError={(e) => {
-                          e.target.src = '/images/placeholder-apartment.svg';
-                        }}
-                      />
-                      {index === primaryImageIndex && (
-                        <div className="absolute top-1 left-1 bg-green-500 text-white text-xs px-1 rounded">
-                          Ugu muhiimsan
-                        </div>
-                      )}
-                      <button
-                        type="button"
-                        onClick={() => removeExistingImage(index)}
-                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs hover:bg-red-600"
-                      >
-                        ×
-                      </button>
-                      <button
-                        type="button"
-                        onClick={() => setPrimaryImageIndex(index)}
-                        className="absolute bottom-1 left-1 bg-gray-800 bg-opacity-75 text-white text-xs px-1 rounded hover:bg-opacity-100"
-                      >
-                        Ka dhig ugu muhiimsan
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
-            
-            {/* New Images */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Soo geli sawirro cusub (ugu badan {10 - existingImages.length - imageFiles.length})
-              </label>
-              <input
-                type="file"
-                multiple
-                accept="image/*"
-                onChange={handleImageChange}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                disabled={existingImages.length + imageFiles.length >= 10}
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Wadarta sawirrada: {existingImages.length + imageFiles.length}/10
-              </p>
-            </div>
-            
-            {imagePreviews.length > 0 && (
-              <div>
-                <h4 className="text-md font-medium text-gray-700 mb-3">Sawirrada Cusub</h4>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                  {imagePreviews.map((preview, index) => {
-                    const totalIndex = existingImages.length + index;
-                    return (
-                      <div key={index} className="relative">
-                        <img
-                          src={preview}
-                          alt={`New Preview ${index + 1}`}
-                          className={`w-full h-24 object-cover rounded-md border-2 ${
-                            totalIndex === primaryImageIndex ? 'border-green-500' : 'border-gray-200'
-                          }`}
-                        />
-                        {totalIndex === primaryImageIndex && (
-                          <div className="absolute top-1 left-1 bg-green-500 text-white text-xs px-1 rounded">
-                            Ugu muhiimsan
-                          </div>
-                        )}
-                        <button
-                          type="button"
-                          onClick={() => removeNewImage(index)}
-                          className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs hover:bg-red-600"
-                        >
-                          ×
-                        </button>
-                        <button
-                          type="button"
-                          onClick={() => setPrimaryImageIndex(totalIndex)}
-                          className="absolute bottom-1 left-1 bg-gray-800 bg-opacity-75 text-white text-xs px-1 rounded hover:bg-opacity-100"
-                        >
-                          Ka dhig ugu muhiimsan
-                        </button>
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
-            )}
-          </div>
-
-          {/* Floors Section */}
-          <div className="space-y-6 border-4 border-green-500 bg-green-50 p-6 rounded-lg">
-            <div className="flex items-center justify-between border-b border-gray-200 pb-2">
-              <h3 className="text-xl font-bold text-green-800">
-                🏢 Dabaqyada Guriga (FLOOR SYSTEM)
-              </h3>
-              <div className="flex items-center space-x-2">
-                <label className="text-sm font-medium text-gray-700">
-                  Tirada dabaqyada:
-                </label>
-                <select
-                  value={formData.total_floors}
-                  onChange={(e) => handleTotalFloorsChange(e.target.value)}
-                  className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
-                >
-                  {[1,2,3,4,5,6,7,8,9,10].map(num => (
-                    <option key={num} value={num}>{num}</option>
-                  ))}
-                </select>
-              </div>
-            </div>
-            
-            <div className="space-y-6">
-              {floors.map((floor, index) => (
-                <div key={index} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                  <h4 className="font-medium text-gray-800 mb-4">
-                    {getFloorLabel(floor.floor_number)}
-                  </h4>
-                  
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
-              <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        <svg className="w-4 h-4 inline mr-1 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2H5a2 2 0 00-2-2z" />
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 21l0-12" />
-                        </svg>
-                        Qolalka Jiifka
-                      </label>
-                      <select
-                        value={floor.bedrooms_on_floor}
-                        onChange={(e) => updateFloor(index, 'bedrooms_on_floor', e.target.value)}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      >
-                        {[1,2,3,4,5,6].map(num => (
-                          <option key={num} value={num}>{num}</option>
-                        ))}
-                      </select>
-              </div>
-              
-              <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        <svg className="w-4 h-4 inline mr-1 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 14v3m4-3v3m4-3v3M3 21h18M3 10h18M3 7l9-4 9 4M4 10v11M20 10v11" />
-                        </svg>
-                        Musqulaha
-                      </label>
-                      <select
-                        value={floor.bathrooms_on_floor}
-                        onChange={(e) => updateFloor(index, 'bathrooms_on_floor', e.target.value)}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      >
-                        {[1,2,3,4].map(num => (
-                          <option key={num} value={num}>{num}</option>
-                        ))}
-                      </select>
-              </div>
-              
-              <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        💰 Qiimaha bishii ($)
-                      </label>
-                      <input
-                        type="number"
-                        value={floor.price_per_month}
-                        onChange={(e) => updateFloor(index, 'price_per_month', e.target.value)}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        placeholder="100"
-                        min="1"
-                      />
-              </div>
-              </div>
-              
-                  {/* Amenities - Horizontal Row */}
-                  <div className="flex flex-wrap gap-3 mb-4">
-                    <div className="flex items-center space-x-2">
-                      <input
-                        type="checkbox"
-                        checked={floor.has_kitchen}
-                        onChange={(e) => updateFloor(index, 'has_kitchen', e.target.checked)}
-                        className="mr-1"
-                      />
-                      <svg className="w-4 h-4 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 100 4m0-4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 100 4m0-4v2m0-6V4" />
-                      </svg>
-                      <label className="text-sm font-medium text-gray-700">Jikada</label>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                      <input
-                        type="checkbox"
-                        checked={floor.has_living_room}
-                        onChange={(e) => updateFloor(index, 'has_living_room', e.target.checked)}
-                        className="mr-1"
-                      />
-                      <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2H5a2 2 0 00-2-2z" />
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 21l0-12" />
-                      </svg>
-                      <label className="text-sm font-medium text-gray-700">Qolka Fadhiga</label>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                      <input
-                        type="checkbox"
-                        checked={floor.has_master_room}
-                        onChange={(e) => updateFloor(index, 'has_master_room', e.target.checked)}
-                        className="mr-1"
-                      />
-                      <svg className="w-4 h-4 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z" />
-                      </svg>
-                      <label className="text-sm font-medium text-gray-700">Master Room</label>
-                    </div>
-                  </div>
-                  
-                  <div className="mb-4">
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Xaaladda Dabaqda
-            </label>
-                    <select
-                      value={floor.floor_status}
-                      onChange={(e) => updateFloor(index, 'floor_status', e.target.value)}
-                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    >
-                      <option value="available">La Kireyn Karaa</option>
-                      <option value="not_available">Lama Heli Karo</option>
-                      <option value="occupied">La Kireeyay</option>
-                      <option value="maintenance">Dayactir</option>
-                    </select>
-                        </div>
-                  
-            <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Faahfaahin Dabaqda
-                </label>
-                    <textarea
-                      value={floor.floor_description}
-                      onChange={(e) => updateFloor(index, 'floor_description', e.target.value)}
-                      rows={2}
-                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      placeholder="Faahfaahin dheeraad ah oo ku saabsan dabaqdan..."
-                    />
-                      </div>
-                    </div>
-                  ))}
-            </div>
-          </div>
-          
-          {/* Floor System Toggle */}
-          <div className="mb-6">
-            <label className="flex items-center">
-              <input
-                type="checkbox"
-                checked={formData.has_floor_system}
-                onChange={(e) => setFormData(prev => ({ ...prev, has_floor_system: e.target.checked }))}
-                className="mr-2"
-              />
-              <span className="text-sm font-medium text-gray-700">
-                Isticmaal nidaamka dabaqyada (Floor System)
-              </span>
-            </label>
-            <p className="text-xs text-gray-500 mt-1">
-              Haddii aad doorato, waxaad awood u yeelan doontaa inaad u qaybiiso gurigaaga dabaqyo kala duwan oo qiimo kala duwan leh.
-            </p>
-          </div>
-          
-          {/* Total Floors */}
-          <div className="mb-6">
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Tirada dabaqyada: {formData.total_floors}
-            </label>
-            <input
-              type="range"
-              min="1"
-              max="10"
-              value={formData.total_floors}
-              onChange={(e) => handleTotalFloorsChange(parseInt(e.target.value))}
-              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-            />
-            <div className="flex justify-between text-xs text-gray-500 mt-1">
-              <span>1 dabaq</span>
-              <span>10 dabaq</span>
-            </div>
-          </div>
-          
-          {/* Submit Button */}
-          <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
-            <Link
-              to="/owner/dashboard"
-              className="px-6 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 transition-colors"
-            >
-              Jooji
-            </Link>
-            <motion.button
-              type="submit"
-              disabled={saving}
-              className={`px-6 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors flex items-center space-x-2 ${
-                saving ? 'opacity-50 cursor-not-allowed' : ''
-              }`}
-              whileHover={{ scale: saving ? 1 : 1.05 }}
-              whileTap={{ scale: saving ? 1 : 0.95 }}
-            >
-              {saving ? (
-                <>
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                  <span>Waa la cusboonaysiinayaa...</span>
-                </>
-              ) : (
-                <>
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                  </svg>
-                  <span>Cusboonaysii Liiska</span>
-                </>
-              )}
-            </motion.button>
-          </div>
-        </form>
+        <ListingEditor
+          initialListing={initialListing}
+          apartmentId={id}
+          submitLabel="Cusboonaysii Liiska"
+          savingLabel="Waa la cusboonaysiinayaa..."
+          onSaved={handleSaved}
+        />
       </div>
     </motion.div>
   );
 };
 
+const ImportListings = () => (
+  <motion.div
+    initial={{ opacity: 0 }}
+    animate={{ opacity: 1 }}
+    transition={{ duration: 0.3 }}
+    className="max-w-5xl mx-auto px-2 sm:px-4"
+  >
+    <div className="bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 rounded-2xl shadow-2xl border border-gray-700 overflow-hidden">
+      <div className="bg-gradient-to-r from-gray-800 via-gray-700 to-gray-800 px-4 sm:px-6 py-4 sm:py-6">
+        <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">📥 Soo Geli Guryo Badan</h2>
+        <p className="text-gray-300 text-base sm:text-lg">Ku soo geli guryahaaga hal mar fayl CSV ama XLSX ah</p>
+      </div>
+
+      <ListingImport />
+    </div>
+  </motion.div>
+);
+
+const Insights = () => (
+  <motion.div
+    initial={{ opacity: 0 }}
+    animate={{ opacity: 1 }}
+    transition={{ duration: 0.3 }}
+    className="max-w-5xl mx-auto px-2 sm:px-4"
+  >
+    <div className="bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 rounded-2xl shadow-2xl border border-gray-700 overflow-hidden">
+      <div className="bg-gradient-to-r from-gray-800 via-gray-700 to-gray-800 px-4 sm:px-6 py-4 sm:py-6">
+        <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">📊 Xogta Liisaskaaga</h2>
+        <p className="text-gray-300 text-base sm:text-lg">Inta dad ah ee daawatay, kaydsaday ama kula soo xiriiray guryahaaga</p>
+      </div>
+
+      <ListingInsights />
+    </div>
+  </motion.div>
+);
+
 export default function OwnerDashboard() {
   const [activeTab, setActiveTab] = useState('my-listings');
   const navigate = useNavigate();
@@ -2228,6 +1183,10 @@ export default function OwnerDashboard() {
       setActiveTab('my-listings');
     } else if (path.includes('/reviews')) {
       setActiveTab('reviews');
+    } else if (path.includes('/import')) {
+      setActiveTab('import');
+    } else if (path.includes('/insights')) {
+      setActiveTab('insights');
     }
   }, [location]);
 
@@ -2245,6 +1204,12 @@ export default function OwnerDashboard() {
       case 'new-listing':
         navigate('/owner/dashboard/new-listing');
         break;
+      case 'import':
+        navigate('/owner/dashboard/import');
+        break;
+      case 'insights':
+        navigate('/owner/dashboard/insights');
+        break;
       default:
         navigate('/owner/dashboard');
     }
@@ -2269,7 +1234,7 @@ export default function OwnerDashboard() {
             <nav className="-mb-px flex" aria-label="Tabs">
               <button
                 onClick={() => handleTabClick('my-listings')}
-                className={`w-1/3 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
+                className={`w-1/5 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
                   activeTab === 'my-listings'
                     ? 'border-green-600 text-green-600'
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
@@ -2280,7 +1245,7 @@ export default function OwnerDashboard() {
               </button>
               <button
                 onClick={() => handleTabClick('reviews')}
-                className={`w-1/3 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
+                className={`w-1/5 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
                   activeTab === 'reviews'
                     ? 'border-green-600 text-green-600'
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
@@ -2290,7 +1255,7 @@ export default function OwnerDashboard() {
               </button>
               <button
                 onClick={() => handleTabClick('new-listing')}
-                className={`w-1/3 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
+                className={`w-1/5 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
                   activeTab === 'new-listing'
                     ? 'border-green-600 text-green-600'
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
@@ -2299,6 +1264,27 @@ export default function OwnerDashboard() {
                 <span className="hidden sm:inline">Create Listing</span>
                 <span className="sm:hidden">Create</span>
               </button>
+              <button
+                onClick={() => handleTabClick('import')}
+                className={`w-1/5 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
+                  activeTab === 'import'
+                    ? 'border-green-600 text-green-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <span className="hidden sm:inline">Bulk Import</span>
+                <span className="sm:hidden">Import</span>
+              </button>
+              <button
+                onClick={() => handleTabClick('insights')}
+                className={`w-1/5 py-3 sm:py-4 px-1 text-center border-b-2 font-medium text-xs sm:text-sm ${
+                  activeTab === 'insights'
+                    ? 'border-green-600 text-green-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Insights
+              </button>
             </nav>
           </div>
           <div className="p-3 sm:p-6">
@@ -2307,6 +1293,8 @@ export default function OwnerDashboard() {
               <Route path="reviews" element={<Reviews />} />
               <Route path="new-listing" element={<NewListing />} />
               <Route path="edit-listing/:id" element={<EditListing />} />
+              <Route path="import" element={<ImportListings />} />
+              <Route path="insights" element={<Insights />} />
             </Routes>
           </div>
         </div>
@@ -4,6 +4,10 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { supabase, getProfileImageUrl } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { MOGADISHU_DISTRICTS } from '../utils/districts';
+import { SAVED_SEARCH_PARAMS, describeSearchFilters, normalizeSearchFilters, savedSearchUrl } from '../utils/savedSearches';
+import { fetchRecentlyViewedApartments, clearRecentlyViewed } from '../utils/recentlyViewed';
+import { getImageUrl } from '../utils/imageUtils';
 
 export default function UserProfile() {
   const { 
@@ -560,6 +564,22 @@ export default function UserProfile() {
                 >
                   Saved
                 </button>
+                <button
+                  onClick={() => setActiveTab('searches')}
+                  className={`flex-shrink-0 px-4 py-2 rounded-md ${
+                    activeTab === 'searches' ? 'bg-slate-700 shadow-inner' : 'bg-slate-800/50'
+                  }`}
+                >
+                  Alerts
+                </button>
+                <button
+                  onClick={() => setActiveTab('history')}
+                  className={`flex-shrink-0 px-4 py-2 rounded-md ${
+                    activeTab === 'history' ? 'bg-slate-700 shadow-inner' : 'bg-slate-800/50'
+                  }`}
+                >
+                  History
+                </button>
                 <button
                   onClick={() => setActiveTab('messages')}
                   className={`flex-shrink-0 px-4 py-2 rounded-md ${
@@ -604,6 +624,22 @@ export default function UserProfile() {
                 >
                   Saved Apartments
                 </button>
+                <button
+                  onClick={() => setActiveTab('searches')}
+                  className={`block w-full px-4 py-2 rounded-md text-left ${
+                    activeTab === 'searches' ? 'bg-slate-700 shadow-inner' : 'hover:bg-slate-700/50'
+                  }`}
+                >
+                  Saved Searches & Alerts
+                </button>
+                <button
+                  onClick={() => setActiveTab('history')}
+                  className={`block w-full px-4 py-2 rounded-md text-left ${
+                    activeTab === 'history' ? 'bg-slate-700 shadow-inner' : 'hover:bg-slate-700/50'
+                  }`}
+                >
+                  Recently Viewed
+                </button>
                 <button
                   onClick={() => setActiveTab('messages')}
                   className={`block w-full px-4 py-2 rounded-md text-left ${
@@ -848,6 +884,32 @@ export default function UserProfile() {
                   </motion.div>
                 )}
                 
+                {activeTab === 'searches' && (
+                  <motion.div
+                    key="searches"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0 }}
+                    transition={{ duration: 0.3 }}
+                  >
+                    <h3 className="text-xl md:text-2xl font-semibold mb-4 md:mb-6">Saved Searches & Alerts</h3>
+                    <SavedSearchesTab userId={user.id} />
+                  </motion.div>
+                )}
+                
+                {activeTab === 'history' && (
+                  <motion.div
+                    key="history"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0 }}
+                    transition={{ duration: 0.3 }}
+                  >
+                    <h3 className="text-xl md:text-2xl font-semibold mb-4 md:mb-6">Recently Viewed</h3>
+                    <RecentlyViewedTab userId={user.id} />
+                  </motion.div>
+                )}
+                
                 {activeTab === 'messages' && (
                   <motion.div
                     key="messages"
@@ -2013,4 +2075,510 @@ const MessagesTab = ({ userId }) => {
       </div>
     </div>
   );
-}; 
\ No newline at end of file
+}; 
+
+// Saved searches tab - alert settings for saved Home searches and the notifications they produced
+const SavedSearchesTab = ({ userId }) => {
+  const { markNotificationsAsRead } = useAuth();
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSavedSearches = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        
+        const [searchesResult, notificationsResult] = await Promise.all([
+          supabase
+            .from('saved_searches')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false }),
+          supabase
+            .from('notifications')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(20)
+        ]);
+        
+        if (searchesResult.error) throw searchesResult.error;
+        if (notificationsResult.error) throw notificationsResult.error;
+        
+        setSavedSearches(searchesResult.data || []);
+        setNotifications(notificationsResult.data || []);
+        
+        // Opening the tab counts as reading the alerts; the list keeps showing which were new
+        if ((notificationsResult.data || []).some(notification => !notification.is_read)) {
+          markNotificationsAsRead();
+        }
+      } catch (error) {
+        console.error('Error fetching saved searches:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchSavedSearches();
+  }, [userId, markNotificationsAsRead]);
+
+  const startEditing = (search) => {
+    setEditingId(search.id);
+    setEditForm({
+      name: search.name,
+      q: search.filters.q || '',
+      district: search.filters.district || '',
+      minPrice: search.filters.minPrice || '',
+      maxPrice: search.filters.maxPrice || '',
+      minRooms: search.filters.minRooms || '',
+      furnished: search.filters.furnished || '',
+      notify_instant: search.notify_instant,
+      digest_frequency: search.digest_frequency
+    });
+  };
+
+  const handleSaveEdit = async (search) => {
+    try {
+      setSaving(true);
+      
+      // Keep the sort order the search was saved with; drop cleared and invalid filters
+      const filters = normalizeSearchFilters(SAVED_SEARCH_PARAMS.reduce((result, param) => {
+        result[param] = param in editForm ? editForm[param] : search.filters[param];
+        return result;
+      }, {}));
+      
+      const updates = {
+        name: editForm.name.trim() || describeSearchFilters(filters),
+        filters,
+        notify_instant: editForm.notify_instant,
+        digest_frequency: editForm.digest_frequency,
+        updated_at: new Date().toISOString()
+      };
+      
+      const { error } = await supabase
+        .from('saved_searches')
+        .update(updates)
+        .eq('id', search.id);
+      
+      if (error) throw error;
+      
+      setSavedSearches(prev => prev.map(item => item.id === search.id ? { ...item, ...updates } : item));
+      setEditingId(null);
+      setEditForm(null);
+    } catch (error) {
+      console.error('Error updating saved search:', error);
+      alert('Failed to update saved search. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (searchId) => {
+    if (!confirm('Delete this saved search? You will no longer be notified about new matches.')) return;
+    
+    try {
+      const { error } = await supabase
+        .from('saved_searches')
+        .delete()
+        .eq('id', searchId);
+      
+      if (error) throw error;
+      
+      setSavedSearches(prev => prev.filter(item => item.id !== searchId));
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+      alert('Failed to delete saved search. Please try again.');
+    }
+  };
+
+  const handleClearNotifications = async () => {
+    try {
+      const { error } = await supabase
+        .from('notifications')
+        .delete()
+        .eq('user_id', userId);
+      
+      if (error) throw error;
+      
+      setNotifications([]);
+    } catch (error) {
+      console.error('Error clearing notifications:', error);
+      alert('Failed to clear notifications. Please try again.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+        {error}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Notifications */}
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-lg font-medium text-gray-900">Notifications</h4>
+          {notifications.length > 0 && (
+            <button
+              onClick={handleClearNotifications}
+              className="text-sm text-red-600 hover:text-red-700"
+            >
+              Clear all
+            </button>
+          )}
+        </div>
+        
+        {notifications.length === 0 ? (
+          <p className="text-gray-500 text-sm bg-gray-50 rounded-lg p-4">
+            No notifications yet. We will let you know here when a new apartment matches one of your saved searches.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+            {notifications.map(notification => (
+              <li
+                key={notification.id}
+                className={notification.is_read ? 'bg-white' : 'bg-blue-50'}
+              >
+                <Link to={notification.link || '/'} className="block p-3 hover:bg-gray-50 transition-colors">
+                  <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                  {notification.body && (
+                    <p className="text-sm text-gray-600">{notification.body}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-1">
+                    {new Date(notification.created_at).toLocaleString()}
+                  </p>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
+      {/* Saved searches */}
+      <div>
+        <h4 className="text-lg font-medium text-gray-900 mb-3">Saved Searches</h4>
+        
+        {savedSearches.length === 0 ? (
+          <div className="bg-gray-50 rounded-lg p-6 text-center">
+            <p className="text-gray-500">
+              You haven't saved any searches yet. Set filters on the home page and press "Kaydi Raadintan" to get alerts about new listings.
+            </p>
+            <Link
+              to="/"
+              className="mt-4 inline-block text-primary-600 hover:text-primary-700"
+            >
+              Browse Apartments
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {savedSearches.map(search => (
+              <div key={search.id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                {editingId === search.id ? (
+                  <div className="space-y-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Name</label>
+                      <input
+                        type="text"
+                        value={editForm.name}
+                        onChange={(e) => setEditForm(prev => ({ ...prev, name: e.target.value }))}
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                      />
+                    </div>
+                    
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Search text</label>
+                      <input
+                        type="text"
+                        value={editForm.q}
+                        onChange={(e) => setEditForm(prev => ({ ...prev, q: e.target.value }))}
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                      />
+                    </div>
+                    
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">District</label>
+                        <select
+                          value={editForm.district}
+                          onChange={(e) => setEditForm(prev => ({ ...prev, district: e.target.value }))}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                        >
+                          <option value="">Any district</option>
+                          {MOGADISHU_DISTRICTS.map(district => (
+                            <option key={district} value={district}>{district}</option>
+                          ))}
+                        </select>
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Bedrooms</label>
+                        <select
+                          value={editForm.minRooms}
+                          onChange={(e) => setEditForm(prev => ({ ...prev, minRooms: e.target.value }))}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                        >
+                          <option value="">Any</option>
+                          {[1, 2, 3, 4, 5].map(rooms => (
+                            <option key={rooms} value={rooms}>{rooms}+</option>
+                          ))}
+                        </select>
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Min price ($)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={editForm.minPrice}
+                          onChange={(e) => setEditForm(prev => ({ ...prev, minPrice: e.target.value }))}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                        />
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Max price ($)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={editForm.maxPrice}
+                          onChange={(e) => setEditForm(prev => ({ ...prev, maxPrice: e.target.value }))}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                        />
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Furnished</label>
+                        <select
+                          value={editForm.furnished}
+                          onChange={(e) => setEditForm(prev => ({ ...prev, furnished: e.target.value }))}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                        >
+                          <option value="">Any</option>
+                          <option value="true">Furnished</option>
+                          <option value="false">Unfurnished</option>
+                        </select>
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Digest</label>
+                        <select
+                          value={editForm.digest_frequency}
+                          onChange={(e) => setEditForm(prev => ({ ...prev, digest_frequency: e.target.value }))}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 text-sm"
+                        >
+                          <option value="none">No digest</option>
+                          <option value="daily">Daily</option>
+                          <option value="weekly">Weekly</option>
+                        </select>
+                      </div>
+                    </div>
+                    
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={editForm.notify_instant}
+                        onChange={(e) => setEditForm(prev => ({ ...prev, notify_instant: e.target.checked }))}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span>Notify me as soon as a matching apartment is published</span>
+                    </label>
+                    
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={() => {
+                          setEditingId(null);
+                          setEditForm(null);
+                        }}
+                        className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => handleSaveEdit(search)}
+                        disabled={saving}
+                        className="px-3 py-1.5 text-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-md"
+                      >
+                        {saving ? 'Saving...' : 'Save'}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <h5 className="font-medium text-gray-900 truncate">{search.name}</h5>
+                      <p className="text-sm text-gray-500">{describeSearchFilters(search.filters)}</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {search.notify_instant ? 'Instant alerts' : 'No instant alerts'}
+                        {search.digest_frequency !== 'none' && ` · ${search.digest_frequency === 'daily' ? 'Daily' : 'Weekly'} digest`}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2 flex-shrink-0">
+                      <Link
+                        to={savedSearchUrl(search.filters)}
+                        className="px-3 py-1.5 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-md"
+                      >
+                        View results
+                      </Link>
+                      <button
+                        onClick={() => startEditing(search)}
+                        className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(search.id)}
+                        className="px-3 py-1.5 text-sm text-red-600 bg-red-50 hover:bg-red-100 rounded-md"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Recently viewed tab - apartments the user opened, newest first
+const RecentlyViewedTab = ({ userId }) => {
+  const [apartments, setApartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [clearing, setClearing] = useState(false);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        
+        const data = await fetchRecentlyViewedApartments(userId);
+        setApartments(data);
+      } catch (error) {
+        console.error('Error fetching recently viewed apartments:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchHistory();
+  }, [userId]);
+
+  const handleClearHistory = async () => {
+    if (!window.confirm('Clear your viewing history?')) return;
+    
+    try {
+      setClearing(true);
+      await clearRecentlyViewed(userId);
+      setApartments([]);
+    } catch (error) {
+      console.error('Error clearing recently viewed apartments:', error);
+      alert('Failed to clear history. Please try again.');
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 text-red-700 p-4 rounded-md">
+        {error}
+      </div>
+    );
+  }
+
+  if (apartments.length === 0) {
+    return (
+      <div className="bg-gray-50 rounded-lg p-6 text-center">
+        <p className="text-gray-500">Apartments you open will show up here.</p>
+        <Link
+          to="/"
+          className="mt-4 inline-block text-primary-600 hover:text-primary-700"
+        >
+          Browse Apartments
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-end mb-3">
+        <button
+          onClick={handleClearHistory}
+          disabled={clearing}
+          className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+        >
+          {clearing ? 'Clearing...' : 'Clear history'}
+        </button>
+      </div>
+      
+      <ul className="space-y-3">
+        {apartments.map(apartment => {
+          const image = apartment.apartment_images?.find(img => img.is_primary) || apartment.apartment_images?.[0];
+          
+          return (
+            <li key={apartment.id}>
+              <Link
+                to={`/apartments/${apartment.id}`}
+                className="flex bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden hover:shadow-md transition-shadow"
+              >
+                <img
+                  src={getImageUrl(image?.storage_path)}
+                  alt={apartment.title}
+                  className="w-24 h-20 md:w-32 md:h-24 object-cover flex-shrink-0"
+                  onError={(e) => { e.target.src = '/images/placeholder-apartment.svg'; }}
+                />
+                <div className="p-3 min-w-0">
+                  <h4 className="font-medium text-gray-900 truncate">{apartment.title}</h4>
+                  <p className="text-sm text-gray-500 truncate">
+                    {apartment.district}{apartment.location_description ? ` - ${apartment.location_description}` : ''}
+                  </p>
+                  <p className="text-sm text-gray-700">
+                    <span className="font-semibold">${apartment.price_per_month}</span>/month
+                    {!apartment.is_available && <span className="ml-2 text-red-600">Not available</span>}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Viewed {new Date(apartment.viewed_at).toLocaleString()}
+                  </p>
+                </div>
+              </Link>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
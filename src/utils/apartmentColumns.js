@@ -0,0 +1,22 @@
+// Columns needed to render an ApartmentCard (Home results, similar apartments)
+export const APARTMENT_CARD_COLUMNS = `
+  id,
+  title,
+  description,
+  location_description,
+  district,
+  rooms,
+  bathrooms,
+  price_per_month,
+  is_furnished,
+  amenities,
+  is_available,
+  last_price_drop_at,
+  created_at,
+  primary_image_path,
+  owner_id,
+  whatsapp_number,
+  display_owner_name,
+  apartment_images(storage_path, thumbnail_path, is_primary, sort_order),
+  apartment_floors(floor_number, bedrooms_on_floor, price_per_month, has_kitchen, has_living_room, floor_status, advance_months, available_from, occupied_until)
+`;
@@ -0,0 +1,19 @@
+// Mogadishu districts, shared by the Home filters, saved searches and the listing forms
+export const MOGADISHU_DISTRICTS = [
+  "Abdiaziz",
+  "Bondhere",
+  "Daynile",
+  "Dharkenley",
+  "Hamar Jajab",
+  "Hamar Weyne",
+  "Hodan",
+  "Howl Wadaag",
+  "Huriwa",
+  "Karan",
+  "Shangani",
+  "Shibis",
+  "Waberi",
+  "Wadajir",
+  "Warta Nabada",
+  "Yaqshid"
+];
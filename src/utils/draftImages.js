@@ -0,0 +1,75 @@
+// Photos picked for a draft listing are kept in IndexedDB until the draft is
+// published, so they survive a dropped connection or a closed tab. One record
+// per draft holds the files in display order and which one is primary.
+const DB_NAME = 'listing_drafts';
+const DB_VERSION = 1;
+const STORE_NAME = 'draft_images';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (!('indexedDB' in window)) {
+    reject(new Error('IndexedDB is not supported in this browser'));
+    return;
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'draftId' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run a single request against the draft images store
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Store the photos queued for a draft, replacing what was stored before
+ * @param {string} draftId - The draft apartment's ID
+ * @param {File[]} files - Photos in display order
+ * @param {number} primaryImageIndex - Index of the primary photo
+ * @returns {Promise<void>}
+ */
+export const saveDraftImages = async (draftId, files, primaryImageIndex = 0) => {
+  await withStore('readwrite', store => store.put({
+    draftId,
+    files,
+    primaryImageIndex,
+    savedAt: new Date().toISOString()
+  }));
+};
+
+/**
+ * Photos queued for a draft
+ * @param {string} draftId - The draft apartment's ID
+ * @returns {Promise<{files: File[], primaryImageIndex: number}>}
+ */
+export const loadDraftImages = async (draftId) => {
+  const record = await withStore('readonly', store => store.get(draftId));
+  return {
+    files: record?.files || [],
+    primaryImageIndex: record?.primaryImageIndex || 0
+  };
+};
+
+/**
+ * Forget the photos queued for a draft (after publishing or discarding it)
+ * @param {string} draftId - The draft apartment's ID
+ * @returns {Promise<void>}
+ */
+export const deleteDraftImages = async (draftId) => {
+  await withStore('readwrite', store => store.delete(draftId));
+};
@@ -0,0 +1,77 @@
+// Availability dates of floors (see floor_availability.sql). Dates are
+// 'YYYY-MM-DD' strings, as stored in the DATE columns and used by date inputs,
+// so they compare correctly as plain strings.
+
+/**
+ * A date as 'YYYY-MM-DD' in the browser's time zone
+ * @param {Date} date - The date, today by default
+ * @returns {string}
+ */
+export const toDateString = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Add days to a 'YYYY-MM-DD' date
+ * @param {string} dateString - The date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return toDateString(new Date(year, month - 1, day + days));
+};
+
+/**
+ * First day a floor can be rented. Mirrors floor_available_date in SQL: today
+ * for available floors (or their available_from if later), otherwise
+ * available_from or the day after occupied_until.
+ * @param {Object} floor - apartment_floors row
+ * @param {string} today - Today as 'YYYY-MM-DD'
+ * @returns {string|null} - null when an unavailable floor has no date
+ */
+export const floorAvailableDate = (floor, today = toDateString()) => {
+  if (floor.floor_status === 'available') {
+    return floor.available_from && floor.available_from > today ? floor.available_from : today;
+  }
+  if (floor.available_from) return floor.available_from;
+  if (floor.occupied_until) return addDays(floor.occupied_until, 1);
+  return null;
+};
+
+/**
+ * Columns to write when an owner changes a floor's status by hand. Marking a
+ * floor available makes its scheduled dates meaningless, so they are cleared.
+ * @param {string} floorStatus - The new floor_status
+ * @returns {Object}
+ */
+export const floorStatusUpdate = (floorStatus) => (
+  floorStatus === 'available'
+    ? { floor_status: floorStatus, available_from: null, occupied_until: null }
+    : { floor_status: floorStatus }
+);
+
+/**
+ * Expected status of a floor on a given day, for the occupancy calendar
+ * @param {Object} floor - apartment_floors row
+ * @param {string} dateString - The day as 'YYYY-MM-DD'
+ * @param {string} today - Today as 'YYYY-MM-DD'
+ * @returns {string} - A floor_status value
+ */
+export const floorStatusOn = (floor, dateString, today = toDateString()) => {
+  const availableDate = floorAvailableDate(floor, today);
+  if (availableDate && dateString >= availableDate) return 'available';
+  return floor.floor_status === 'available' ? 'not_available' : floor.floor_status;
+};
+
+/**
+ * Short date for availability labels, e.g. "1 Dec"
+ * @param {string} dateString - The date as 'YYYY-MM-DD'
+ * @returns {string}
+ */
+export const formatAvailabilityDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+};
@@ -0,0 +1,42 @@
+import { floorAvailableDate } from './floorAvailability';
+
+// Home query params that filter on a single available floor rather than on the
+// apartment totals (see apartment_floor_matches_filters in search_apartments.sql)
+export const FLOOR_FILTER_PARAMS = ['floorBedrooms', 'floorMaxPrice', 'kitchen', 'livingRoom', 'maxAdvance', 'availableBy'];
+
+/**
+ * Whether any floor-level filter is set
+ * @param {Object} filters - Filters keyed by query param name
+ * @returns {boolean}
+ */
+export const hasFloorFilters = (filters = {}) => {
+  return FLOOR_FILTER_PARAMS.some(param => Boolean(filters[param]));
+};
+
+/**
+ * Floors of an apartment that satisfy the floor-level filters on their own.
+ * Mirrors the SQL check so cards can show why a listing matched.
+ * @param {Array} floors - The apartment's apartment_floors rows
+ * @param {Object} filters - Filters keyed by query param name
+ * @returns {Array} - Matching floors ordered by floor number
+ */
+export const getMatchingFloors = (floors = [], filters = {}) => {
+  return floors
+    .filter(floor => {
+      // With an "available by" date the floor only has to be free by then
+      if (filters.availableBy) {
+        const availableDate = floorAvailableDate(floor);
+        if (!availableDate || availableDate > filters.availableBy) return false;
+      } else if (floor.floor_status !== 'available') {
+        return false;
+      }
+      if (filters.floorBedrooms && floor.bedrooms_on_floor < parseInt(filters.floorBedrooms)) return false;
+      if (filters.floorMaxPrice && parseFloat(floor.price_per_month) > parseFloat(filters.floorMaxPrice)) return false;
+      if (filters.kitchen && floor.has_kitchen !== (filters.kitchen === 'true')) return false;
+      if (filters.livingRoom && floor.has_living_room !== (filters.livingRoom === 'true')) return false;
+      // Floors that do not say how many months are paid upfront never match
+      if (filters.maxAdvance && (floor.advance_months == null || floor.advance_months > parseInt(filters.maxAdvance))) return false;
+      return true;
+    })
+    .sort((a, b) => a.floor_number - b.floor_number);
+};
@@ -0,0 +1,85 @@
+// Resizing and re-encoding of listing photos. Used inside the image worker, and
+// on the main thread in browsers that cannot draw to a canvas in a worker.
+// Drawing a photo to a canvas and encoding the canvas keeps only the pixels, so
+// EXIF metadata (GPS position, camera details) never reaches storage.
+
+export const IMAGE_MAX_DIMENSION = 1920;
+export const IMAGE_QUALITY = 0.82;
+export const THUMBNAIL_MAX_DIMENSION = 480;
+export const THUMBNAIL_QUALITY = 0.7;
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToBlob = (canvas, type, quality) => {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Could not encode image'));
+      }
+    }, type, quality);
+  });
+};
+
+// WebP where the browser can encode it, JPEG otherwise. Browsers without a
+// WebP encoder silently return PNG, so the result's type is checked.
+const encodeCanvas = async (canvas, quality) => {
+  const webp = await canvasToBlob(canvas, 'image/webp', quality);
+  if (webp.type === 'image/webp') return webp;
+
+  return canvasToBlob(canvas, 'image/jpeg', quality);
+};
+
+// Scale down (never up) so the longest side fits within maxDimension
+const fitWithin = (width, height, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+const renderVariant = async (bitmap, maxDimension, quality) => {
+  const { width, height } = fitWithin(bitmap.width, bitmap.height, maxDimension);
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+
+  // Transparent areas would turn black in a JPEG
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+
+  return encodeCanvas(canvas, quality);
+};
+
+/**
+ * Encode the upload-sized photo and its thumbnail, without metadata
+ * @param {Blob} source - The photo picked by the owner
+ * @returns {Promise<{image: Blob, thumbnail: Blob}>}
+ */
+export const encodeImageVariants = async (source) => {
+  // Apply the EXIF orientation now, since the re-encoded file won't carry it
+  const bitmap = await createImageBitmap(source, { imageOrientation: 'from-image' });
+
+  try {
+    const image = await renderVariant(bitmap, IMAGE_MAX_DIMENSION, IMAGE_QUALITY);
+    const thumbnail = await renderVariant(bitmap, THUMBNAIL_MAX_DIMENSION, THUMBNAIL_QUALITY);
+    return { image, thumbnail };
+  } finally {
+    bitmap.close();
+  }
+};
@@ -0,0 +1,83 @@
+import { encodeImageVariants } from './imageEncoding';
+
+// Photos are resized and re-encoded before upload: in a worker when the browser
+// supports OffscreenCanvas, on the main thread otherwise.
+const canUseWorker = typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof createImageBitmap !== 'undefined';
+
+let worker = null;
+let nextJobId = 0;
+const pendingJobs = new Map();
+
+const failPendingJobs = (error) => {
+  pendingJobs.forEach(({ reject }) => reject(error));
+  pendingJobs.clear();
+};
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('../workers/imageProcessor.worker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (event) => {
+    const { id, image, thumbnail, error } = event.data;
+    const job = pendingJobs.get(id);
+    if (!job) return;
+
+    pendingJobs.delete(id);
+    if (error) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve({ image, thumbnail });
+    }
+  };
+
+  // A worker that failed to start is dropped, so the next photo gets a new one
+  worker.onerror = (event) => {
+    console.error('Image worker error:', event.message);
+    worker.terminate();
+    worker = null;
+    failPendingJobs(new Error(event.message || 'Image worker failed'));
+  };
+
+  return worker;
+};
+
+const encodeInWorker = (file) => new Promise((resolve, reject) => {
+  const id = ++nextJobId;
+  pendingJobs.set(id, { resolve, reject });
+  getWorker().postMessage({ id, file });
+});
+
+const extensionFor = (blob) => (blob.type === 'image/webp' ? 'webp' : 'jpg');
+
+/**
+ * Prepare a photo for upload: downsize it, re-encode it as WebP (or JPEG) and
+ * strip its metadata, plus a small thumbnail variant
+ * @param {File} file - The photo picked by the owner
+ * @returns {Promise<{image: File, thumbnail: File}>}
+ * @throws {Error} When the browser cannot decode the photo
+ */
+export const processImage = async (file) => {
+  let variants = null;
+
+  if (canUseWorker) {
+    try {
+      variants = await encodeInWorker(file);
+    } catch (error) {
+      console.warn('Image worker failed, processing on the main thread:', error);
+    }
+  }
+
+  if (!variants) {
+    variants = await encodeImageVariants(file);
+  }
+
+  const baseName = (file.name || 'photo').replace(/\.[^.]+$/, '');
+
+  return {
+    image: new File([variants.image], `${baseName}.${extensionFor(variants.image)}`, { type: variants.image.type }),
+    thumbnail: new File([variants.thumbnail], `${baseName}-thumb.${extensionFor(variants.thumbnail)}`, { type: variants.thumbnail.type })
+  };
+};
@@ -91,6 +91,59 @@ export const getImageUrl = (path, options = {}) => {
   }
 };
 
+/**
+ * Apartment images in the order the owner arranged them. Images saved before
+ * ordering existed all have sort_order 0 and keep their original order.
+ * @param {Array} images - apartment_images rows
+ * @returns {Array} A sorted copy of the images
+ */
+export const sortApartmentImages = (images) => {
+  return [...(images || [])].sort((a, b) => (a?.sort_order ?? 0) - (b?.sort_order ?? 0));
+};
+
+/**
+ * Delete apartment images: their rows, then their files (full size and
+ * thumbnail) in storage, so no orphaned files are left in the bucket
+ * @param {string[]} imageIds - apartment_images IDs
+ * @returns {Promise<void>}
+ */
+export const deleteApartmentImages = async (imageIds) => {
+  if (!imageIds || imageIds.length === 0) return;
+
+  const { data: images, error: fetchError } = await supabase
+    .from('apartment_images')
+    .select('storage_path, thumbnail_path')
+    .in('id', imageIds);
+
+  if (fetchError) {
+    console.error('Error fetching images to delete:', fetchError);
+  }
+
+  const { error: deleteError } = await supabase
+    .from('apartment_images')
+    .delete()
+    .in('id', imageIds);
+
+  if (deleteError) {
+    console.error('Error deleting images:', deleteError);
+    return;
+  }
+
+  const paths = (images || [])
+    .flatMap(image => [image.storage_path, image.thumbnail_path])
+    .filter(path => path && !path.startsWith('http'));
+
+  if (paths.length > 0) {
+    const { error: removeError } = await supabase.storage
+      .from('apartment_images')
+      .remove(paths);
+
+    if (removeError) {
+      console.error('Error removing image files:', removeError);
+    }
+  }
+};
+
 /**
  * Fast preload images with priority and batching
  * @param {string[]} imagePaths - Array of image paths to preload
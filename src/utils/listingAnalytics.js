@@ -0,0 +1,67 @@
+import { supabase } from '../lib/supabase';
+
+// Listing events for the owner Insights tab (see listing_analytics.sql)
+const VISITOR_ID_STORAGE_KEY = 'listing_visitor_id';
+
+// Event types and the daily count column each one ends up in
+export const LISTING_EVENT_TYPES = {
+  view: 'views',
+  whatsapp_click: 'whatsapp_clicks',
+  save: 'saves',
+  message_start: 'message_starts'
+};
+
+// Random id that lets the database ignore repeats from the same browser
+const getVisitorId = () => {
+  try {
+    let visitorId = localStorage.getItem(VISITOR_ID_STORAGE_KEY);
+    if (!visitorId) {
+      visitorId = crypto.randomUUID();
+      localStorage.setItem(VISITOR_ID_STORAGE_KEY, visitorId);
+    }
+    return visitorId;
+  } catch (e) {
+    console.warn('Could not read the visitor id from localStorage:', e);
+    return null;
+  }
+};
+
+/**
+ * Record a view, WhatsApp click, save or message start on a listing. Failures
+ * are only logged: analytics must never get in the way of the visitor.
+ * @param {string} apartmentId - The listing's ID
+ * @param {string} eventType - A key of LISTING_EVENT_TYPES
+ * @returns {Promise<void>}
+ */
+export const recordListingEvent = async (apartmentId, eventType) => {
+  if (!apartmentId) return;
+
+  const { error } = await supabase.rpc('record_listing_event', {
+    p_apartment_id: apartmentId,
+    p_event_type: eventType,
+    p_visitor_id: getVisitorId()
+  });
+
+  if (error) console.error(`Error recording listing ${eventType}:`, error);
+};
+
+/**
+ * Daily event counts of the signed-in owner's listings
+ * @param {number} days - How many days back, today included
+ * @returns {Promise<Object<string, Object<string, Object>>>} - Counts keyed by
+ *   apartment ID, then by day ('YYYY-MM-DD')
+ */
+export const fetchListingInsights = async (days = 30) => {
+  const { data, error } = await supabase.rpc('listing_insights', { p_days: days });
+  if (error) throw error;
+
+  // A day can come back twice (aggregated and raw) before the nightly job runs
+  return (data || []).reduce((insights, row) => {
+    const listingDays = insights[row.apartment_id] || (insights[row.apartment_id] = {});
+    const counts = listingDays[row.day] || (listingDays[row.day] = { views: 0, whatsapp_clicks: 0, saves: 0, message_starts: 0 });
+    Object.values(LISTING_EVENT_TYPES).forEach(column => {
+      counts[column] += row[column];
+    });
+    return insights;
+  }, {});
+};
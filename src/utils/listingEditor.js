@@ -0,0 +1,491 @@
+import { supabase, uploadApartmentImage } from '../lib/supabase';
+import { sortApartmentImages, deleteApartmentImages } from './imageUtils';
+import { saveDraftImages } from './draftImages';
+
+// Shared schema, validation and save pipeline for the create and edit listing
+// flows in OwnerDashboard, so both always handle the same fields the same way.
+
+// Most images and floors a listing can have
+export const MAX_LISTING_IMAGES = 10;
+export const MAX_LISTING_FLOORS = 10;
+
+// Photo uploads are tried this many times, backing off from the base delay
+const IMAGE_UPLOAD_ATTEMPTS = 3;
+const IMAGE_RETRY_BASE_DELAY = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Floor statuses an owner can pick, with their Somali labels
+export const FLOOR_STATUS_OPTIONS = [
+  { value: 'available', label: 'La Kireyn Karaa' },
+  { value: 'not_available', label: 'Lama Heli Karo' },
+  { value: 'occupied', label: 'La Kireeyay' },
+  { value: 'maintenance', label: 'Dayactir' }
+];
+
+/**
+ * Blank floor for the floor editor
+ * @param {number} floorNumber - 1-based floor number
+ * @param {Object} overrides - Field values to use instead of the defaults
+ * @returns {Object} - Floor form values
+ */
+export const createFloor = (floorNumber, overrides = {}) => ({
+  floor_number: floorNumber,
+  bedrooms_on_floor: 1,
+  bathrooms_on_floor: 1,
+  has_kitchen: true,
+  has_living_room: true,
+  has_master_room: false,
+  price_per_month: '',
+  floor_description: '',
+  floor_status: 'available',
+  // Lease terms; blank month counts mean the owner did not say
+  deposit_months: '',
+  advance_months: '',
+  min_lease_months: '',
+  water_included: false,
+  electricity_included: false,
+  // When an unavailable floor frees up, as 'YYYY-MM-DD' (see floor_availability.sql)
+  available_from: '',
+  occupied_until: '',
+  ...overrides
+});
+
+// Allowed month counts for the lease terms (see lease_terms.sql)
+export const LEASE_MONTH_LIMITS = {
+  deposit_months: { min: 0, max: 24 },
+  advance_months: { min: 0, max: 24 },
+  min_lease_months: { min: 1, max: 120 }
+};
+
+// Lease-term fields of a floor, copied to the floors added above it
+const LEASE_TERM_FIELDS = ['deposit_months', 'advance_months', 'min_lease_months', 'water_included', 'electricity_included'];
+
+// Month counts are kept as strings in the form, like the price
+const monthsToForm = (months) => (months === null || months === undefined ? '' : months.toString());
+const monthsFromForm = (months) => (months === '' || months === null || months === undefined ? null : parseInt(months));
+
+/**
+ * Blank listing for the create flow
+ * @returns {{form: Object, floors: Array, images: Array, primaryImageIndex: number}}
+ */
+export const createEmptyListing = () => ({
+  form: {
+    title: '',
+    description: '',
+    location_description: '',
+    district: '',
+    latitude: null,
+    longitude: null,
+    is_furnished: false,
+    has_floor_system: true,
+    amenities: [],
+    whatsapp_number: '',
+    display_owner_name: ''
+  },
+  floors: [createFloor(1)],
+  images: [],
+  primaryImageIndex: 0
+});
+
+/**
+ * Editor values for an existing apartment
+ * @param {Object} apartment - Apartment row with apartment_images
+ * @param {Array} floors - The apartment's apartment_floors rows
+ * @returns {{form: Object, floors: Array, images: Array, primaryImageIndex: number}}
+ */
+export const listingFromApartment = (apartment, floors = []) => {
+  const images = sortApartmentImages(apartment.apartment_images);
+
+  return {
+    form: {
+      title: apartment.title || '',
+      description: apartment.description || '',
+      location_description: apartment.location_description || '',
+      district: apartment.district || '',
+      latitude: apartment.latitude ?? null,
+      longitude: apartment.longitude ?? null,
+      is_furnished: apartment.is_furnished || false,
+      has_floor_system: apartment.has_floor_system ?? true,
+      amenities: apartment.amenities || [],
+      whatsapp_number: apartment.whatsapp_number || '',
+      display_owner_name: apartment.display_owner_name || ''
+    },
+    floors: floors.length > 0
+      ? [...floors]
+          .sort((a, b) => a.floor_number - b.floor_number)
+          .map(floor => createFloor(floor.floor_number, {
+            id: floor.id,
+            bedrooms_on_floor: floor.bedrooms_on_floor,
+            bathrooms_on_floor: floor.bathrooms_on_floor,
+            has_kitchen: floor.has_kitchen,
+            has_living_room: floor.has_living_room,
+            has_master_room: floor.has_master_room || false,
+            // Drafts store a missing price as 0
+            price_per_month: floor.price_per_month ? floor.price_per_month.toString() : '',
+            floor_description: floor.floor_description || '',
+            floor_status: floor.floor_status,
+            deposit_months: monthsToForm(floor.deposit_months),
+            advance_months: monthsToForm(floor.advance_months),
+            min_lease_months: monthsToForm(floor.min_lease_months),
+            water_included: floor.water_included || false,
+            electricity_included: floor.electricity_included || false,
+            available_from: floor.available_from || '',
+            occupied_until: floor.occupied_until || ''
+          }))
+      : [createFloor(1)],
+    // Images in the owner's order, with the primary one marked by index
+    images: images.map(image => ({ id: image.id, storage_path: image.storage_path })),
+    primaryImageIndex: Math.max(0, images.findIndex(image => image.is_primary))
+  };
+};
+
+/**
+ * Move an image to another position in the gallery. The primary image stays
+ * primary, wherever it ends up.
+ * @param {Array} images - Images in display order
+ * @param {number} primaryImageIndex - Index of the primary image
+ * @param {number} from - Current index of the image to move
+ * @param {number} to - Index to move it to
+ * @returns {{images: Array, primaryImageIndex: number}}
+ */
+export const moveImage = (images, primaryImageIndex, from, to) => {
+  const reordered = [...images];
+  const [moved] = reordered.splice(from, 1);
+  reordered.splice(to, 0, moved);
+
+  return {
+    images: reordered,
+    primaryImageIndex: Math.max(0, reordered.indexOf(images[primaryImageIndex]))
+  };
+};
+
+/**
+ * Grow or shrink the floor list, keeping the floors that are still in range.
+ * New floors start at the price and lease terms of the floor below them.
+ * @param {Array} floors - Current floors
+ * @param {number} total - Wanted number of floors
+ * @returns {Array} - Floors 1..total
+ */
+export const resizeFloors = (floors, total) => {
+  const resized = [];
+  for (let i = 1; i <= total; i++) {
+    const existingFloor = floors.find(floor => floor.floor_number === i);
+    const floorBelow = resized[i - 2];
+    resized.push(existingFloor || createFloor(i, {
+      price_per_month: floorBelow?.price_per_month || '',
+      ...(floorBelow ? Object.fromEntries(LEASE_TERM_FIELDS.map(field => [field, floorBelow[field]])) : {})
+    }));
+  }
+  return resized;
+};
+
+/**
+ * Somali label for a floor
+ * @param {number} floorNumber - 1-based floor number
+ * @param {number} totalFloors - Number of floors in the listing
+ * @returns {string}
+ */
+export const getFloorLabel = (floorNumber, totalFloors) => {
+  if (floorNumber === 1) return 'Dabaqda Hoose';
+  if (floorNumber === totalFloors) return `Dabaqda ${floorNumber}aad (Sare)`;
+  return `Dabaqda ${floorNumber}aad`;
+};
+
+/**
+ * Check a listing before it is saved
+ * @param {{form: Object, floors: Array, images: Array}} listing - Editor values
+ * @returns {string|null} - Somali error message, or null when the listing is valid
+ */
+export const validateListing = ({ form, floors, images }) => {
+  if (!form.title.trim()) return 'Fadlan gali magaca guriga';
+  if (!form.location_description.trim()) return 'Fadlan gali meesha guriga ku yaal';
+  if (!form.district) return 'Fadlan dooro degmada';
+  if (images.length === 0) return 'Fadlan soo geli ugu yaraan hal sawir';
+  if (images.length > MAX_LISTING_IMAGES) return `Waxaad soo gelin kartaa ugu badan ${MAX_LISTING_IMAGES} sawir`;
+  if (floors.length === 0) return 'Fadlan ku dar ugu yaraan hal dabaq';
+
+  for (let i = 0; i < floors.length; i++) {
+    const price = parseFloat(floors[i].price_per_month);
+    if (!price || price <= 0) {
+      return `Fadlan gali qiimaha dabaqda ${i + 1}`;
+    }
+
+    // Blank month counts are fine
+    const invalidMonths = Object.entries(LEASE_MONTH_LIMITS).some(([field, { min, max }]) => {
+      const months = floors[i][field];
+      return months !== '' && (!Number.isInteger(Number(months)) || Number(months) < min || Number(months) > max);
+    });
+    if (invalidMonths) {
+      return `Fadlan hubi shuruudaha kirada ee dabaqda ${i + 1}`;
+    }
+
+    const { available_from, occupied_until } = floors[i];
+    if (available_from && occupied_until && available_from <= occupied_until) {
+      return `Dabaqda ${i + 1}: taariikhda la heli karo waa inay ka dambeysaa dhammaadka kirada`;
+    }
+  }
+
+  return null;
+};
+
+// Listing fields sent to save_listing. rooms, bathrooms and the price are
+// derived from the floors in the database.
+const buildListingPayload = (form, isAdmin) => ({
+  title: form.title.trim(),
+  description: form.description.trim(),
+  location_description: form.location_description.trim(),
+  district: form.district,
+  latitude: form.latitude,
+  longitude: form.longitude,
+  is_furnished: form.is_furnished,
+  has_floor_system: form.has_floor_system,
+  amenities: form.amenities,
+  whatsapp_number: form.whatsapp_number.trim(),
+  // Only admins may set the name shown instead of the owner's
+  ...(isAdmin ? { display_owner_name: form.display_owner_name.trim() } : {})
+});
+
+// One floor for save_listing; floors with an id already exist. Incomplete
+// values (only possible in drafts) are sent as 0.
+const buildFloorPayload = (floor) => ({
+  id: floor.id || null,
+  floor_number: floor.floor_number,
+  bedrooms_on_floor: parseInt(floor.bedrooms_on_floor) || 0,
+  bathrooms_on_floor: parseInt(floor.bathrooms_on_floor) || 0,
+  has_kitchen: floor.has_kitchen,
+  has_living_room: floor.has_living_room,
+  has_master_room: floor.has_master_room,
+  price_per_month: parseFloat(floor.price_per_month) || 0,
+  floor_description: floor.floor_description.trim(),
+  floor_status: floor.floor_status,
+  deposit_months: monthsFromForm(floor.deposit_months),
+  advance_months: monthsFromForm(floor.advance_months),
+  min_lease_months: monthsFromForm(floor.min_lease_months),
+  water_included: floor.water_included,
+  electricity_included: floor.electricity_included,
+  available_from: floor.available_from || null,
+  occupied_until: floor.occupied_until || null
+});
+
+// Save the apartment row and all of its floors in one transaction (see save_listing.sql).
+// Resolves to the saved {id, status}; moderation may have set the status to pending.
+const saveListingRecord = async ({ apartmentId, form, floors, status, isAdmin }) => {
+  const { data: saved, error } = await supabase
+    .rpc('save_listing', {
+      p_apartment_id: apartmentId,
+      p_listing: buildListingPayload(form, isAdmin),
+      p_floors: floors.map(buildFloorPayload),
+      p_status: status
+    })
+    .select('id, status')
+    .single();
+
+  if (error) throw error;
+  return saved;
+};
+
+/**
+ * Autosave an unfinished listing as a private draft. Images are not uploaded;
+ * the editor keeps them in IndexedDB (see draftImages.js) until publishing.
+ * @param {Object} options
+ * @param {string|null} options.apartmentId - Draft saved before, or null to create one
+ * @param {Object} options.form - Listing form values
+ * @param {Array} options.floors - Floor form values
+ * @param {boolean} options.isAdmin - Whether the custom owner name may be set
+ * @returns {Promise<string>} - The draft's apartment ID
+ */
+export const saveListingDraft = async ({ apartmentId = null, form, floors, isAdmin = false }) => {
+  const saved = await saveListingRecord({ apartmentId, form, floors, status: 'draft', isAdmin });
+  return saved.id;
+};
+
+// Download a stored listing photo as a File, so it can be queued for a draft
+const downloadListingPhoto = async (storagePath) => {
+  const { data, error } = await supabase.storage
+    .from('apartment_images')
+    .download(storagePath);
+
+  if (error) throw error;
+  return new File([data], storagePath.split('/').pop(), { type: data.type || 'image/jpeg' });
+};
+
+/**
+ * Copy a listing into a new private draft, for owners with several similar
+ * buildings. The apartment fields and floors are copied; photos are optional
+ * and are queued in IndexedDB like any draft's, to be uploaded on publishing.
+ * @param {Object} options
+ * @param {string} options.apartmentId - The listing to copy
+ * @param {boolean} options.includePhotos - Whether to copy the photos too
+ * @param {boolean} options.isAdmin - Whether the custom owner name may be copied
+ * @returns {Promise<{draftId: string, missingPhotos: number}>} - The new draft and how
+ *   many photos could not be copied
+ */
+export const duplicateListingAsDraft = async ({ apartmentId, includePhotos = false, isAdmin = false }) => {
+  const { data: apartment, error: apartmentError } = await supabase
+    .from('apartments')
+    .select('*, apartment_images(id, storage_path, is_primary, sort_order)')
+    .eq('id', apartmentId)
+    .single();
+
+  if (apartmentError) throw apartmentError;
+
+  const { data: floors, error: floorsError } = await supabase
+    .from('apartment_floors')
+    .select('*')
+    .eq('apartment_id', apartmentId)
+    .order('floor_number', { ascending: true });
+
+  if (floorsError) throw floorsError;
+
+  const listing = listingFromApartment(apartment, floors || []);
+  const draftId = await saveListingDraft({
+    form: { ...listing.form, title: `${listing.form.title} (nuqul)` },
+    // Without their ids the floors are inserted for the draft
+    floors: listing.floors.map(floor => ({ ...floor, id: null })),
+    isAdmin
+  });
+
+  if (!includePhotos || listing.images.length === 0) {
+    return { draftId, missingPhotos: 0 };
+  }
+
+  const downloads = await Promise.allSettled(listing.images.map(image => downloadListingPhoto(image.storage_path)));
+  const files = downloads.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const missingPhotos = downloads.length - files.length;
+
+  if (missingPhotos > 0) {
+    console.error('Some photos could not be copied:', downloads.filter(result => result.status === 'rejected'));
+  }
+
+  if (files.length > 0) {
+    // Keep the same cover photo if it was copied
+    const primaryFile = downloads[listing.primaryImageIndex]?.value;
+    await saveDraftImages(draftId, files, Math.max(0, files.indexOf(primaryFile)));
+  }
+
+  return { draftId, missingPhotos };
+};
+
+/**
+ * Upload one listing photo, retrying failed attempts after 1s, 2s, 4s...
+ * Photos the browser cannot read are not retried.
+ * @param {Object} options
+ * @param {File} options.file - The photo to upload
+ * @param {string} options.apartmentId - The apartment it belongs to
+ * @param {boolean} options.isPrimary - Whether it is the cover photo
+ * @param {number} options.sortOrder - Its position in the gallery
+ * @param {Function} options.onStatus - Called with {status, progress, attempt} as the upload goes on,
+ *   status being 'uploading', 'retrying', 'done' or 'failed'
+ * @returns {Promise<Object>} - The result of the last uploadApartmentImage attempt
+ */
+export const uploadImageWithRetry = async ({ file, apartmentId, isPrimary = false, sortOrder = 0, onStatus = () => {} }) => {
+  let result = null;
+
+  for (let attempt = 1; attempt <= IMAGE_UPLOAD_ATTEMPTS; attempt++) {
+    const status = attempt === 1 ? 'uploading' : 'retrying';
+    onStatus({ status, progress: 0, attempt });
+
+    result = await uploadApartmentImage(file, apartmentId, isPrimary, sortOrder, progress => {
+      onStatus({ status, progress, attempt });
+    });
+
+    if (result.success) {
+      onStatus({ status: 'done', progress: 1, attempt });
+      return result;
+    }
+
+    if (result.retryable === false) break;
+
+    if (attempt < IMAGE_UPLOAD_ATTEMPTS) {
+      await wait(IMAGE_RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    }
+  }
+
+  onStatus({ status: 'failed', progress: 0, attempt: IMAGE_UPLOAD_ATTEMPTS });
+  return result;
+};
+
+/**
+ * Save a listing: the apartment row and its floors in one transaction, then
+ * its images against the saved apartment.
+ * Without apartmentId a new listing is published for the signed-in user; with
+ * publishDraft the draft apartmentId is published. Listings of owners who are not
+ * trusted yet are published as pending, for an admin to review.
+ * @param {Object} options
+ * @param {string|null} options.apartmentId - Listing being edited or draft being published, or null to create one
+ * @param {boolean} options.publishDraft - Whether apartmentId is a draft to publish
+ * @param {Object} options.form - Listing form values
+ * @param {Array} options.floors - Floor form values (floors with an id already exist, missing ones are deleted)
+ * @param {Array} options.images - Images in display order: existing {id, storage_path} or new {file}
+ * @param {number} options.primaryImageIndex - Index of the primary image in images
+ * @param {Array} options.removedImageIds - Existing images the owner removed
+ * @param {boolean} options.isAdmin - Whether the custom owner name may be set
+ * @param {Function} options.onImageStatus - Called with (index, status) as each new image uploads
+ * @returns {Promise<{apartmentId: string, status: string, uploadResults: Array, failedImages: Array}>} - The
+ *   apartment ID and status, the upload result of each image (null for existing ones) and the uploads that failed
+ */
+export const saveListing = async ({
+  apartmentId = null,
+  publishDraft = false,
+  form,
+  floors,
+  images,
+  primaryImageIndex = 0,
+  removedImageIds = [],
+  isAdmin = false,
+  onImageStatus = () => {}
+}) => {
+  const saved = await saveListingRecord({
+    apartmentId,
+    form,
+    floors,
+    status: !apartmentId || publishDraft ? 'approved' : null,
+    isAdmin
+  });
+  const savedApartmentId = saved.id;
+
+  // Images
+  if (removedImageIds.length > 0) {
+    await deleteApartmentImages(removedImageIds);
+  }
+
+  const imageResults = await Promise.all(images.map((image, index) => {
+    const isPrimary = index === primaryImageIndex;
+
+    if (image.file) {
+      return uploadImageWithRetry({
+        file: image.file,
+        apartmentId: savedApartmentId,
+        isPrimary,
+        sortOrder: index,
+        onStatus: status => onImageStatus(index, status)
+      });
+    }
+
+    return supabase
+      .from('apartment_images')
+      .update({ is_primary: isPrimary, sort_order: index })
+      .eq('id', image.id)
+      .then(({ error }) => {
+        if (error) console.error('Error updating image order:', error);
+        return { success: !error, error };
+      });
+  }));
+
+  // Only new photos can fail in a way the owner can retry
+  const failedImages = images
+    .map((image, index) => ({ index, file: image.file, error: imageResults[index].error }))
+    .filter(({ index, file }) => file && !imageResults[index].success);
+
+  if (failedImages.length > 0) {
+    console.error('Some images failed to upload:', failedImages);
+  }
+
+  return {
+    apartmentId: savedApartmentId,
+    status: saved.status,
+    uploadResults: images.map((image, index) => (image.file ? imageResults[index] : null)),
+    failedImages
+  };
+};
@@ -0,0 +1,58 @@
+import { supabase } from '../lib/supabase';
+
+// Approved listings must be confirmed by their owner every confirm_every_days
+// or they are hidden from search (see listing_expiry.sql)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The expiry policy set by admins
+ * @returns {Promise<{confirm_every_days: number|null, remind_days_before: number}>}
+ */
+export const fetchListingExpiryPolicy = async () => {
+  const { data, error } = await supabase
+    .from('listing_expiry_policy')
+    .select('confirm_every_days, remind_days_before')
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * When a listing stops showing in search unless it is confirmed again
+ * @param {Object} apartment - apartments row with confirmed_at
+ * @param {Object} policy - The expiry policy
+ * @returns {Date|null} - null when listings never expire
+ */
+export const listingExpiresAt = (apartment, policy) => {
+  if (!policy?.confirm_every_days || !apartment.confirmed_at) return null;
+  return new Date(new Date(apartment.confirmed_at).getTime() + policy.confirm_every_days * DAY_MS);
+};
+
+/**
+ * Confirmation state of a listing: 'stale' once hidden from search, 'due'
+ * within the reminder window before that, otherwise 'confirmed'. Only
+ * approved listings expire.
+ * @param {Object} apartment - apartments row with status and confirmed_at
+ * @param {Object} policy - The expiry policy
+ * @param {Date} now - The current time
+ * @returns {'confirmed'|'due'|'stale'}
+ */
+export const listingConfirmationState = (apartment, policy, now = new Date()) => {
+  const expiresAt = listingExpiresAt(apartment, policy);
+  if (apartment.status !== 'approved' || !expiresAt) return 'confirmed';
+  if (expiresAt <= now) return 'stale';
+  if (expiresAt.getTime() - policy.remind_days_before * DAY_MS <= now.getTime()) return 'due';
+  return 'confirmed';
+};
+
+/**
+ * Confirm that a listing is still accurate, renewing it in search
+ * @param {string} apartmentId - The listing's ID
+ * @returns {Promise<string>} - The new confirmed_at
+ */
+export const confirmListing = async (apartmentId) => {
+  const { data, error } = await supabase.rpc('confirm_listing', { p_apartment_id: apartmentId });
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,394 @@
+import { MOGADISHU_DISTRICTS } from './districts';
+import { readZipEntries } from './zipReader';
+import {
+  createEmptyListing,
+  createFloor,
+  validateListing,
+  saveListing,
+  FLOOR_STATUS_OPTIONS,
+  LEASE_MONTH_LIMITS,
+  MAX_LISTING_FLOORS
+} from './listingEditor';
+
+// Bulk import for agencies: a CSV or XLSX sheet with one row per floor, grouped
+// into buildings by the "building" column. Each building is saved through the
+// same saveListing pipeline as the listing editor, so it gets the same
+// validation, transactional save, moderation and photo processing.
+
+// Columns of the import sheet. Building columns only need filling in on the
+// first row of each building; later rows may repeat them but must not differ.
+export const IMPORT_COLUMNS = [
+  { name: 'building', building: true, description: 'Magac ama kood lagu kala saaro dhismayaasha' },
+  { name: 'title', building: true, description: 'Magaca guriga' },
+  { name: 'description', building: true, description: 'Faahfaahinta guriga' },
+  { name: 'district', building: true, description: 'Degmada' },
+  { name: 'location', building: true, description: 'Meesha guriga ku yaal' },
+  { name: 'whatsapp', building: true, description: 'Lambarka WhatsApp' },
+  { name: 'furnished', building: true, description: 'haa / maya' },
+  { name: 'latitude', building: true, description: 'Latitude (ikhtiyaari)' },
+  { name: 'longitude', building: true, description: 'Longitude (ikhtiyaari)' },
+  { name: 'photos', building: true, description: 'URL-yada ama magacyada sawirada ee zip-ka, lagu kala saaro |' },
+  { name: 'floor', building: false, description: 'Lambarka dabaqda (1 waa dabaqda hoose)' },
+  { name: 'bedrooms', building: false, description: 'Qolalka jiifka' },
+  { name: 'bathrooms', building: false, description: 'Musqulaha' },
+  { name: 'kitchen', building: false, description: 'haa / maya' },
+  { name: 'living_room', building: false, description: 'haa / maya' },
+  { name: 'master_room', building: false, description: 'haa / maya' },
+  { name: 'price', building: false, description: 'Qiimaha bishii ($)' },
+  { name: 'floor_status', building: false, description: 'available, not_available, occupied ama maintenance' },
+  { name: 'floor_description', building: false, description: 'Faahfaahinta dabaqda' },
+  { name: 'deposit_months', building: false, description: 'Deebaajiga, bilood (ikhtiyaari)' },
+  { name: 'advance_months', building: false, description: 'Horudhaca, bilood (ikhtiyaari)' },
+  { name: 'min_lease_months', building: false, description: 'Muddada ugu yar, bilood (ikhtiyaari)' },
+  { name: 'water_included', building: false, description: 'Biyaha ma ku jiraan kirada: haa / maya' },
+  { name: 'electricity_included', building: false, description: 'Korontada ma ku jirtaa kirada: haa / maya' }
+];
+
+// Other spellings accepted for some columns
+const COLUMN_ALIASES = {
+  building_id: 'building',
+  degmada: 'district',
+  location_description: 'location',
+  whatsapp_number: 'whatsapp',
+  is_furnished: 'furnished',
+  floor_number: 'floor',
+  bedrooms_on_floor: 'bedrooms',
+  bathrooms_on_floor: 'bathrooms',
+  has_kitchen: 'kitchen',
+  has_living_room: 'living_room',
+  has_master_room: 'master_room',
+  price_per_month: 'price',
+  status: 'floor_status',
+  photo_urls: 'photos',
+  images: 'photos',
+  deposit: 'deposit_months',
+  advance: 'advance_months',
+  min_lease: 'min_lease_months'
+};
+
+const BUILDING_FIELDS = IMPORT_COLUMNS.filter(column => column.building).map(column => column.name);
+
+const TRUE_VALUES = ['haa', 'yes', 'y', 'true', '1'];
+const FALSE_VALUES = ['maya', 'no', 'n', 'false', '0'];
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  heic: 'image/heic'
+};
+
+const districtKey = (value) => value.toLowerCase().replace(/[\s-]+/g, '');
+
+// Known districts by a spacing and case insensitive key, so "hamarweyne" matches "Hamar Weyne"
+const DISTRICTS_BY_KEY = new Map(MOGADISHU_DISTRICTS.map(district => [districtKey(district), district]));
+
+// Last path segment, lower-cased, for matching photo names against the zip
+const fileKey = (path) => path.split(/[\\/]/).pop().toLowerCase();
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+
+// Parse a yes/no cell; blank cells take the default
+const parseBoolean = (value, defaultValue) => {
+  const normalized = value.toLowerCase();
+  if (!normalized) return { value: defaultValue };
+  if (TRUE_VALUES.includes(normalized)) return { value: true };
+  if (FALSE_VALUES.includes(normalized)) return { value: false };
+  return { error: `"${value}" waa inuu noqdaa haa ama maya` };
+};
+
+// Parse a whole-number cell; blank cells take the default
+const parseCount = (value, defaultValue) => {
+  if (!value) return { value: defaultValue };
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) return { error: `"${value}" ma aha tiro sax ah` };
+  return { value: count };
+};
+
+// Accept the status values or their Somali labels
+const parseFloorStatus = (value) => {
+  if (!value) return { value: 'available' };
+  const normalized = value.toLowerCase().replace(/\s+/g, '_');
+  const option = FLOOR_STATUS_OPTIONS.find(status =>
+    status.value === normalized || status.label.toLowerCase().replace(/\s+/g, '_') === normalized
+  );
+  return option ? { value: option.value } : { error: `Xaaladda dabaqda "${value}" lama yaqaan` };
+};
+
+const parseCoordinate = (value, limit) => {
+  if (!value) return { value: null };
+  const coordinate = Number(value);
+  if (!Number.isFinite(coordinate) || Math.abs(coordinate) > limit) {
+    return { error: `"${value}" ma aha meel sax ah` };
+  }
+  return { value: coordinate };
+};
+
+// Map a sheet row's columns onto the import column names
+const normalizeRow = (row) => Object.entries(row).reduce((normalized, [key, value]) => {
+  const column = COLUMN_ALIASES[key] || key;
+  if (normalized[column] === undefined || normalized[column] === '') {
+    normalized[column] = value;
+  }
+  return normalized;
+}, {});
+
+/**
+ * Read the optional zip of photos for the import
+ * @param {File|null} zipFile - Zip with the photos named in the sheet
+ * @returns {Promise<Map<string, Object>>} - Zip entries by lower-cased file name
+ */
+export const readPhotoArchive = async (zipFile) => {
+  const photos = new Map();
+  if (!zipFile) return photos;
+
+  const entries = await readZipEntries(zipFile);
+  for (const entry of entries.values()) {
+    const key = fileKey(entry.name);
+    // Skip macOS resource forks and hidden files
+    if (key.startsWith('.') || entry.name.startsWith('__MACOSX/')) continue;
+    if (IMAGE_TYPES[key.split('.').pop()]) photos.set(key, entry);
+  }
+  return photos;
+};
+
+/**
+ * Group import rows into buildings and check every row.
+ * @param {Array<Object>} rows - Rows from readSpreadsheet
+ * @param {Map<string, Object>} photoArchive - Photos from readPhotoArchive
+ * @returns {Array<Object>} - Buildings in sheet order, each with {key, form, floors,
+ *   photos, rows, errors}; rows carry their own {line, values, errors} and
+ *   errors holds the problems with the building as a whole
+ */
+export const buildImportPlan = (rows, photoArchive = new Map()) => {
+  const buildings = new Map();
+
+  rows.forEach((rawRow) => {
+    const values = normalizeRow(rawRow);
+    const row = { line: rawRow._line, values, errors: [] };
+    const key = values.building || values.title || '';
+
+    if (!key) {
+      row.errors.push('Safkan ma laha building ama title');
+    }
+
+    const buildingKey = key.toLowerCase();
+    if (!buildings.has(buildingKey)) {
+      buildings.set(buildingKey, { key, fields: {}, fieldLines: {}, rows: [], errors: [] });
+    }
+    const building = buildings.get(buildingKey);
+    building.rows.push(row);
+
+    // The first value of each building column wins; different values later are errors
+    BUILDING_FIELDS.forEach((field) => {
+      const value = values[field] || '';
+      if (!value || field === 'building' || field === 'photos') return;
+      if (!building.fields[field]) {
+        building.fields[field] = value;
+        building.fieldLines[field] = row.line;
+      } else if (building.fields[field] !== value) {
+        row.errors.push(`${field} "${value}" wuu ka duwan yahay safka ${building.fieldLines[field]} ("${building.fields[field]}")`);
+      }
+    });
+  });
+
+  return [...buildings.values()].map((building) => {
+    const { key, fields, rows: buildingRows, errors } = building;
+    const firstLine = buildingRows[0].line;
+
+    const district = fields.district ? DISTRICTS_BY_KEY.get(districtKey(fields.district)) : '';
+    if (fields.district && !district) {
+      errors.push(`Degmada "${fields.district}" lama yaqaan`);
+    }
+
+    const furnished = parseBoolean(fields.furnished || '', false);
+    const latitude = parseCoordinate(fields.latitude || '', 90);
+    const longitude = parseCoordinate(fields.longitude || '', 180);
+    [furnished, latitude, longitude].forEach(({ error }) => error && errors.push(error));
+
+    const form = {
+      ...createEmptyListing().form,
+      title: fields.title || '',
+      description: fields.description || '',
+      location_description: fields.location || '',
+      district: district || '',
+      latitude: latitude.value ?? null,
+      longitude: longitude.value ?? null,
+      is_furnished: furnished.value ?? false,
+      whatsapp_number: fields.whatsapp || ''
+    };
+
+    // Photos may be listed on any of the building's rows
+    const photoRefs = [...new Set(buildingRows.flatMap(row =>
+      (row.values.photos || '').split(/[|\n]/).map(ref => ref.trim()).filter(Boolean)
+    ))];
+    const photos = [];
+    photoRefs.forEach((ref) => {
+      if (isUrl(ref)) {
+        photos.push({ ref, url: ref });
+      } else if (photoArchive.has(fileKey(ref))) {
+        photos.push({ ref, entry: photoArchive.get(fileKey(ref)) });
+      } else {
+        errors.push(photoArchive.size > 0
+          ? `Sawirka "${ref}" kuma jiro zip-ka`
+          : `Sawirka "${ref}" ma aha URL; soo geli zip-ka sawirada`);
+      }
+    });
+
+    // One floor per row, numbered by the floor column or by row order
+    const floors = buildingRows.map((row, index) => {
+      const { values } = row;
+      const floorNumber = parseCount(values.floor || '', index + 1);
+      const bedrooms = parseCount(values.bedrooms || '', 1);
+      const bathrooms = parseCount(values.bathrooms || '', 1);
+      const kitchen = parseBoolean(values.kitchen || '', true);
+      const livingRoom = parseBoolean(values.living_room || '', true);
+      const masterRoom = parseBoolean(values.master_room || '', false);
+      const status = parseFloorStatus(values.floor_status || '');
+      const waterIncluded = parseBoolean(values.water_included || '', false);
+      const electricityIncluded = parseBoolean(values.electricity_included || '', false);
+      const price = Number(values.price);
+
+      [floorNumber, bedrooms, bathrooms, kitchen, livingRoom, masterRoom, status, waterIncluded, electricityIncluded]
+        .forEach(({ error }) => error && row.errors.push(error));
+      if (!values.price || !Number.isFinite(price) || price <= 0) {
+        row.errors.push('Fadlan gali qiimaha dabaqda');
+      }
+
+      // Lease month counts stay blank when not given
+      const leaseMonths = {};
+      Object.entries(LEASE_MONTH_LIMITS).forEach(([field, { min, max }]) => {
+        const months = parseCount(values[field] || '', '');
+        if (months.error || (months.value !== '' && (months.value < min || months.value > max))) {
+          row.errors.push(`${field}: "${values[field]}" waa inuu u dhexeeyaa ${min} iyo ${max}`);
+        } else {
+          leaseMonths[field] = months.value.toString();
+        }
+      });
+
+      return createFloor(floorNumber.value ?? index + 1, {
+        bedrooms_on_floor: bedrooms.value ?? 1,
+        bathrooms_on_floor: bathrooms.value ?? 1,
+        has_kitchen: kitchen.value ?? true,
+        has_living_room: livingRoom.value ?? true,
+        has_master_room: masterRoom.value ?? false,
+        price_per_month: values.price || '',
+        floor_description: values.floor_description || '',
+        floor_status: status.value || 'available',
+        ...leaseMonths,
+        water_included: waterIncluded.value ?? false,
+        electricity_included: electricityIncluded.value ?? false
+      });
+    });
+
+    // Floors must be numbered 1..n, like the editor makes them
+    const floorNumbers = floors.map(floor => floor.floor_number).sort((a, b) => a - b);
+    if (floors.length > MAX_LISTING_FLOORS) {
+      errors.push(`Dhismuhu wuxuu yeelan karaa ugu badan ${MAX_LISTING_FLOORS} dabaq`);
+    } else if (floorNumbers.some((number, index) => number !== index + 1)) {
+      errors.push('Dabaqyadu waa inay ka bilaabmaan 1 oo ay isku xigaan, iyadoo aan lambar soo noqnoqon');
+    }
+    floors.sort((a, b) => a.floor_number - b.floor_number);
+
+    // The editor's own checks; missing floor prices are already reported on their rows
+    const listingError = validateListing({ form, floors, images: photos });
+    if (listingError && !listingError.startsWith('Fadlan gali qiimaha dabaqda')) {
+      errors.push(listingError);
+    }
+
+    return { key, line: firstLine, form, floors, photos, rows: buildingRows, errors };
+  });
+};
+
+/**
+ * Whether a building from buildImportPlan can be imported
+ * @param {Object} building - A planned building
+ * @returns {boolean}
+ */
+export const isBuildingValid = (building) =>
+  building.errors.length === 0 && building.rows.every(row => row.errors.length === 0);
+
+// Download or unzip one photo of a building
+const loadPhoto = async (photo) => {
+  if (photo.entry) {
+    const name = fileKey(photo.entry.name);
+    const type = IMAGE_TYPES[name.split('.').pop()] || 'application/octet-stream';
+    return new File([await photo.entry.bytes()], name, { type });
+  }
+
+  const response = await fetch(photo.url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+  const name = fileKey(new URL(photo.url).pathname) || 'photo.jpg';
+  return new File([blob], name, { type: blob.type || IMAGE_TYPES[name.split('.').pop()] || 'image/jpeg' });
+};
+
+/**
+ * Import one building: fetch its photos, then save it like the listing editor does.
+ * Photos that cannot be downloaded (often because the site does not allow it)
+ * are skipped and reported; a building without any usable photo is not saved.
+ * @param {Object} building - A valid building from buildImportPlan
+ * @param {Object} options
+ * @param {boolean} options.isAdmin - Whether the importer is an admin
+ * @param {Function} options.onImageStatus - Passed on to saveListing
+ * @returns {Promise<{apartmentId: string|null, status: string|null, photoErrors: Array, failedImages: Array}>}
+ */
+export const importBuilding = async (building, { isAdmin = false, onImageStatus = () => {} } = {}) => {
+  const photoErrors = [];
+  const files = [];
+
+  for (const photo of building.photos) {
+    try {
+      files.push(await loadPhoto(photo));
+    } catch (error) {
+      console.error('Error loading import photo:', photo.ref, error);
+      photoErrors.push({ ref: photo.ref, error: error.message });
+    }
+  }
+
+  if (files.length === 0) {
+    return { apartmentId: null, status: null, photoErrors, failedImages: [] };
+  }
+
+  const { apartmentId, status, failedImages } = await saveListing({
+    form: building.form,
+    floors: building.floors,
+    images: files.map(file => ({ file })),
+    primaryImageIndex: 0,
+    isAdmin,
+    onImageStatus
+  });
+
+  return { apartmentId, status, photoErrors, failedImages };
+};
+
+// Quote a CSV cell when it needs it
+const csvCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Example sheet for the import screen, with a two-floor and a one-floor building
+ * @returns {string} - CSV text
+ */
+export const buildImportTemplate = () => {
+  const header = IMPORT_COLUMNS.map(column => column.name);
+  const examples = [
+    {
+      building: 'A1', title: 'Guri Casri ah', description: 'Guri cusub oo nadiif ah', district: 'Hodan',
+      location: 'Agagaarka KM4', whatsapp: '+252610000000', furnished: 'haa',
+      photos: 'https://example.com/a1-front.jpg|a1-kitchen.jpg', floor: '1', bedrooms: '3', bathrooms: '2',
+      kitchen: 'haa', living_room: 'haa', master_room: 'maya', price: '400', floor_status: 'available',
+      deposit_months: '1', advance_months: '3', min_lease_months: '6', water_included: 'haa', electricity_included: 'maya'
+    },
+    { building: 'A1', floor: '2', bedrooms: '2', bathrooms: '1', price: '350', floor_status: 'occupied' },
+    {
+      building: 'B7', title: 'Guri Yar', district: 'Wadajir', location: 'Waddada Airport',
+      whatsapp: '+252610000001', furnished: 'maya', photos: 'b7.jpg', floor: '1', bedrooms: '2', price: '250'
+    }
+  ];
+
+  return [header, ...examples.map(example => header.map(name => example[name] || ''))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n');
+};
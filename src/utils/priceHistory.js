@@ -0,0 +1,16 @@
+// Floor price history and price-drop badges (see price_history.sql)
+
+// How long an apartment is flagged after a floor got cheaper
+export const PRICE_DROP_BADGE_DAYS = 14;
+
+/**
+ * Whether a floor of the apartment got cheaper lately and has stayed that way
+ * @param {Object} apartment - apartments row with last_price_drop_at
+ * @param {Date} now - The current time
+ * @returns {boolean}
+ */
+export const hasRecentPriceDrop = (apartment, now = new Date()) => {
+  if (!apartment.last_price_drop_at) return false;
+  const dropAge = now.getTime() - new Date(apartment.last_price_drop_at).getTime();
+  return dropAge < PRICE_DROP_BADGE_DAYS * 24 * 60 * 60 * 1000;
+};
@@ -0,0 +1,134 @@
+import { supabase } from '../lib/supabase';
+
+// Visitors keep their history in localStorage until they log in
+const RECENTLY_VIEWED_STORAGE_KEY = 'recently_viewed_apartments';
+const MAX_LOCAL_ENTRIES = 20;
+
+const getLocalRecentlyViewed = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENTLY_VIEWED_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn('Could not read recently viewed apartments from localStorage:', e);
+    return [];
+  }
+};
+
+const saveLocalRecentlyViewed = (entries) => {
+  try {
+    localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, JSON.stringify(entries.slice(0, MAX_LOCAL_ENTRIES)));
+  } catch (e) {
+    console.warn('Could not save recently viewed apartments to localStorage:', e);
+  }
+};
+
+/**
+ * Remember that the current visitor opened an apartment
+ * @param {string} apartmentId - The viewed apartment's ID
+ * @param {string|null} userId - The signed-in user's ID, or null for visitors
+ * @returns {Promise<void>}
+ */
+export const recordApartmentView = async (apartmentId, userId) => {
+  if (!apartmentId) return;
+
+  if (userId) {
+    const { error } = await supabase.rpc('record_apartment_views', {
+      p_views: [{ apartment_id: apartmentId, viewed_at: new Date().toISOString() }]
+    });
+
+    if (error) console.error('Error recording apartment view:', error);
+    return;
+  }
+
+  const entries = getLocalRecentlyViewed().filter(entry => entry.apartment_id !== apartmentId);
+  saveLocalRecentlyViewed([{ apartment_id: apartmentId, viewed_at: new Date().toISOString() }, ...entries]);
+};
+
+/**
+ * Move the visitor history kept in localStorage into the user's account
+ * @param {string} userId - The user who just logged in
+ * @returns {Promise<void>}
+ */
+export const mergeLocalRecentlyViewed = async (userId) => {
+  const entries = getLocalRecentlyViewed();
+  if (!userId || entries.length === 0) return;
+
+  const { error } = await supabase.rpc('record_apartment_views', { p_views: entries });
+
+  if (error) {
+    console.error('Error merging recently viewed apartments:', error);
+    return;
+  }
+
+  saveLocalRecentlyViewed([]);
+};
+
+/**
+ * Fetch recently viewed apartments, newest first
+ * @param {string|null} userId - The signed-in user's ID, or null for visitors
+ * @param {number} limit - Maximum number of apartments to return
+ * @returns {Promise<Array>} - Apartments with a viewed_at timestamp
+ */
+export const fetchRecentlyViewedApartments = async (userId, limit = MAX_LOCAL_ENTRIES) => {
+  let entries;
+
+  if (userId) {
+    const { data, error } = await supabase
+      .from('recently_viewed_apartments')
+      .select('apartment_id, viewed_at')
+      .eq('user_id', userId)
+      .order('viewed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    entries = data || [];
+  } else {
+    entries = getLocalRecentlyViewed().slice(0, limit);
+  }
+
+  if (entries.length === 0) return [];
+
+  const { data: apartmentData, error: apartmentError } = await supabase
+    .from('apartments')
+    .select(`
+      id,
+      title,
+      district,
+      location_description,
+      rooms,
+      bathrooms,
+      price_per_month,
+      is_available,
+      apartment_images(storage_path, thumbnail_path, is_primary, sort_order)
+    `)
+    .in('id', entries.map(entry => entry.apartment_id));
+
+  if (apartmentError) throw apartmentError;
+
+  // Keep the viewing order; apartments that were removed since are skipped
+  return entries
+    .map(entry => {
+      const apartment = (apartmentData || []).find(apt => apt.id === entry.apartment_id);
+      return apartment ? { ...apartment, viewed_at: entry.viewed_at } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Clear the viewing history
+ * @param {string|null} userId - The signed-in user's ID, or null for visitors
+ * @returns {Promise<void>}
+ */
+export const clearRecentlyViewed = async (userId) => {
+  if (userId) {
+    const { error } = await supabase
+      .from('recently_viewed_apartments')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return;
+  }
+
+  saveLocalRecentlyViewed([]);
+};
@@ -0,0 +1,98 @@
+// Home query params that make up a saved search (see FILTER_PARAMS in Home.jsx)
+export const SAVED_SEARCH_PARAMS = [
+  'q', 'district', 'minPrice', 'maxPrice', 'minRooms', 'furnished',
+  'floorBedrooms', 'floorMaxPrice', 'kitchen', 'livingRoom', 'maxAdvance', 'availableBy', 'amenities', 'sort'
+];
+
+// Values the alert matching in saved_searches.sql can read, per param. Params
+// not listed here are free text.
+const FILTER_VALUE_PATTERNS = {
+  minPrice: /^\d+(\.\d+)?$/,
+  maxPrice: /^\d+(\.\d+)?$/,
+  floorMaxPrice: /^\d+(\.\d+)?$/,
+  minRooms: /^\d{1,9}$/,
+  floorBedrooms: /^\d{1,9}$/,
+  maxAdvance: /^\d{1,9}$/,
+  furnished: /^(true|false)$/,
+  kitchen: /^(true|false)$/,
+  livingRoom: /^(true|false)$/,
+  availableBy: /^\d{4}-\d{2}-\d{2}$/
+};
+
+const isValidFilterValue = (param, value) => {
+  const pattern = FILTER_VALUE_PATTERNS[param];
+  if (pattern && !pattern.test(value)) return false;
+  // Reject dates that do not exist, such as 2024-02-30
+  if (param === 'availableBy') {
+    const date = new Date(value);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+  return true;
+};
+
+/**
+ * Keep only the known saved-search filters with usable values. Filters come
+ * from the URL and the edit form, so a typo must not end up in the saved row.
+ * @param {Object} filters - Filters keyed by query param name
+ * @returns {Object} - Trimmed filters without empty or invalid values
+ */
+export const normalizeSearchFilters = (filters = {}) => {
+  return SAVED_SEARCH_PARAMS.reduce((result, param) => {
+    const value = filters[param] == null ? '' : filters[param].toString().trim();
+    if (value && isValidFilterValue(param, value)) {
+      result[param] = value;
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Pick the saved-search filters out of the Home query params
+ * @param {URLSearchParams} searchParams - Current Home query params
+ * @returns {Object} - Filters keyed by query param name, without empty or invalid values
+ */
+export const filtersFromSearchParams = (searchParams) => {
+  return normalizeSearchFilters(Object.fromEntries(
+    SAVED_SEARCH_PARAMS.map(param => [param, searchParams.get(param)])
+  ));
+};
+
+/**
+ * Build the Home link that reopens a saved search
+ * @param {Object} filters - Saved filters keyed by query param name
+ * @returns {string} - Relative URL such as /?district=Hodan&maxPrice=400
+ */
+export const savedSearchUrl = (filters = {}) => {
+  const query = new URLSearchParams(filters).toString();
+  return query ? `/?${query}` : '/';
+};
+
+/**
+ * Short human readable summary of a filter set, also used as the default name
+ * @param {Object} filters - Saved filters keyed by query param name
+ * @returns {string} - Summary such as "Wadajir · $0-$500 · 3+ qol"
+ */
+export const describeSearchFilters = (filters = {}) => {
+  const parts = [];
+
+  if (filters.q) parts.push(`"${filters.q}"`);
+  if (filters.district) parts.push(filters.district);
+  if (filters.minPrice || filters.maxPrice) {
+    parts.push(`$${filters.minPrice || 0}-${filters.maxPrice ? `$${filters.maxPrice}` : '∞'}`);
+  }
+  if (filters.minRooms) parts.push(`${filters.minRooms}+ qol`);
+  if (filters.furnished) parts.push(filters.furnished === 'true' ? 'Alaab leh' : 'Alaab la\'aan');
+  if (filters.floorBedrooms || filters.floorMaxPrice || filters.maxAdvance || filters.availableBy) {
+    parts.push(`Dabaq: ${[
+      filters.floorBedrooms && `${filters.floorBedrooms}+ qol`,
+      filters.floorMaxPrice && `≤ $${filters.floorMaxPrice}`,
+      filters.maxAdvance && `≤ ${filters.maxAdvance} bil horudhac`,
+      filters.availableBy && `banaan ${filters.availableBy}`
+    ].filter(Boolean).join(', ')}`);
+  }
+  if (filters.kitchen === 'true') parts.push('Jikada leh');
+  if (filters.livingRoom === 'true') parts.push('Qolka Fadhiga leh');
+  if (filters.amenities) parts.push(`${filters.amenities.split(',').length} adeeg`);
+
+  return parts.length > 0 ? parts.join(' · ') : 'Dhammaan guryaha';
+};
@@ -0,0 +1,173 @@
+import { readZipEntries } from './zipReader';
+
+// Reads the first sheet of a CSV or XLSX file into rows keyed by the header
+// row, for the bulk listing import. Headers are lower-cased with spaces turned
+// into underscores, so "Floor Status" and "floor_status" are the same column.
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Turn a grid of cells into header-keyed rows, dropping blank rows. Each row
+// remembers its line in the sheet so errors can point at it.
+const rowsFromGrid = (grid) => {
+  const [headerRow = [], ...dataRows] = grid;
+  const headers = headerRow.map(cell => normalizeHeader(String(cell ?? '')));
+
+  return dataRows
+    .map((cells, index) => {
+      const row = { _line: index + 2 };
+      headers.forEach((header, column) => {
+        if (header) row[header] = String(cells[column] ?? '').trim();
+      });
+      return row;
+    })
+    .filter(row => headers.some(header => header && row[header] !== ''));
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, line breaks in quotes).
+ * Semicolon-separated files, as saved by Excel in some locales, are detected
+ * from the header line.
+ * @param {string} text - The CSV contents
+ * @returns {string[][]} - Rows of cells
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const headerLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Zero-based column index of a cell reference such as "AB12"
+const columnIndex = (reference) => {
+  const letters = reference.match(/^[A-Z]+/)?.[0] || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const readXml = async (entries, path) => {
+  const entry = entries.get(path);
+  if (!entry) return null;
+  const text = new TextDecoder().decode(await entry.bytes());
+  return new DOMParser().parseFromString(text, 'application/xml');
+};
+
+// Text of a shared string or inline string, joining rich text runs
+const stringItemText = (item) => [...item.getElementsByTagName('t')]
+  .map(node => node.textContent)
+  .join('');
+
+/**
+ * Read the first worksheet of an XLSX file
+ * @param {Blob} file - The XLSX file
+ * @returns {Promise<string[][]>} - Rows of cells as text
+ */
+export const readXlsxGrid = async (file) => {
+  const entries = await readZipEntries(file);
+
+  const sharedStringsXml = await readXml(entries, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? [...sharedStringsXml.getElementsByTagName('si')].map(stringItemText)
+    : [];
+
+  // The first sheet in the workbook, falling back to sheet1.xml
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbookXml = await readXml(entries, 'xl/workbook.xml');
+  const relsXml = await readXml(entries, 'xl/_rels/workbook.xml.rels');
+  const firstSheet = workbookXml?.getElementsByTagName('sheet')[0];
+  if (firstSheet && relsXml) {
+    const relationId = firstSheet.getAttribute('r:id')
+      || firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+    const relation = [...relsXml.getElementsByTagName('Relationship')]
+      .find(rel => rel.getAttribute('Id') === relationId);
+    const target = relation?.getAttribute('Target');
+    if (target) {
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  const sheetXml = await readXml(entries, sheetPath);
+  if (!sheetXml) {
+    throw new Error('The spreadsheet has no worksheet');
+  }
+
+  const grid = [];
+  for (const rowNode of sheetXml.getElementsByTagName('row')) {
+    const rowNumber = parseInt(rowNode.getAttribute('r')) || grid.length + 1;
+    const cells = [];
+
+    for (const cellNode of rowNode.getElementsByTagName('c')) {
+      const type = cellNode.getAttribute('t');
+      const value = cellNode.getElementsByTagName('v')[0]?.textContent ?? '';
+      const reference = cellNode.getAttribute('r');
+      const column = reference ? columnIndex(reference) : cells.length;
+
+      if (type === 's') {
+        cells[column] = sharedStrings[parseInt(value)] ?? '';
+      } else if (type === 'inlineStr') {
+        const inline = cellNode.getElementsByTagName('is')[0];
+        cells[column] = inline ? stringItemText(inline) : '';
+      } else if (type === 'b') {
+        cells[column] = value === '1' ? 'TRUE' : 'FALSE';
+      } else {
+        cells[column] = value;
+      }
+    }
+
+    grid[rowNumber - 1] = cells;
+  }
+
+  // Rows missing from the sheet are blank
+  return Array.from(grid, cells => cells || []);
+};
+
+/**
+ * Read a CSV or XLSX file into rows keyed by the normalised header row
+ * @param {File} file - The spreadsheet
+ * @returns {Promise<Array<Object>>} - One object per non-blank data row, with
+ *   _line set to its line in the sheet
+ */
+export const readSpreadsheet = async (file) => {
+  const isXlsx = /\.xlsx$/i.test(file.name)
+    || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  const grid = isXlsx ? await readXlsxGrid(file) : parseCsv(await file.text());
+  return rowsFromGrid(grid);
+};
@@ -0,0 +1,90 @@
+// Minimal ZIP reader for the listing import (XLSX files are ZIP archives too).
+// Handles stored and deflated entries using the browser's DecompressionStream;
+// ZIP64 archives and encrypted entries are not supported.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end record sits in the last 22 bytes plus an optional comment of up to 64KB
+const findEndOfCentralDirectory = (view) => {
+  const lowest = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a ZIP file');
+};
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unzip files');
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Read the files in a ZIP archive. Entries are decompressed on demand.
+ * @param {Blob} file - The ZIP (or XLSX) file
+ * @returns {Promise<Map<string, {name: string, bytes: Function}>>} - Entries by path,
+ *   each with an async bytes() returning its contents as a Uint8Array
+ */
+export const readZipEntries = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  const endOffset = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP file');
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Folders and encrypted files are skipped
+    if (name.endsWith('/') || (flags & 0x1)) continue;
+
+    entries.set(name, {
+      name,
+      bytes: async () => {
+        if (view.getUint32(localHeaderOffset, true) !== LOCAL_FILE_HEADER) {
+          throw new Error(`Corrupt ZIP entry: ${name}`);
+        }
+
+        // The local header has its own name and extra field lengths
+        const dataStart = localHeaderOffset + 30
+          + view.getUint16(localHeaderOffset + 26, true)
+          + view.getUint16(localHeaderOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+        if (method === 0) return data;
+        if (method === 8) return inflateRaw(data);
+        throw new Error(`Unsupported compression in ZIP entry: ${name}`);
+      }
+    });
+  }
+
+  return entries;
+};
@@ -0,0 +1,14 @@
+import { encodeImageVariants } from '../utils/imageEncoding';
+
+// Encodes listing photos off the main thread. Each message is { id, file } and
+// is answered with { id, image, thumbnail } or { id, error }.
+self.onmessage = async (event) => {
+  const { id, file } = event.data;
+
+  try {
+    const { image, thumbnail } = await encodeImageVariants(file);
+    self.postMessage({ id, image, thumbnail });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Could not process image' });
+  }
+};